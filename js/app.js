@@ -6,6 +6,8 @@ const App = {
     currentClientId: null,
     currentClient: null,
     currentExtraction: null,
+    currentTab: 'overview',
+    editorContext: null, // { section, index, isNew } while the field editor modal is open
 
     // Initialize the application
     init: async function() {
@@ -16,6 +18,9 @@ const App = {
             await Database.init();
             console.log('Database initialized');
 
+            // Exchange rates are read synchronously by formatting and the balance sheet
+            await ExchangeRates.load();
+
             // Set up event listeners
             this.setupEventListeners();
 
@@ -50,6 +55,14 @@ const App = {
             });
         }
 
+        // Review inbox button
+        const btnInbox = document.getElementById('btnReviewInbox');
+        if (btnInbox) {
+            btnInbox.addEventListener('click', () => {
+                this.showReviewInboxView();
+            });
+        }
+
         // Settings button (available before any client)
         const btnSettings = document.getElementById('btnOpenSettings');
         if (btnSettings) {
@@ -187,6 +200,7 @@ const App = {
         } catch (error) {
             console.error('Failed to load clients:', error);
         }
+        this.updateInboxCount();
     },
 
     // Select a client
@@ -198,6 +212,7 @@ const App = {
                 return;
             }
 
+            if (clientId !== this.currentClientId) this.currentTab = 'overview';
             this.currentClientId = clientId;
             this.currentClient = client;
 
@@ -257,12 +272,17 @@ const App = {
                     </div>
                 </div>
 
+                ${this.renderValidationPanel(client)}
+
                 <div class="tabs">
                     <button class="tab active" data-tab="overview">Overview</button>
                     <button class="tab" data-tab="personal">Personal</button>
                     <button class="tab" data-tab="employment">Employment</button>
                     <button class="tab" data-tab="financial">Financial</button>
                     <button class="tab" data-tab="goals">Goals & Risk</button>
+                    <button class="tab" data-tab="retirement">Retirement</button>
+                    <button class="tab" data-tab="history">History</button>
+                    <button class="tab" data-tab="meetings">Meetings</button>
                     <button class="tab" data-tab="upload">Upload Transcript</button>
                     <button class="tab" data-tab="settings">Settings</button>
                 </div>
@@ -314,6 +334,8 @@ const App = {
 
     // Switch tabs
     switchTab: function(tabName) {
+        this.currentTab = tabName;
+
         // Update tab buttons
         document.querySelectorAll('.tab').forEach(tab => {
             tab.classList.toggle('active', tab.dataset.tab === tabName);
@@ -339,9 +361,20 @@ const App = {
             case 'goals':
                 tabContent.innerHTML = this.renderGoalsTab(client);
                 break;
+            case 'retirement':
+                tabContent.innerHTML = this.renderRetirementTab(client);
+                break;
+            case 'history':
+                tabContent.innerHTML = this.renderHistoryTab(client);
+                break;
+            case 'meetings':
+                tabContent.innerHTML = '<div id="meetingsArea"></div>';
+                this.renderMeetingsTab(client);
+                break;
             case 'upload':
                 tabContent.innerHTML = this.renderUploadTab();
                 this.attachUploadListeners();
+                this.renderPendingReviews();
                 break;
             case 'settings':
                 tabContent.innerHTML = this.renderSettingsTab();
@@ -353,9 +386,18 @@ const App = {
     // Render overview tab
     renderOverviewTab: function(client) {
         const hasChildren = client.children && client.children.length > 0;
-        const hasPensions = client.pensions && client.pensions.length > 0;
-        const hasProperties = client.properties && client.properties.length > 0;
-        const hasInvestments = client.investments && client.investments.length > 0;
+        const spouseName = `${client.spouse.firstName || ''} ${client.spouse.lastName || ''}`.trim();
+
+        // "3 pension(s) (Client 2, Spouse 1)" for a household
+        const countByOwner = (items, label) => {
+            if (!items || items.length === 0) return null;
+            if (!this.hasSpouse(client)) return `${items.length} ${label}`;
+            const counts = BalanceSheet.OWNERS
+                .map(owner => [owner, items.filter(item => BalanceSheet.normalizeOwner(item.owner) === owner).length])
+                .filter(([, count]) => count > 0)
+                .map(([owner, count]) => `${owner} ${count}`);
+            return `${items.length} ${label} (${counts.join(', ')})`;
+        };
 
         return `
             <div class="data-grid">
@@ -363,107 +405,270 @@ const App = {
                     <div class="card-header">Personal Details</div>
                     <div class="card-body">
                         ${this.renderField('Name', `${client.personal.firstName || ''} ${client.personal.lastName || ''}`.trim())}
-                        ${this.renderField('Date of Birth', client.personal.dateOfBirth)}
-                        ${this.renderField('Age', client.personal.age)}
-                        ${this.renderField('Relationship Status', client.personal.relationshipStatus)}
-                        ${this.renderField('Country of Residence', client.personal.countryOfResidence)}
-                        ${this.renderField('Nationality', client.personal.nationality)}
+                        ${this.renderField('Date of Birth', client.personal.dateOfBirth, 'personal.dateOfBirth')}
+                        ${this.renderField('Age', client.personal.age, 'personal.age')}
+                        ${this.renderField('Relationship Status', client.personal.relationshipStatus, 'personal.relationshipStatus')}
+                        ${this.hasSpouse(client) ? this.renderField('Spouse/Partner', spouseName || null) : ''}
+                        ${this.renderField('Country of Residence', client.personal.countryOfResidence, 'personal.countryOfResidence')}
+                        ${this.renderField('Nationality', client.personal.nationality, 'personal.nationality')}
                     </div>
                 </div>
 
                 <div class="card">
                     <div class="card-header">Employment</div>
                     <div class="card-body">
-                        ${this.renderField('Status', client.employment.status)}
-                        ${this.renderField('Employer', client.employment.employer)}
-                        ${this.renderField('Job Title', client.employment.jobTitle)}
-                        ${this.renderField('Monthly Income', this.formatCurrency(client.employment.monthlyGrossIncome, client.employment.incomeCurrency))}
-                        ${this.renderField('Retirement Age', client.employment.retirementAge)}
+                        ${this.renderField('Status', client.employment.status, 'employment.status')}
+                        ${this.renderField('Employer', client.employment.employer, 'employment.employer')}
+                        ${this.renderField('Job Title', client.employment.jobTitle, 'employment.jobTitle')}
+                        ${this.renderField('Monthly Income', this.formatCurrency(client.employment.monthlyGrossIncome, client.employment.incomeCurrency), 'employment.monthlyGrossIncome')}
+                        ${this.hasSpouse(client) ? this.renderField('Spouse Monthly Income', this.formatCurrency(client.spouseEmployment.monthlyGrossIncome, client.spouseEmployment.incomeCurrency), 'spouseEmployment.monthlyGrossIncome') : ''}
+                        ${this.renderField('Retirement Age', client.employment.retirementAge, 'employment.retirementAge')}
                     </div>
                 </div>
 
                 <div class="card">
                     <div class="card-header">Goals & Objectives</div>
                     <div class="card-body">
-                        ${this.renderField('Short Term', client.goals.shortTerm)}
-                        ${this.renderField('Long Term', client.goals.longTerm)}
-                        ${this.renderField('Retirement Age', client.goals.retirementAge)}
-                        ${this.renderField('Retirement Location', client.goals.retirementLocation)}
+                        ${this.renderField('Short Term', client.goals.shortTerm, 'goals.shortTerm')}
+                        ${this.renderField('Long Term', client.goals.longTerm, 'goals.longTerm')}
+                        ${this.renderField('Retirement Age', client.goals.retirementAge, 'goals.retirementAge')}
+                        ${this.renderField('Retirement Location', client.goals.retirementLocation, 'goals.retirementLocation')}
                     </div>
                 </div>
 
                 <div class="card">
                     <div class="card-header">Assets Summary</div>
                     <div class="card-body">
-                        ${this.renderField('Properties', hasProperties ? `${client.properties.length} property/ies` : null)}
-                        ${this.renderField('Pensions', hasPensions ? `${client.pensions.length} pension(s)` : null)}
-                        ${this.renderField('Investments', hasInvestments ? `${client.investments.length} investment(s)` : null)}
+                        ${this.renderField('Properties', countByOwner(client.properties, 'property/ies'))}
+                        ${this.renderField('Pensions', countByOwner(client.pensions, 'pension(s)'))}
+                        ${this.renderField('Investments', countByOwner(client.investments, 'investment(s)'))}
+                        ${this.renderField('Bank Accounts', countByOwner(client.bankAccounts, 'account(s)'))}
                         ${this.renderField('Children', hasChildren ? `${client.children.length} child(ren)` : null)}
                     </div>
                 </div>
             </div>
+
+            ${this.renderBalanceSheet(client)}
+            ${this.renderMeetingHistory(client)}
+        `;
+    },
+
+    // Meetings the client record was built from, newest first
+    renderMeetingHistory: function(client) {
+        const meetings = (client.dataSources || []).slice().reverse();
+        if (meetings.length === 0) return '';
+
+        const formatParticipants = (participants) => (participants || [])
+            .map(p => `${this.escapeHtml(p.name)}${p.role !== 'other' ? ` <span class="meeting-role">${p.role}</span>` : ''}`)
+            .join(', ');
+
+        return `
+            <div class="card">
+                <div class="card-header">Meeting History</div>
+                <div class="card-body">
+                    <table class="history-diff">
+                        <thead>
+                            <tr><th>Meeting Date</th><th>Meeting</th><th>Participants</th><th>Fields Updated</th></tr>
+                        </thead>
+                        <tbody>
+                            ${meetings.map(m => `
+                                <tr>
+                                    <td>${this.escapeHtml(m.meetingDate || String(m.date || '').split('T')[0])}</td>
+                                    <td>
+                                        ${this.escapeHtml(m.title || m.fileName || 'Transcript')}
+                                        ${m.title && m.fileName ? `<div class="history-meta">${this.escapeHtml(m.fileName)}</div>` : ''}
+                                    </td>
+                                    <td>${formatParticipants(m.participants) || '-'}</td>
+                                    <td>${m.fieldsUpdated ?? '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
+    // Balance sheet card: net worth, liquidity and gearing in the reporting currency
+    renderBalanceSheet: function(client) {
+        const sheet = BalanceSheet.calculate(client);
+        const cur = sheet.currency;
+        const money = (value) => this.formatCurrency(Math.round(value), cur);
+        const percent = (value) => value === null ? '-' : `${Math.round(value * 100)}%`;
+
+        if (sheet.lines.length === 0) {
+            return `
+                <div class="card">
+                    <div class="card-header">Balance Sheet</div>
+                    <div class="card-body">
+                        <p style="color: var(--text-secondary);">No asset or liability values recorded yet.</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        const currencyOptions = FieldRegistry.CURRENCIES
+            .map(c => `<option value="${c}" ${c === cur ? 'selected' : ''}>${c}</option>`).join('');
+
+        const classRows = (classes, byClass) => Object.keys(classes)
+            .filter(key => byClass[key] !== 0)
+            .map(key => `<tr><td>${classes[key]}</td><td class="amount">${money(byClass[key])}</td></tr>`)
+            .join('');
+
+        const owners = BalanceSheet.OWNERS.filter(owner =>
+            sheet.assets.byOwner[owner] !== 0 || sheet.liabilities.byOwner[owner] !== 0);
+        const ownerNames = { Client: client.personal.firstName, Spouse: client.spouse.firstName };
+        const ownerLabel = (owner) => ownerNames[owner] ? `${this.escapeHtml(ownerNames[owner])} (${owner})` : owner;
+
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <span>Balance Sheet</span>
+                    <select class="form-control balance-sheet-currency" onchange="App.changeReportingCurrency(this.value)">
+                        ${currencyOptions}
+                    </select>
+                </div>
+                <div class="card-body">
+                    ${sheet.missingRates.length > 0 ? `
+                        <div class="alert alert-warning">
+                            No ${cur} exchange rate for ${sheet.missingRates.map(c => this.escapeHtml(c)).join(', ')} -
+                            ${sheet.unconverted.length} item(s) left out of the totals. Add rates in Settings.
+                        </div>
+                    ` : ''}
+                    <div class="balance-sheet-stats">
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${money(sheet.netWorth)}</div>
+                            <div class="batch-stat-label">Net Worth</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${money(sheet.assets.total)}</div>
+                            <div class="batch-stat-label">Total Assets</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${money(sheet.liabilities.total)}</div>
+                            <div class="batch-stat-label">Total Liabilities</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${percent(sheet.liquidityRatio)}</div>
+                            <div class="batch-stat-label">Liquid Assets${sheet.monthsOfExpenditure !== null
+                                ? ` (${sheet.monthsOfExpenditure.toFixed(1)} months cash)` : ''}</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${percent(sheet.gearing)}</div>
+                            <div class="batch-stat-label">Gearing</div>
+                        </div>
+                    </div>
+
+                    <div class="data-grid">
+                        <table class="balance-sheet-table">
+                            <thead><tr><th>Assets</th><th class="amount">${cur}</th></tr></thead>
+                            <tbody>${classRows(BalanceSheet.ASSET_CLASSES, sheet.assets.byClass)}</tbody>
+                        </table>
+                        <table class="balance-sheet-table">
+                            <thead><tr><th>Liabilities</th><th class="amount">${cur}</th></tr></thead>
+                            <tbody>${classRows(BalanceSheet.LIABILITY_CLASSES, sheet.liabilities.byClass) || '<tr><td colspan="2">None</td></tr>'}</tbody>
+                        </table>
+                        <table class="balance-sheet-table">
+                            <thead><tr><th>Owner</th><th class="amount">Assets</th><th class="amount">Liabilities</th><th class="amount">Net Worth</th></tr></thead>
+                            <tbody>
+                                ${owners.map(owner => `
+                                    <tr>
+                                        <td>${ownerLabel(owner)}</td>
+                                        <td class="amount">${money(sheet.assets.byOwner[owner])}</td>
+                                        <td class="amount">${money(sheet.liabilities.byOwner[owner])}</td>
+                                        <td class="amount">${money(sheet.netWorthByOwner[owner])}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                    ${sheet.assumedCurrency > 0 ? `
+                        <p class="balance-sheet-note">${sheet.assumedCurrency} item(s) have no currency and are counted as ${cur}.</p>
+                    ` : ''}
+                </div>
+            </div>
         `;
     },
 
+    // Re-render the overview in a different reporting currency
+    changeReportingCurrency: function(currency) {
+        ExchangeRates.setReportingCurrency(currency);
+        if (this.currentTab === 'overview') this.switchTab('overview');
+    },
+
+    // Whether the client has a spouse or partner: married, in a civil partnership or living
+    // together, or a spouse already on record (e.g. extracted before the status was known)
+    hasSpouse: function(client) {
+        if (['Married', 'Civil Partner', 'Cohabiting'].includes(client.personal.relationshipStatus)) return true;
+        const spouse = client.spouse || {};
+        return Boolean(spouse.firstName || spouse.lastName || spouse.dateOfBirth || spouse.age);
+    },
+
     // Render personal tab
     renderPersonalTab: function(client) {
         return `
             <div class="card">
-                <div class="card-header">Client Details</div>
+                ${this.renderSectionHeader('Client Details', 'personal')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Title', client.personal.title)}
-                        ${this.renderField('First Name', client.personal.firstName)}
-                        ${this.renderField('Last Name', client.personal.lastName)}
-                        ${this.renderField('Preferred Name', client.personal.preferredName)}
-                        ${this.renderField('Date of Birth', client.personal.dateOfBirth)}
-                        ${this.renderField('Age', client.personal.age)}
-                        ${this.renderField('Gender', client.personal.gender)}
-                        ${this.renderField('Relationship Status', client.personal.relationshipStatus)}
-                        ${this.renderField('Date of Marriage', client.personal.dateOfMarriage)}
+                        ${this.renderField('Title', client.personal.title, 'personal.title')}
+                        ${this.renderField('First Name', client.personal.firstName, 'personal.firstName')}
+                        ${this.renderField('Last Name', client.personal.lastName, 'personal.lastName')}
+                        ${this.renderField('Preferred Name', client.personal.preferredName, 'personal.preferredName')}
+                        ${this.renderField('Date of Birth', client.personal.dateOfBirth, 'personal.dateOfBirth')}
+                        ${this.renderField('Age', client.personal.age, 'personal.age')}
+                        ${this.renderField('Gender', client.personal.gender, 'personal.gender')}
+                        ${this.renderField('Relationship Status', client.personal.relationshipStatus, 'personal.relationshipStatus')}
+                        ${this.renderField('Date of Marriage', client.personal.dateOfMarriage, 'personal.dateOfMarriage')}
                     </div>
                 </div>
             </div>
 
             <div class="card">
-                <div class="card-header">Contact Information</div>
+                ${this.renderSectionHeader('Contact Information', 'personal')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Email', client.personal.email)}
-                        ${this.renderField('Mobile', client.personal.phoneMobile)}
-                        ${this.renderField('Home Phone', client.personal.phoneHome)}
-                        ${this.renderField('Work Phone', client.personal.phoneWork)}
-                        ${this.renderField('Address', this.formatAddress(client.personal.address))}
+                        ${this.renderField('Email', client.personal.email, 'personal.email')}
+                        ${this.renderField('Mobile', client.personal.phoneMobile, 'personal.phoneMobile')}
+                        ${this.renderField('Home Phone', client.personal.phoneHome, 'personal.phoneHome')}
+                        ${this.renderField('Work Phone', client.personal.phoneWork, 'personal.phoneWork')}
+                        ${this.renderField('Address', this.formatAddress(client.personal.address), 'personal.address')}
                     </div>
                 </div>
             </div>
 
             <div class="card">
-                <div class="card-header">Nationality & Tax</div>
+                ${this.renderSectionHeader('Nationality & Tax', 'personal')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Country of Residence', client.personal.countryOfResidence)}
-                        ${this.renderField('Nationality', client.personal.nationality)}
-                        ${this.renderField('Dual Nationality', client.personal.dualNationality)}
-                        ${this.renderField('Tax Residency', client.personal.taxResidency)}
-                        ${this.renderField('Tax ID Number', client.personal.taxIdentificationNumber)}
-                        ${this.renderField('NI Number', client.personal.nationalInsuranceNumber)}
-                        ${this.renderField('PEP Status', client.personal.isPoliticallyExposedPerson === null ? null : (client.personal.isPoliticallyExposedPerson ? 'Yes' : 'No'))}
+                        ${this.renderField('Country of Residence', client.personal.countryOfResidence, 'personal.countryOfResidence')}
+                        ${this.renderField('Nationality', client.personal.nationality, 'personal.nationality')}
+                        ${this.renderField('Dual Nationality', client.personal.dualNationality, 'personal.dualNationality')}
+                        ${this.renderField('Tax Residency', client.personal.taxResidency, 'personal.taxResidency')}
+                        ${this.renderField('Tax ID Number', client.personal.taxIdentificationNumber, 'personal.taxIdentificationNumber')}
+                        ${this.renderField('NI Number', client.personal.nationalInsuranceNumber, 'personal.nationalInsuranceNumber')}
+                        ${this.renderField('PEP Status', client.personal.isPoliticallyExposedPerson === null ? null : (client.personal.isPoliticallyExposedPerson ? 'Yes' : 'No'), 'personal.isPoliticallyExposedPerson')}
                     </div>
                 </div>
             </div>
 
-            ${client.personal.relationshipStatus && client.personal.relationshipStatus !== 'Single' ? `
+            ${this.hasSpouse(client) ? `
             <div class="card">
-                <div class="card-header">Spouse/Partner Details</div>
+                ${this.renderSectionHeader('Spouse/Partner Details', 'spouse')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Name', `${client.spouse.firstName || ''} ${client.spouse.lastName || ''}`.trim())}
-                        ${this.renderField('Date of Birth', client.spouse.dateOfBirth)}
-                        ${this.renderField('Age', client.spouse.age)}
-                        ${this.renderField('Email', client.spouse.email)}
-                        ${this.renderField('Mobile', client.spouse.phoneMobile)}
-                        ${this.renderField('Nationality', client.spouse.nationality)}
+                        ${this.renderField('Title', client.spouse.title, 'spouse.title')}
+                        ${this.renderField('First Name', client.spouse.firstName, 'spouse.firstName')}
+                        ${this.renderField('Last Name', client.spouse.lastName, 'spouse.lastName')}
+                        ${this.renderField('Preferred Name', client.spouse.preferredName, 'spouse.preferredName')}
+                        ${this.renderField('Date of Birth', client.spouse.dateOfBirth, 'spouse.dateOfBirth')}
+                        ${this.renderField('Age', client.spouse.age, 'spouse.age')}
+                        ${this.renderField('Gender', client.spouse.gender, 'spouse.gender')}
+                        ${this.renderField('Email', client.spouse.email, 'spouse.email')}
+                        ${this.renderField('Mobile', client.spouse.phoneMobile, 'spouse.phoneMobile')}
+                        ${this.renderField('Country of Residence', client.spouse.countryOfResidence, 'spouse.countryOfResidence')}
+                        ${this.renderField('Nationality', client.spouse.nationality, 'spouse.nationality')}
+                        ${this.renderField('Tax Residency', client.spouse.taxResidency, 'spouse.taxResidency')}
                     </div>
                 </div>
             </div>
@@ -474,20 +679,20 @@ const App = {
                 <div class="card-body">
                     ${client.children && client.children.length > 0 ? client.children.map((child, i) => `
                         <div class="array-item">
-                            <div class="array-item-header">
-                                <span class="array-item-title">Child ${i + 1}</span>
-                            </div>
+                            ${this.renderArrayItemHeader('children', i, `Child ${i + 1}`)}
                             <div class="data-grid">
-                                ${this.renderField('Name', `${child.firstName || ''} ${child.lastName || ''}`.trim())}
-                                ${this.renderField('Date of Birth', child.dateOfBirth)}
-                                ${this.renderField('Age', child.age)}
-                                ${this.renderField('Relationship', child.relationship)}
-                                ${this.renderField('In Education', child.inEducation === null ? null : (child.inEducation ? 'Yes' : 'No'))}
-                                ${this.renderField('School', child.school)}
-                                ${this.renderField('Annual Fees', this.formatCurrency(child.annualSchoolFees, child.schoolFeesCurrency))}
+                                ${this.renderField('First Name', child.firstName, `children[${i}].firstName`)}
+                                ${this.renderField('Last Name', child.lastName, `children[${i}].lastName`)}
+                                ${this.renderField('Date of Birth', child.dateOfBirth, `children[${i}].dateOfBirth`)}
+                                ${this.renderField('Age', child.age, `children[${i}].age`)}
+                                ${this.renderField('Relationship', child.relationship, `children[${i}].relationship`)}
+                                ${this.renderField('In Education', child.inEducation === null ? null : (child.inEducation ? 'Yes' : 'No'), `children[${i}].inEducation`)}
+                                ${this.renderField('School', child.school, `children[${i}].school`)}
+                                ${this.renderField('Annual Fees', this.formatCurrency(child.annualSchoolFees, child.schoolFeesCurrency), `children[${i}].annualSchoolFees`)}
                             </div>
                         </div>
                     `).join('') : '<p class="empty-state">No children/dependants recorded</p>'}
+                    ${this.renderAddItemButton('children', 'Child')}
                 </div>
             </div>
         `;
@@ -497,36 +702,36 @@ const App = {
     renderEmploymentTab: function(client) {
         return `
             <div class="card">
-                <div class="card-header">Client Employment</div>
+                ${this.renderSectionHeader('Client Employment', 'employment')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Status', client.employment.status)}
-                        ${this.renderField('Job Title', client.employment.jobTitle)}
-                        ${this.renderField('Employer', client.employment.employer)}
-                        ${this.renderField('Industry', client.employment.industry)}
-                        ${this.renderField('Years in Role', client.employment.yearsInRole)}
-                        ${this.renderField('Contract Type', client.employment.contractType)}
-                        ${this.renderField('Contract End Date', client.employment.contractEndDate)}
-                        ${this.renderField('Monthly Gross Income', this.formatCurrency(client.employment.monthlyGrossIncome, client.employment.incomeCurrency))}
-                        ${this.renderField('Monthly Net Income', this.formatCurrency(client.employment.monthlyNetIncome, client.employment.incomeCurrency))}
-                        ${this.renderField('Annual Bonus', this.formatCurrency(client.employment.annualBonus, client.employment.incomeCurrency))}
-                        ${this.renderField('Other Benefits', client.employment.otherBenefits)}
-                        ${this.renderField('Monthly Surplus', this.formatCurrency(client.employment.monthlySurplus, client.employment.incomeCurrency))}
-                        ${this.renderField('Planned Retirement Age', client.employment.retirementAge)}
+                        ${this.renderField('Status', client.employment.status, 'employment.status')}
+                        ${this.renderField('Job Title', client.employment.jobTitle, 'employment.jobTitle')}
+                        ${this.renderField('Employer', client.employment.employer, 'employment.employer')}
+                        ${this.renderField('Industry', client.employment.industry, 'employment.industry')}
+                        ${this.renderField('Years in Role', client.employment.yearsInRole, 'employment.yearsInRole')}
+                        ${this.renderField('Contract Type', client.employment.contractType, 'employment.contractType')}
+                        ${this.renderField('Contract End Date', client.employment.contractEndDate, 'employment.contractEndDate')}
+                        ${this.renderField('Monthly Gross Income', this.formatCurrency(client.employment.monthlyGrossIncome, client.employment.incomeCurrency), 'employment.monthlyGrossIncome')}
+                        ${this.renderField('Monthly Net Income', this.formatCurrency(client.employment.monthlyNetIncome, client.employment.incomeCurrency), 'employment.monthlyNetIncome')}
+                        ${this.renderField('Annual Bonus', this.formatCurrency(client.employment.annualBonus, client.employment.incomeCurrency), 'employment.annualBonus')}
+                        ${this.renderField('Other Benefits', client.employment.otherBenefits, 'employment.otherBenefits')}
+                        ${this.renderField('Monthly Surplus', this.formatCurrency(client.employment.monthlySurplus, client.employment.incomeCurrency), 'employment.monthlySurplus')}
+                        ${this.renderField('Planned Retirement Age', client.employment.retirementAge, 'employment.retirementAge')}
                     </div>
                 </div>
             </div>
 
-            ${client.personal.relationshipStatus && client.personal.relationshipStatus !== 'Single' ? `
+            ${this.hasSpouse(client) ? `
             <div class="card">
-                <div class="card-header">Spouse Employment</div>
+                ${this.renderSectionHeader('Spouse Employment', 'spouseEmployment')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Status', client.spouseEmployment.status)}
-                        ${this.renderField('Job Title', client.spouseEmployment.jobTitle)}
-                        ${this.renderField('Employer', client.spouseEmployment.employer)}
-                        ${this.renderField('Monthly Gross Income', this.formatCurrency(client.spouseEmployment.monthlyGrossIncome, client.spouseEmployment.incomeCurrency))}
-                        ${this.renderField('Annual Bonus', this.formatCurrency(client.spouseEmployment.annualBonus, client.spouseEmployment.incomeCurrency))}
+                        ${this.renderField('Status', client.spouseEmployment.status, 'spouseEmployment.status')}
+                        ${this.renderField('Job Title', client.spouseEmployment.jobTitle, 'spouseEmployment.jobTitle')}
+                        ${this.renderField('Employer', client.spouseEmployment.employer, 'spouseEmployment.employer')}
+                        ${this.renderField('Monthly Gross Income', this.formatCurrency(client.spouseEmployment.monthlyGrossIncome, client.spouseEmployment.incomeCurrency), 'spouseEmployment.monthlyGrossIncome')}
+                        ${this.renderField('Annual Bonus', this.formatCurrency(client.spouseEmployment.annualBonus, client.spouseEmployment.incomeCurrency), 'spouseEmployment.annualBonus')}
                     </div>
                 </div>
             </div>
@@ -542,21 +747,21 @@ const App = {
                 <div class="card-body">
                     ${client.properties && client.properties.length > 0 ? client.properties.map((prop, i) => `
                         <div class="array-item">
-                            <div class="array-item-header">
-                                <span class="array-item-title">Property ${i + 1}: ${prop.usage || 'Unknown'}</span>
-                            </div>
+                            ${this.renderArrayItemHeader('properties', i, `Property ${i + 1}: ${prop.usage || 'Unknown'}`)}
                             <div class="data-grid">
-                                ${this.renderField('Location', this.formatAddress(prop.address))}
-                                ${this.renderField('Type', prop.propertyType)}
-                                ${this.renderField('Usage', prop.usage)}
-                                ${this.renderField('Current Value', this.formatCurrency(prop.currentValue, prop.currency))}
-                                ${this.renderField('Purchase Price', this.formatCurrency(prop.purchasePrice, prop.currency))}
-                                ${this.renderField('Mortgage Balance', this.formatCurrency(prop.mortgageBalance, prop.currency))}
-                                ${this.renderField('Monthly Payment', this.formatCurrency(prop.monthlyPayment, prop.currency))}
+                                ${this.renderField('Location', this.formatAddress(prop.address), `properties[${i}].address`)}
+                                ${this.renderField('Type', prop.propertyType, `properties[${i}].propertyType`)}
+                                ${this.renderField('Owner', prop.owner, `properties[${i}].owner`)}
+                                ${this.renderField('Usage', prop.usage, `properties[${i}].usage`)}
+                                ${this.renderField('Current Value', this.formatCurrency(prop.currentValue, prop.currency), `properties[${i}].currentValue`)}
+                                ${this.renderField('Purchase Price', this.formatCurrency(prop.purchasePrice, prop.currency), `properties[${i}].purchasePrice`)}
+                                ${this.renderField('Mortgage Balance', this.formatCurrency(prop.mortgageBalance, prop.currency), `properties[${i}].mortgageBalance`)}
+                                ${this.renderField('Monthly Payment', this.formatCurrency(prop.monthlyPayment, prop.currency), `properties[${i}].monthlyPayment`)}
                                 ${this.renderField('Equity', this.formatCurrency(prop.currentValue - prop.mortgageBalance, prop.currency))}
                             </div>
                         </div>
                     `).join('') : '<p class="empty-state">No properties recorded</p>'}
+                    ${this.renderAddItemButton('properties', 'Property')}
                 </div>
             </div>
 
@@ -565,19 +770,19 @@ const App = {
                 <div class="card-body">
                     ${client.pensions && client.pensions.length > 0 ? client.pensions.map((pension, i) => `
                         <div class="array-item">
-                            <div class="array-item-header">
-                                <span class="array-item-title">Pension ${i + 1}: ${pension.type || 'Unknown'}</span>
-                            </div>
+                            ${this.renderArrayItemHeader('pensions', i, `Pension ${i + 1}: ${pension.type || 'Unknown'}`)}
                             <div class="data-grid">
-                                ${this.renderField('Provider', pension.provider)}
-                                ${this.renderField('Type', pension.type)}
-                                ${this.renderField('Current Value', this.formatCurrency(pension.currentValue, pension.currency))}
-                                ${this.renderField('Annual Growth Rate', pension.annualGrowthRate ? `${pension.annualGrowthRate}%` : null)}
-                                ${this.renderField('Employer Contribution', pension.employerContribution)}
-                                ${this.renderField('Employee Contribution', pension.employeeContribution)}
+                                ${this.renderField('Provider', pension.provider, `pensions[${i}].provider`)}
+                                ${this.renderField('Type', pension.type, `pensions[${i}].type`)}
+                                ${this.renderField('Owner', pension.owner, `pensions[${i}].owner`)}
+                                ${this.renderField('Current Value', this.formatCurrency(pension.currentValue, pension.currency), `pensions[${i}].currentValue`)}
+                                ${this.renderField('Annual Growth Rate', pension.annualGrowthRate ? `${pension.annualGrowthRate}%` : null, `pensions[${i}].annualGrowthRate`)}
+                                ${this.renderField('Employer Contribution', pension.employerContribution, `pensions[${i}].employerContribution`)}
+                                ${this.renderField('Employee Contribution', pension.employeeContribution, `pensions[${i}].employeeContribution`)}
                             </div>
                         </div>
                     `).join('') : '<p class="empty-state">No pensions recorded</p>'}
+                    ${this.renderAddItemButton('pensions', 'Pension')}
                 </div>
             </div>
 
@@ -586,17 +791,17 @@ const App = {
                 <div class="card-body">
                     ${client.investments && client.investments.length > 0 ? client.investments.map((inv, i) => `
                         <div class="array-item">
-                            <div class="array-item-header">
-                                <span class="array-item-title">Investment ${i + 1}: ${inv.type || 'Unknown'}</span>
-                            </div>
+                            ${this.renderArrayItemHeader('investments', i, `Investment ${i + 1}: ${inv.type || 'Unknown'}`)}
                             <div class="data-grid">
-                                ${this.renderField('Provider', inv.provider)}
-                                ${this.renderField('Type', inv.type)}
-                                ${this.renderField('Current Value', this.formatCurrency(inv.currentValue, inv.currency))}
-                                ${this.renderField('Annual Return', inv.annualReturn ? `${inv.annualReturn}%` : null)}
+                                ${this.renderField('Provider', inv.provider, `investments[${i}].provider`)}
+                                ${this.renderField('Type', inv.type, `investments[${i}].type`)}
+                                ${this.renderField('Owner', inv.owner, `investments[${i}].owner`)}
+                                ${this.renderField('Current Value', this.formatCurrency(inv.currentValue, inv.currency), `investments[${i}].currentValue`)}
+                                ${this.renderField('Annual Return', inv.annualReturn ? `${inv.annualReturn}%` : null, `investments[${i}].annualReturn`)}
                             </div>
                         </div>
                     `).join('') : '<p class="empty-state">No investments recorded</p>'}
+                    ${this.renderAddItemButton('investments', 'Investment')}
                 </div>
             </div>
 
@@ -605,17 +810,17 @@ const App = {
                 <div class="card-body">
                     ${client.bankAccounts && client.bankAccounts.length > 0 ? client.bankAccounts.map((acc, i) => `
                         <div class="array-item">
-                            <div class="array-item-header">
-                                <span class="array-item-title">Account ${i + 1}: ${acc.bank || 'Unknown'}</span>
-                            </div>
+                            ${this.renderArrayItemHeader('bankAccounts', i, `Account ${i + 1}: ${acc.bank || 'Unknown'}`)}
                             <div class="data-grid">
-                                ${this.renderField('Bank', acc.bank)}
-                                ${this.renderField('Type', acc.accountType)}
-                                ${this.renderField('Balance', this.formatCurrency(acc.balance, acc.currency))}
-                                ${this.renderField('Interest Rate', acc.interestRate ? `${acc.interestRate}%` : null)}
+                                ${this.renderField('Bank', acc.bank, `bankAccounts[${i}].bank`)}
+                                ${this.renderField('Type', acc.accountType, `bankAccounts[${i}].accountType`)}
+                                ${this.renderField('Owner', acc.owner, `bankAccounts[${i}].owner`)}
+                                ${this.renderField('Balance', this.formatCurrency(acc.balance, acc.currency), `bankAccounts[${i}].balance`)}
+                                ${this.renderField('Interest Rate', acc.interestRate ? `${acc.interestRate}%` : null, `bankAccounts[${i}].interestRate`)}
                             </div>
                         </div>
                     `).join('') : '<p class="empty-state">No bank accounts recorded</p>'}
+                    ${this.renderAddItemButton('bankAccounts', 'Bank Account')}
                 </div>
             </div>
 
@@ -624,17 +829,37 @@ const App = {
                 <div class="card-body">
                     ${client.debts && client.debts.length > 0 ? client.debts.map((debt, i) => `
                         <div class="array-item">
-                            <div class="array-item-header">
-                                <span class="array-item-title">Debt ${i + 1}: ${debt.type || 'Unknown'}</span>
-                            </div>
+                            ${this.renderArrayItemHeader('debts', i, `Debt ${i + 1}: ${debt.type || 'Unknown'}`)}
                             <div class="data-grid">
-                                ${this.renderField('Provider', debt.provider)}
-                                ${this.renderField('Type', debt.type)}
-                                ${this.renderField('Outstanding', this.formatCurrency(debt.outstandingBalance, debt.currency))}
-                                ${this.renderField('Monthly Payment', this.formatCurrency(debt.monthlyPayment, debt.currency))}
+                                ${this.renderField('Provider', debt.provider, `debts[${i}].provider`)}
+                                ${this.renderField('Type', debt.type, `debts[${i}].type`)}
+                                ${this.renderField('Owner', debt.owner, `debts[${i}].owner`)}
+                                ${this.renderField('Outstanding', this.formatCurrency(debt.outstandingBalance, debt.currency), `debts[${i}].outstandingBalance`)}
+                                ${this.renderField('Monthly Payment', this.formatCurrency(debt.monthlyPayment, debt.currency), `debts[${i}].monthlyPayment`)}
                             </div>
                         </div>
                     `).join('') : '<p class="empty-state">No debts recorded</p>'}
+                    ${this.renderAddItemButton('debts', 'Debt')}
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">Protection/Insurance (${client.protection?.length || 0})</div>
+                <div class="card-body">
+                    ${client.protection && client.protection.length > 0 ? client.protection.map((policy, i) => `
+                        <div class="array-item">
+                            ${this.renderArrayItemHeader('protection', i, `Policy ${i + 1}: ${policy.type || 'Unknown'}`)}
+                            <div class="data-grid">
+                                ${this.renderField('Provider', policy.provider, `protection[${i}].provider`)}
+                                ${this.renderField('Type', policy.type, `protection[${i}].type`)}
+                                ${this.renderField('Owner', policy.owner, `protection[${i}].owner`)}
+                                ${this.renderField('Sum Assured', this.formatCurrency(policy.sumAssured, policy.currency), `protection[${i}].sumAssured`)}
+                                ${this.renderField('Premium', this.formatCurrency(policy.premium, policy.currency), `protection[${i}].premium`)}
+                                ${this.renderField('In Trust', policy.inTrust === null ? null : (policy.inTrust ? 'Yes' : 'No'), `protection[${i}].inTrust`)}
+                            </div>
+                        </div>
+                    `).join('') : '<p class="empty-state">No protection policies recorded</p>'}
+                    ${this.renderAddItemButton('protection', 'Policy')}
                 </div>
             </div>
         `;
@@ -644,53 +869,609 @@ const App = {
     renderGoalsTab: function(client) {
         return `
             <div class="card">
-                <div class="card-header">Goals & Objectives</div>
+                ${this.renderSectionHeader('Goals & Objectives', 'goals')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Short Term (0-2 years)', client.goals.shortTerm)}
-                        ${this.renderField('Medium Term (2-5 years)', client.goals.mediumTerm)}
-                        ${this.renderField('Long Term (5+ years)', client.goals.longTerm)}
-                        ${this.renderField('Target Retirement Age', client.goals.retirementAge)}
-                        ${this.renderField('Retirement Income Required', this.formatCurrency(client.goals.retirementIncomeRequired, client.goals.retirementIncomeCurrency))}
-                        ${this.renderField('Retirement Location', client.goals.retirementLocation)}
-                        ${this.renderField('Concerns', client.goals.concerns)}
-                        ${this.renderField('Priorities', client.goals.priorities)}
+                        ${this.renderField('Short Term (0-2 years)', client.goals.shortTerm, 'goals.shortTerm')}
+                        ${this.renderField('Medium Term (2-5 years)', client.goals.mediumTerm, 'goals.mediumTerm')}
+                        ${this.renderField('Long Term (5+ years)', client.goals.longTerm, 'goals.longTerm')}
+                        ${this.renderField('Target Retirement Age', client.goals.retirementAge, 'goals.retirementAge')}
+                        ${this.renderField('Retirement Income Required', this.formatCurrency(client.goals.retirementIncomeRequired, client.goals.retirementIncomeCurrency), 'goals.retirementIncomeRequired')}
+                        ${this.renderField('Retirement Location', client.goals.retirementLocation, 'goals.retirementLocation')}
+                        ${this.renderField('Concerns', client.goals.concerns, 'goals.concerns')}
+                        ${this.renderField('Priorities', client.goals.priorities, 'goals.priorities')}
                     </div>
                 </div>
             </div>
 
             <div class="card">
-                <div class="card-header">Risk Attitude</div>
+                ${this.renderSectionHeader('Risk Attitude', 'riskAttitude')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Investment Experience', client.riskAttitude.investmentExperience)}
-                        ${this.renderField('Risk Tolerance (1-5)', client.riskAttitude.riskTolerance)}
-                        ${this.renderField('Capacity for Loss', client.riskAttitude.capacityForLoss)}
-                        ${this.renderField('Investment Time Horizon', client.riskAttitude.investmentTimeHorizon)}
-                        ${this.renderField('Ethical Investing', client.riskAttitude.attitudeToEthicalInvesting)}
+                        ${this.renderField('Investment Experience', client.riskAttitude.investmentExperience, 'riskAttitude.investmentExperience')}
+                        ${this.renderField('Risk Tolerance (1-5)', client.riskAttitude.riskTolerance, 'riskAttitude.riskTolerance')}
+                        ${this.renderField('Capacity for Loss', client.riskAttitude.capacityForLoss, 'riskAttitude.capacityForLoss')}
+                        ${this.renderField('Investment Time Horizon', client.riskAttitude.investmentTimeHorizon, 'riskAttitude.investmentTimeHorizon')}
+                        ${this.renderField('Ethical Investing', client.riskAttitude.attitudeToEthicalInvesting, 'riskAttitude.attitudeToEthicalInvesting')}
                     </div>
                 </div>
             </div>
 
             <div class="card">
-                <div class="card-header">Monthly Expenditure</div>
+                ${this.renderSectionHeader('Monthly Expenditure', 'expenditure')}
                 <div class="card-body">
                     <div class="data-grid">
-                        ${this.renderField('Mortgage/Rent', this.formatCurrency(client.expenditure.mortgage || client.expenditure.rent, client.expenditure.currency))}
-                        ${this.renderField('Utilities', this.formatCurrency(client.expenditure.utilities, client.expenditure.currency))}
-                        ${this.renderField('Food', this.formatCurrency(client.expenditure.food, client.expenditure.currency))}
-                        ${this.renderField('Transport', this.formatCurrency(client.expenditure.transport, client.expenditure.currency))}
-                        ${this.renderField('Insurance', this.formatCurrency(client.expenditure.insurance, client.expenditure.currency))}
-                        ${this.renderField('Childcare', this.formatCurrency(client.expenditure.childcare, client.expenditure.currency))}
-                        ${this.renderField('School Fees', this.formatCurrency(client.expenditure.schoolFees, client.expenditure.currency))}
-                        ${this.renderField('Entertainment', this.formatCurrency(client.expenditure.entertainment, client.expenditure.currency))}
-                        ${this.renderField('Total Monthly', this.formatCurrency(client.expenditure.totalMonthly, client.expenditure.currency))}
+                        ${this.renderField('Mortgage', this.formatCurrency(client.expenditure.mortgage, client.expenditure.currency), 'expenditure.mortgage')}
+                        ${this.renderField('Rent', this.formatCurrency(client.expenditure.rent, client.expenditure.currency), 'expenditure.rent')}
+                        ${this.renderField('Utilities', this.formatCurrency(client.expenditure.utilities, client.expenditure.currency), 'expenditure.utilities')}
+                        ${this.renderField('Food', this.formatCurrency(client.expenditure.food, client.expenditure.currency), 'expenditure.food')}
+                        ${this.renderField('Transport', this.formatCurrency(client.expenditure.transport, client.expenditure.currency), 'expenditure.transport')}
+                        ${this.renderField('Insurance', this.formatCurrency(client.expenditure.insurance, client.expenditure.currency), 'expenditure.insurance')}
+                        ${this.renderField('Childcare', this.formatCurrency(client.expenditure.childcare, client.expenditure.currency), 'expenditure.childcare')}
+                        ${this.renderField('School Fees', this.formatCurrency(client.expenditure.schoolFees, client.expenditure.currency), 'expenditure.schoolFees')}
+                        ${this.renderField('Entertainment', this.formatCurrency(client.expenditure.entertainment, client.expenditure.currency), 'expenditure.entertainment')}
+                        ${this.renderField('Total Monthly', this.formatCurrency(client.expenditure.totalMonthly, client.expenditure.currency), 'expenditure.totalMonthly')}
+                    </div>
+                </div>
+            </div>
+
+            <div class="card">
+                ${this.renderSectionHeader('Estate Planning', 'estatePlanning')}
+                <div class="card-body">
+                    <div class="data-grid">
+                        ${this.renderField('Will in Place', client.estatePlanning.willInPlace === null ? null : (client.estatePlanning.willInPlace ? 'Yes' : 'No'), 'estatePlanning.willInPlace')}
+                        ${this.renderField('Will Date', client.estatePlanning.willDate, 'estatePlanning.willDate')}
+                        ${this.renderField('Executors', client.estatePlanning.executors, 'estatePlanning.executors')}
+                        ${this.renderField('Power of Attorney', client.estatePlanning.powerOfAttorney === null ? null : (client.estatePlanning.powerOfAttorney ? 'Yes' : 'No'), 'estatePlanning.powerOfAttorney')}
+                        ${this.renderField('Trusts in Place', client.estatePlanning.trustsInPlace === null ? null : (client.estatePlanning.trustsInPlace ? 'Yes' : 'No'), 'estatePlanning.trustsInPlace')}
+                        ${this.renderField('Inheritance Tax Planning', client.estatePlanning.inheritanceTaxPlanning, 'estatePlanning.inheritanceTaxPlanning')}
+                    </div>
+                </div>
+            </div>
+        `;
+    },
+
+    // ========== RETIREMENT PROJECTION ==========
+
+    // Retirement tab: saved assumptions, projection summary, chart and year-by-year table
+    renderRetirementTab: function(client) {
+        const resolved = RetirementProjection.resolveAssumptions(client);
+        const stored = client.retirementPlanning || {};
+        const fields = [
+            ['valuationDate', 'Valuation Date'],
+            ['targetRetirementAge', 'Target Retirement Age'],
+            ['lifeExpectancy', 'Plan To Age'],
+            ['desiredAnnualIncome', 'Desired Annual Income (today\'s money)'],
+            ['currency', 'Plan Currency'],
+            ['otherAnnualIncome', 'Other Annual Income'],
+            ['statePensionAnnual', 'State Pension (annual)'],
+            ['statePensionAge', 'State Pension Age'],
+            ['additionalAnnualContribution', 'Additional Annual Contribution'],
+            ['contributionEndAge', 'Contributions Stop At Age'],
+            ['growthRate', 'Growth Rate (%)'],
+            ['inflationRate', 'Inflation (%)'],
+            ['charges', 'Charges (%)'],
+            ['withdrawalRate', 'Withdrawal Rate (%)'],
+            ['includeInvestments', 'Include Investments'],
+            ['includeCash', 'Include Cash']
+        ];
+
+        const formatDefault = (value) => {
+            if (value === null || value === undefined || value === '') return 'none';
+            if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+            return value;
+        };
+
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <span>Projection Assumptions</span>
+                    <div>
+                        <button class="btn btn-sm btn-secondary" onclick="App.previewRetirementProjection()">Run</button>
+                        <button class="btn btn-sm btn-primary" onclick="App.saveRetirementAssumptions()">Save Assumptions</button>
+                    </div>
+                </div>
+                <div class="card-body">
+                    <div class="field-editor-grid" id="retirementAssumptions">
+                        ${fields.map(([key, label]) => `
+                            <div class="form-group">
+                                <label>${label}</label>
+                                ${this.renderFieldInput(`retirementPlanning.${key}`, stored[key])}
+                                ${stored[key] === null || stored[key] === '' ? `
+                                    <small class="retirement-default">Using: ${this.escapeHtml(String(formatDefault(resolved[key])))}</small>
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p class="balance-sheet-note">
+                        Saved assumptions (including the valuation date used for ages and exchange rates)
+                        are stored on the client, so the same projection can be reproduced later.
+                    </p>
+                </div>
+            </div>
+
+            <div id="retirementResults">
+                ${this.renderRetirementResults(RetirementProjection.project(client))}
+            </div>
+        `;
+    },
+
+    // Summary, chart and table for a projection result
+    renderRetirementResults: function(projection) {
+        if (projection.error) {
+            return `<div class="alert alert-warning">${this.escapeHtml(projection.error)}</div>`;
+        }
+
+        const cur = projection.currency;
+        // Plain amounts: the whole projection is already in the plan currency
+        const formatter = new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 });
+        const money = (value) => value === null ? '-' : `${cur} ${formatter.format(value)}`;
+        const s = projection.summary;
+        const surplus = s.surplusDeficit;
+
+        return `
+            ${projection.unconverted.length > 0 ? `
+                <div class="alert alert-warning">
+                    Left out (no ${cur} exchange rate): ${projection.unconverted.map(u => `${this.escapeHtml(u.label)} (${this.escapeHtml(u.currency)})`).join(', ')}
+                </div>
+            ` : ''}
+
+            <div class="card">
+                <div class="card-header">Projection Summary</div>
+                <div class="card-body">
+                    <div class="balance-sheet-stats">
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${money(s.potAtRetirement)}</div>
+                            <div class="batch-stat-label">Pot at ${projection.assumptions.targetRetirementAge}</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${money(s.requiredPot)}</div>
+                            <div class="batch-stat-label">Required Pot (${projection.assumptions.withdrawalRate}% withdrawal)</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value ${surplus !== null && surplus < 0 ? 'negative' : ''}">${money(surplus)}</div>
+                            <div class="batch-stat-label">${surplus !== null && surplus < 0 ? 'Deficit' : 'Surplus'}</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${money(s.sustainableIncome)}</div>
+                            <div class="batch-stat-label">Sustainable Income / year</div>
+                        </div>
+                        <div class="batch-stat">
+                            <div class="batch-stat-value">${s.depletionAge !== null ? `Age ${s.depletionAge}` : 'Never'}</div>
+                            <div class="batch-stat-label">Money Runs Out</div>
+                        </div>
                     </div>
+                    ${this.renderRetirementChart(projection)}
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">Year by Year (${cur}, nominal)</div>
+                <div class="card-body" style="overflow-x: auto;">
+                    <table class="history-diff retirement-table">
+                        <thead>
+                            <tr>
+                                <th>Year</th><th>Age</th><th>Start</th><th>Contributions</th><th>Growth</th>
+                                <th>Income Needed</th><th>Other Income</th><th>Withdrawn</th><th>Shortfall</th><th>End</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${projection.rows.map(row => `
+                                <tr class="${row.phase}${row.shortfall > 0.5 ? ' shortfall' : ''}">
+                                    <td>${row.year}</td>
+                                    <td>${row.age}</td>
+                                    <td>${money(row.startBalance)}</td>
+                                    <td>${money(row.contributions)}</td>
+                                    <td>${money(row.growth)}</td>
+                                    <td>${money(row.incomeRequired)}</td>
+                                    <td>${money(row.otherIncome)}</td>
+                                    <td>${money(row.withdrawals)}</td>
+                                    <td>${row.shortfall > 0.5 ? money(row.shortfall) : '-'}</td>
+                                    <td>${money(row.endBalance)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
+    // SVG chart: pot balance as a line, yearly shortfall as bars, retirement age marked
+    renderRetirementChart: function(projection) {
+        const rows = projection.rows;
+        if (rows.length < 2) return '';
+
+        const width = 800, height = 240, pad = { top: 10, right: 10, bottom: 24, left: 10 };
+        const maxValue = Math.max(1, ...rows.map(r => Math.max(r.endBalance, r.startBalance, r.shortfall)));
+        const x = (i) => pad.left + i * (width - pad.left - pad.right) / (rows.length - 1);
+        const y = (v) => height - pad.bottom - (v / maxValue) * (height - pad.top - pad.bottom);
+        const barWidth = Math.max(2, (width - pad.left - pad.right) / rows.length * 0.6);
+
+        const line = rows.map((r, i) => `${i === 0 ? 'M' : 'L'}${x(i).toFixed(1)},${y(r.endBalance).toFixed(1)}`).join(' ');
+        const bars = rows.map((r, i) => r.shortfall > 0.5
+            ? `<rect class="chart-shortfall" x="${(x(i) - barWidth / 2).toFixed(1)}" y="${y(r.shortfall).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(height - pad.bottom - y(r.shortfall)).toFixed(1)}"><title>Age ${r.age}: shortfall</title></rect>`
+            : '').join('');
+        const retireIndex = rows.findIndex(r => r.phase === 'drawdown');
+        const labelEvery = Math.ceil(rows.length / 10);
+
+        return `
+            <svg class="retirement-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img"
+                 aria-label="Projected pot balance and yearly shortfall">
+                <line class="chart-axis" x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+                ${bars}
+                <path class="chart-balance" d="${line}"></path>
+                ${retireIndex > 0 ? `<line class="chart-retirement" x1="${x(retireIndex)}" y1="${pad.top}" x2="${x(retireIndex)}" y2="${height - pad.bottom}"></line>` : ''}
+                ${rows.map((r, i) => i % labelEvery === 0
+                    ? `<text class="chart-label" x="${x(i).toFixed(1)}" y="${height - 6}">${r.age}</text>` : '').join('')}
+            </svg>
+            <div class="chart-legend">
+                <span class="legend-balance">Pot balance</span>
+                <span class="legend-shortfall">Income shortfall</span>
+                <span class="legend-retirement">Retirement</span>
+                <span>Peak: ${projection.currency} ${new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 }).format(maxValue)}</span>
+            </div>
+        `;
+    },
+
+    // Re-run the projection with the assumptions currently in the form (not saved)
+    previewRetirementProjection: function() {
+        const edits = this.collectFieldEdits(document.getElementById('retirementAssumptions'));
+        const preview = JSON.parse(JSON.stringify(this.currentClient));
+        edits.forEach(edit => ClientSchema.setValue(preview, edit.path, edit.value));
+
+        document.getElementById('retirementResults').innerHTML =
+            this.renderRetirementResults(RetirementProjection.project(preview));
+    },
+
+    // Save the form's assumptions on the client; the valuation date is pinned so the
+    // projection stays reproducible
+    saveRetirementAssumptions: async function() {
+        const edits = this.collectFieldEdits(document.getElementById('retirementAssumptions'));
+        const dateEdit = edits.find(edit => edit.path === 'retirementPlanning.valuationDate');
+        if (dateEdit && !dateEdit.value) dateEdit.value = ExchangeRates.today();
+
+        await this.applyClientEdits(edits, 'Saved retirement assumptions');
+    },
+
+    // Render history tab (newest version first)
+    renderHistoryTab: function(client) {
+        const entries = (client.history || []).slice().reverse();
+
+        if (entries.length === 0) {
+            return '<div class="card"><div class="card-body"><p class="empty-state">No changes recorded yet</p></div></div>';
+        }
+
+        const formatValue = (value) => {
+            if (value === null || value === undefined || value === '') return '<span class="empty">empty</span>';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return this.escapeHtml(text);
+        };
+        const decisionLabels = { keep: 'Kept existing', accept: 'Accepted new', both: 'Recorded both' };
+
+        return this.renderValuePeriods(client, formatValue) + entries.map(entry => `
+            <div class="card history-entry">
+                <div class="card-header">
+                    <span>
+                        Version ${entry.version} &middot; ${this.escapeHtml(ClientHistory.formatSource(entry.source))}
+                        <span class="history-meta">
+                            ${new Date(entry.date).toLocaleString('en-GB')} by ${this.escapeHtml(entry.user || 'Unknown')}
+                            ${entry.note ? `&middot; ${this.escapeHtml(entry.note)}` : ''}
+                        </span>
+                    </span>
+                    ${entry.version !== client.version ? `
+                        <button class="btn btn-sm btn-secondary" onclick="App.restoreClientVersion(${entry.version})">Restore this version</button>
+                    ` : '<span class="history-current">Current</span>'}
+                </div>
+                <div class="card-body">
+                    ${entry.changes && entry.changes.length > 0 ? `
+                        <table class="history-diff">
+                            <thead>
+                                <tr><th>Field</th><th>Old Value</th><th>New Value</th><th></th></tr>
+                            </thead>
+                            <tbody>
+                                ${entry.changes.map((change, i) => `
+                                    <tr>
+                                        <td class="history-field">${this.escapeHtml(change.field)}</td>
+                                        <td class="history-old">${formatValue(change.oldValue)}</td>
+                                        <td class="history-new">${formatValue(change.newValue)}</td>
+                                        <td>
+                                            <button class="btn btn-sm btn-secondary" onclick="App.revertHistoryField(${entry.version}, ${i})">Revert</button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : '<p class="empty-state">No field changes in this version</p>'}
+                    ${entry.decisions ? `
+                        <h4 class="section-header">Conflicts resolved</h4>
+                        <table class="history-diff">
+                            <thead>
+                                <tr><th>Field</th><th>Decision</th><th>On record</th><th>From meeting</th></tr>
+                            </thead>
+                            <tbody>
+                                ${entry.decisions.map(d => `
+                                    <tr>
+                                        <td class="history-field">${this.escapeHtml(d.field)}</td>
+                                        <td>
+                                            ${this.escapeHtml(decisionLabels[d.decision] || d.decision)}
+                                            ${d.decision === ClientHistory.DECISIONS.BOTH ? `<span class="history-meta">old until ${this.escapeHtml(d.effectiveTo || '?')}, new from ${this.escapeHtml(d.effectiveFrom || '?')}</span>` : ''}
+                                        </td>
+                                        <td class="history-old">${formatValue(d.existingValue)}</td>
+                                        <td class="history-new">${formatValue(d.newValue)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    },
+
+    // Fields with more than one dated value (conflicts resolved with "record both")
+    renderValuePeriods: function(client, formatValue) {
+        const keys = Object.keys(client.valueHistory || {}).filter(key => client.valueHistory[key].length > 0);
+        if (keys.length === 0) return '';
+
+        // Keys use item ids ("pensions#<id>.provider"); show them as index paths
+        const label = (key) => key.replace(/^(\w+)#([^.]+)/, (match, section, id) => {
+            const index = (client[section] || []).findIndex(item => item.id === id);
+            return index === -1 ? `${section} (removed item)` : `${section}[${index}]`;
+        });
+
+        return `
+            <div class="card history-entry">
+                <div class="card-header">Dated values</div>
+                <div class="card-body">
+                    <table class="history-diff">
+                        <thead>
+                            <tr><th>Field</th><th>Value</th><th>From</th><th>Until</th><th>Source</th></tr>
+                        </thead>
+                        <tbody>
+                            ${keys.map(key => client.valueHistory[key].map((period, i) => `
+                                <tr>
+                                    <td class="history-field">${i === 0 ? this.escapeHtml(label(key)) : ''}</td>
+                                    <td>${formatValue(period.value)}</td>
+                                    <td>${this.escapeHtml(period.effectiveFrom || '-')}</td>
+                                    <td>${this.escapeHtml(period.effectiveTo || (i === client.valueHistory[key].length - 1 ? 'current' : '-'))}</td>
+                                    <td>${period.sourceQuote ? `“${this.escapeHtml(period.sourceQuote)}”` : ''}</td>
+                                </tr>
+                            `).join('')).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    },
+
+    // Render meetings tab: stored transcripts, newest first, with a reader below the list
+    renderMeetingsTab: async function(client) {
+        const area = document.getElementById('meetingsArea');
+        if (!area) return;
+
+        const transcripts = await Database.getTranscriptsForClient(client.id).catch(() => []);
+        if (transcripts.length === 0) {
+            area.innerHTML = '<div class="card"><div class="card-body"><p class="empty-state">No transcripts stored for this client yet</p></div></div>';
+            return;
+        }
+
+        // Fields on the record whose current value came from each transcript
+        const contributed = {};
+        Object.values(client.provenance || {}).forEach(entry => {
+            if (entry.transcriptId) contributed[entry.transcriptId] = (contributed[entry.transcriptId] || 0) + 1;
+        });
+        const meetingDate = (t) => String(t.meetingDate || t.uploadedAt || '').split('T')[0];
+        transcripts.sort((a, b) => meetingDate(b).localeCompare(meetingDate(a)));
+
+        area.innerHTML = `
+            <div class="card">
+                <div class="card-header">Meeting Transcripts (${transcripts.length})</div>
+                <div class="card-body">
+                    <table class="history-diff">
+                        <thead>
+                            <tr><th>Meeting Date</th><th>Transcript</th><th>Participants</th><th>Fields Contributed</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${transcripts.map(t => `
+                                <tr>
+                                    <td>${this.escapeHtml(meetingDate(t))}</td>
+                                    <td>
+                                        ${this.escapeHtml(t.fileName || 'Transcript')}
+                                        ${t.meeting && t.meeting.title ? `<div class="history-meta">${this.escapeHtml(t.meeting.title)}</div>` : ''}
+                                    </td>
+                                    <td>${t.meeting ? t.meeting.participants.map(p => this.escapeHtml(p.name)).join(', ') || '-' : '-'}</td>
+                                    <td>${contributed[t.id] || 0}</td>
+                                    <td class="meeting-actions">
+                                        <button class="btn btn-sm btn-secondary" onclick="App.openTranscriptReader('${this.escapeAttr(t.id)}')">Read</button>
+                                        <button class="btn btn-sm btn-secondary" onclick="App.rerunExtraction('${this.escapeAttr(t.id)}')">Re-run Extraction</button>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
                 </div>
             </div>
+
+            <div id="transcriptReaderArea"></div>
         `;
     },
 
+    // Show a stored transcript as speaker turns, with search
+    openTranscriptReader: async function(id) {
+        try {
+            const transcript = await Database.getTranscript(id);
+            const area = document.getElementById('transcriptReaderArea');
+            if (!transcript || !area) return;
+
+            this.currentTranscript = { transcript: transcript, parsed: TranscriptParser.parse(transcript.content), match: 0 };
+            area.innerHTML = `
+                <div class="card">
+                    <div class="card-header">
+                        <span>${this.escapeHtml(transcript.fileName || 'Transcript')}</span>
+                        <button class="btn btn-sm btn-secondary" onclick="document.getElementById('transcriptReaderArea').innerHTML = ''">Close</button>
+                    </div>
+                    <div class="card-body">
+                        <div class="transcript-search">
+                            <input type="search" id="transcriptSearch" class="form-control" placeholder="Search this transcript">
+                            <span id="transcriptSearchCount" class="transcript-search-count"></span>
+                            <button class="btn btn-sm btn-secondary" onclick="App.stepTranscriptMatch(-1)">&#8593;</button>
+                            <button class="btn btn-sm btn-secondary" onclick="App.stepTranscriptMatch(1)">&#8595;</button>
+                        </div>
+                        <div class="transcript-viewer" id="transcriptReaderBody">
+                            ${this.renderTranscriptTurns('')}
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            const search = document.getElementById('transcriptSearch');
+            search.addEventListener('input', () => this.searchTranscript(search.value));
+            search.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.stepTranscriptMatch(e.shiftKey ? -1 : 1);
+            });
+            area.scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Failed to open transcript:', error);
+            this.showAlert('Failed to open transcript: ' + error.message, 'danger');
+        }
+    },
+
+    // Speaker turns of the open transcript (plain lines when no speakers were recognised),
+    // with matches of query marked
+    renderTranscriptTurns: function(query) {
+        const { transcript, parsed } = this.currentTranscript;
+        const clock = (seconds) => new Date(seconds * 1000).toISOString().substr(11, 8);
+
+        if (parsed.utterances.length === 0) {
+            return (transcript.content || '').split(/\r?\n/).map((line, i) => `
+                <div class="transcript-line">
+                    <span class="transcript-line-number">${i + 1}</span>
+                    <span class="transcript-line-text">${this.highlightText(line, query) || '&nbsp;'}</span>
+                </div>
+            `).join('');
+        }
+
+        return parsed.utterances.map(u => `
+            <div class="transcript-turn transcript-turn-${u.role}">
+                <div class="transcript-speaker">
+                    ${this.highlightText(u.speaker, query)}
+                    ${u.role !== 'other' ? `<span class="meeting-role">${u.role}</span>` : ''}
+                    ${u.timestamp !== null ? `<span class="transcript-time">${clock(u.timestamp)}</span>` : ''}
+                    <span class="transcript-time">line ${u.line}</span>
+                </div>
+                <div class="transcript-line-text">${this.highlightText(u.text, query)}</div>
+            </div>
+        `).join('');
+    },
+
+    // Escaped text with case-insensitive matches of query wrapped in <mark>
+    highlightText: function(text, query) {
+        if (!query) return this.escapeHtml(text);
+        const pattern = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+        return String(text).split(pattern)
+            .map((part, i) => i % 2 === 1 ? `<mark class="transcript-match">${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+            .join('');
+    },
+
+    searchTranscript: function(query) {
+        if (!this.currentTranscript) return;
+        const body = document.getElementById('transcriptReaderBody');
+        body.innerHTML = this.renderTranscriptTurns(query.trim());
+        this.currentTranscript.match = -1;
+        this.stepTranscriptMatch(1);
+    },
+
+    // Move to the next (1) or previous (-1) search match
+    stepTranscriptMatch: function(step) {
+        const matches = document.querySelectorAll('#transcriptReaderBody .transcript-match');
+        const count = document.getElementById('transcriptSearchCount');
+        const query = document.getElementById('transcriptSearch').value.trim();
+        if (matches.length === 0) {
+            count.textContent = query ? 'No matches' : '';
+            return;
+        }
+
+        const current = (this.currentTranscript.match + step + matches.length) % matches.length;
+        this.currentTranscript.match = current;
+        matches.forEach((mark, i) => mark.classList.toggle('current', i === current));
+        matches[current].scrollIntoView({ block: 'center' });
+        count.textContent = `${current + 1} of ${matches.length}`;
+    },
+
+    // Extract a stored transcript again with the current provider, model and prompt; the
+    // result goes to review like a new upload
+    rerunExtraction: async function(id) {
+        try {
+            const transcript = await Database.getTranscript(id);
+            if (!transcript) {
+                this.showAlert('Transcript no longer exists', 'warning');
+                return;
+            }
+
+            this.switchTab('upload');
+            this.renderExtractionProgress();
+            await this.extractForReview(transcript, TranscriptParser.parse(transcript.content), 'rerun');
+        } catch (error) {
+            console.error('Re-extraction error:', error);
+            this.showAlert('Failed to re-run extraction: ' + error.message, 'danger');
+            const reviewArea = document.getElementById('extractionReviewArea');
+            if (reviewArea) reviewArea.innerHTML = '';
+        }
+    },
+
+    // Restore the current client to the state saved at a previous version
+    restoreClientVersion: async function(version) {
+        if (!this.currentClient) return;
+        if (!confirm(`Restore this client to version ${version}? The current state stays in the history.`)) return;
+
+        try {
+            const record = await Database.getClientVersion(this.currentClientId, version);
+            if (!record) {
+                this.showAlert(`No snapshot stored for version ${version}`, 'warning');
+                return;
+            }
+
+            const restored = ClientHistory.restoreFromSnapshot(this.currentClient, record.snapshot);
+            await Database.saveClient(restored, {
+                source: ClientHistory.SOURCES.RESTORE,
+                note: `Restored to version ${version}`
+            });
+
+            await this.selectClient(this.currentClientId);
+            await this.loadClientList();
+            this.switchTab('history');
+            this.showAlert(`Client restored to version ${version}`, 'success');
+        } catch (error) {
+            console.error('Failed to restore version:', error);
+            this.showAlert('Failed to restore: ' + error.message, 'danger');
+        }
+    },
+
+    // Set a single field back to its value before a history entry
+    revertHistoryField: async function(version, changeIndex) {
+        if (!this.currentClient) return;
+
+        const entry = (this.currentClient.history || []).find(h => h.version === version);
+        const change = entry && entry.changes ? entry.changes[changeIndex] : null;
+        if (!change) return;
+
+        try {
+            const updated = ClientHistory.revertField(this.currentClient, change.field, change.oldValue);
+            await Database.saveClient(updated, {
+                source: ClientHistory.SOURCES.REVERT,
+                note: `${change.field} reverted from version ${version}`
+            });
+
+            await this.selectClient(this.currentClientId);
+            this.switchTab('history');
+            this.showAlert(`Reverted ${change.field}`, 'success');
+        } catch (error) {
+            console.error('Failed to revert field:', error);
+            this.showAlert('Failed to revert: ' + error.message, 'danger');
+        }
+    },
+
     // Render upload tab
     renderUploadTab: function() {
         return `
@@ -700,9 +1481,9 @@ const App = {
                     <div class="upload-area" id="uploadArea">
                         <div class="upload-icon">📄</div>
                         <h3>Drop transcript file here</h3>
-                        <p>or click to browse (.txt files)</p>
+                        <p>or click to browse (.txt, .vtt, .srt or .docx)</p>
                     </div>
-                    <input type="file" id="transcriptFile" accept=".txt" style="display: none;">
+                    <input type="file" id="transcriptFile" accept="${TranscriptImport.ACCEPT}" style="display: none;">
 
                     <div class="alert alert-info" style="margin-top: 20px;">
                         <strong>Tip:</strong> Upload meeting transcripts to automatically extract client data.
@@ -711,6 +1492,7 @@ const App = {
                 </div>
             </div>
 
+            <div id="pendingReviewArea"></div>
             <div id="extractionReviewArea"></div>
         `;
     },
@@ -751,46 +1533,76 @@ const App = {
 
     // Render settings tab
     renderSettingsTab: function() {
-        const provider = Extraction.getProvider();
-        const apiKeyClaude = localStorage.getItem('adviserAI_apiKey_claude') || '';
-        const apiKeyOpenAI = localStorage.getItem('adviserAI_apiKey_openai') || '';
-        const model = Extraction.getModel() || '';
+        const provider = LLMProviders.getProvider();
         return `
             <div class="card">
-                <div class="card-header">API Settings</div>
+                <div class="card-header">LLM Provider</div>
                 <div class="card-body">
                     <div class="form-group">
-                        <label for="provider">LLM Provider</label>
-                        <select id="provider" class="form-control">
-                            <option value="claude" ${provider === 'claude' ? 'selected' : ''}>Claude (Anthropic)</option>
-                            <option value="openai" ${provider === 'openai' ? 'selected' : ''}>OpenAI (GPT-4o)</option>
+                        <label for="provider">Provider</label>
+                        <select id="provider" class="form-control" onchange="App.showProviderSettings(this.value)">
+                            ${LLMProviders.list().map(adapter => `
+                                <option value="${adapter.id}" ${adapter.id === provider ? 'selected' : ''}>${this.escapeHtml(adapter.label)}</option>
+                            `).join('')}
                         </select>
                     </div>
+                    ${LLMProviders.list().map(adapter => this.renderProviderSettings(adapter, adapter.id === provider)).join('')}
                     <div class="form-group">
-                        <label for="model">Model</label>
-                        <select id="model" class="form-control">
-                            <option value="gpt-4o" ${model === 'gpt-4o' ? 'selected' : ''}>OpenAI: gpt-4o</option>
-                            <option value="gpt-4.1" ${model === 'gpt-4.1' ? 'selected' : ''}>OpenAI: gpt-4.1</option>
-                            <option value="claude-opus-4-20250514" ${model === 'claude-opus-4-20250514' ? 'selected' : ''}>Claude: opus-4</option>
-                            <option value="claude-sonnet-4-20250514" ${model === 'claude-sonnet-4-20250514' ? 'selected' : ''}>Claude: sonnet-4</option>
-                        </select>
+                        <label>
+                            <input type="checkbox" id="extractBySection" ${Extraction.getSectionBySection() ? 'checked' : ''}>
+                            Extract section by section
+                        </label>
+                        <p style="margin-top: 4px; font-size: 0.8rem; color: var(--text-secondary);">
+                            One call per group of factfind sections: slower and uses more tokens, but fewer details are missed.
+                        </p>
                     </div>
                     <div class="form-group">
-                        <label for="apiKeyClaude">Claude API Key</label>
-                        <input type="password" id="apiKeyClaude" class="form-control"
-                               placeholder="sk-ant-..."
-                               value="${apiKeyClaude}">
+                        <label>
+                            <input type="checkbox" id="demoMode" ${Extraction.getDemoMode() ? 'checked' : ''}>
+                            Demo mode
+                        </label>
+                        <p style="margin-top: 4px; font-size: 0.8rem; color: var(--text-secondary);">
+                            Every extraction shows the same sample client, whatever the transcript says. For trying the
+                            app only; batch processing is off. Without a provider, transcripts are read by local pattern matching.
+                        </p>
                     </div>
+                    <p style="margin-top: 8px; font-size: 0.8rem; color: var(--text-secondary);">
+                        Keys are stored locally and only sent to the selected provider. A local endpoint keeps
+                        transcripts on this machine.
+                    </p>
+                    <button class="btn btn-primary" id="btnSaveApiKey">Save Provider Settings</button>
+                    <button class="btn btn-secondary" onclick="App.testProvider()">Test Connection</button>
+                    <span id="providerTestResult" class="provider-test-result"></span>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">Adviser Profile</div>
+                <div class="card-body">
                     <div class="form-group">
-                        <label for="apiKeyOpenAI">OpenAI API Key</label>
-                        <input type="password" id="apiKeyOpenAI" class="form-control"
-                               placeholder="sk-..."
-                               value="${apiKeyOpenAI}">
+                        <label for="adviserName">Your Name</label>
+                        <input type="text" id="adviserName" class="form-control"
+                               placeholder="e.g. Paul Borg"
+                               value="${this.escapeHtml(Provenance.getCurrentUser())}">
                         <p style="margin-top: 8px; font-size: 0.8rem; color: var(--text-secondary);">
-                            Keys are stored locally and only sent to the selected provider.
+                            Recorded against every field you approve, for compliance review.
                         </p>
                     </div>
-                    <button class="btn btn-primary" id="btnSaveApiKey">Save API Key</button>
+                    <button class="btn btn-primary" id="btnSaveAdviserName">Save Name</button>
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">Auto-Approval Policy</div>
+                <div class="card-body">
+                    ${this.renderApprovalPolicyEditor()}
+                </div>
+            </div>
+
+            <div class="card">
+                <div class="card-header">Exchange Rates</div>
+                <div class="card-body" id="fxRatesBody">
+                    ${this.renderRateTableEditor()}
                 </div>
             </div>
 
@@ -812,10 +1624,30 @@ const App = {
             this.saveApiKey();
         });
 
-        document.getElementById('btnExportAllData')?.addEventListener('click', () => {
+        document.getElementById('btnSaveAdviserName')?.addEventListener('click', () => {
+            const name = document.getElementById('adviserName')?.value.trim() || '';
+            if (!name) {
+                this.showAlert('Please enter your name', 'warning');
+                return;
+            }
+            Provenance.setCurrentUser(name);
+            this.showAlert('Adviser name saved', 'success');
+        });
+
+        document.getElementById('btnExportAllData')?.addEventListener('click', () => {
             this.exportAllData();
         });
 
+        this.attachRateEditorListeners();
+
+        document.getElementById('btnAddPolicyRule')?.addEventListener('click', () => {
+            document.getElementById('policyRuleBody').insertAdjacentHTML('beforeend', this.renderPolicyRuleRow());
+        });
+
+        document.getElementById('btnSavePolicy')?.addEventListener('click', () => {
+            this.saveApprovalPolicy();
+        });
+
         document.getElementById('btnImportData')?.addEventListener('click', () => {
             document.getElementById('importDataFile').click();
         });
@@ -827,6 +1659,228 @@ const App = {
         });
     },
 
+    // Editable table of dated exchange rates (stored in IndexedDB, used offline)
+    renderRateTableEditor: function() {
+        const reporting = ExchangeRates.getReportingCurrency();
+        const currencyOptions = FieldRegistry.CURRENCIES
+            .map(c => `<option value="${c}" ${c === reporting ? 'selected' : ''}>${c}</option>`).join('');
+        const rates = ExchangeRates.rates.slice()
+            .sort((a, b) => a.pair.localeCompare(b.pair) || b.date.localeCompare(a.date));
+
+        return `
+            <p style="margin-bottom: 15px;">
+                Rates are stored locally and used for totals and "≈" conversions. Each row means
+                1 unit of <em>From</em> is worth <em>Rate</em> units of <em>To</em> on that date.
+                Tick <em>Planning</em> for a rate agreed with the client.
+            </p>
+            <div class="form-group">
+                <label for="fxReportingCurrency">Reporting Currency</label>
+                <select id="fxReportingCurrency" class="form-control">${currencyOptions}</select>
+            </div>
+            <table class="rate-table">
+                <thead><tr><th>From</th><th>To</th><th>Rate</th><th>Date</th><th>Planning</th><th></th></tr></thead>
+                <tbody id="rateTableBody">
+                    ${rates.map(r => this.renderRateRow(r)).join('')}
+                </tbody>
+            </table>
+            <button class="btn btn-secondary" id="btnAddRate">+ Add Rate</button>
+            <button class="btn btn-primary" id="btnSaveRates" style="margin-left: 10px;">Save Rates</button>
+            <button class="btn btn-secondary" id="btnImportRates" style="margin-left: 10px;">Import CSV/JSON</button>
+            <input type="file" id="importRatesFile" accept=".csv,.json,.txt" style="display: none;">
+        `;
+    },
+
+    renderRateRow: function(rate = {}) {
+        const reporting = ExchangeRates.getReportingCurrency();
+        return `
+            <tr data-source="${this.escapeAttr(rate.source || ExchangeRates.SOURCES.MANUAL)}" data-note="${this.escapeAttr(rate.note || '')}">
+                <td><input type="text" class="form-control rate-from" maxlength="3" placeholder="AUD" value="${this.escapeAttr(rate.from || '')}"></td>
+                <td><input type="text" class="form-control rate-to" maxlength="3" value="${this.escapeAttr(rate.to || reporting)}"></td>
+                <td><input type="number" step="any" min="0" class="form-control rate-value" value="${rate.rate || ''}"></td>
+                <td><input type="date" class="form-control rate-date" value="${rate.date || ExchangeRates.today()}"></td>
+                <td><input type="checkbox" class="rate-planning" ${rate.source === ExchangeRates.SOURCES.PLANNING ? 'checked' : ''}></td>
+                <td><button class="btn-remove-item" title="Remove" onclick="this.closest('tr').remove()">&times;</button></td>
+            </tr>
+        `;
+    },
+
+    // Save the edited rate table, replacing what is stored
+    saveRateTable: async function() {
+        const rates = [];
+        const seen = new Set();
+
+        try {
+            document.querySelectorAll('#rateTableBody tr').forEach((row, i) => {
+                const from = row.querySelector('.rate-from').value.trim();
+                if (!from) return;
+
+                const planning = row.querySelector('.rate-planning').checked;
+                const source = planning
+                    ? ExchangeRates.SOURCES.PLANNING
+                    : (row.dataset.source === ExchangeRates.SOURCES.PLANNING ? ExchangeRates.SOURCES.MANUAL : row.dataset.source);
+                const rate = ExchangeRates.validateRate(ExchangeRates.createRate(
+                    from,
+                    row.querySelector('.rate-to').value,
+                    parseFloat(row.querySelector('.rate-value').value),
+                    row.querySelector('.rate-date').value,
+                    source,
+                    row.dataset.note || ''
+                ), i + 1);
+
+                if (seen.has(rate.id)) throw new Error(`Row ${i + 1}: duplicate ${rate.pair} rate for ${rate.date}`);
+                seen.add(rate.id);
+                rates.push(rate);
+            });
+
+            ExchangeRates.setReportingCurrency(document.getElementById('fxReportingCurrency').value);
+            await ExchangeRates.replaceAll(rates);
+            this.refreshRateEditor();
+            this.showAlert('Exchange rates saved', 'success');
+        } catch (error) {
+            this.showAlert('Rates not saved: ' + error.message, 'warning');
+        }
+    },
+
+    // Import rates from a CSV or JSON file
+    importRates: async function(file) {
+        try {
+            const text = await this.readFileAsText(file);
+            const rates = await ExchangeRates.importFile(file.name, text);
+            this.refreshRateEditor();
+            this.showAlert(`Imported ${rates.length} exchange rate(s)`, 'success');
+        } catch (error) {
+            console.error('Rate import failed:', error);
+            this.showAlert('Rate import failed: ' + error.message, 'danger');
+        }
+    },
+
+    // Re-render the rate editor in place after a save or import
+    refreshRateEditor: function() {
+        const container = document.getElementById('fxRatesBody');
+        if (!container) return;
+        container.innerHTML = this.renderRateTableEditor();
+        this.attachRateEditorListeners();
+    },
+
+    attachRateEditorListeners: function() {
+        document.getElementById('btnAddRate')?.addEventListener('click', () => {
+            document.getElementById('rateTableBody').insertAdjacentHTML('beforeend', this.renderRateRow());
+        });
+
+        document.getElementById('btnSaveRates')?.addEventListener('click', () => {
+            this.saveRateTable();
+        });
+
+        document.getElementById('btnImportRates')?.addEventListener('click', () => {
+            document.getElementById('importRatesFile').click();
+        });
+
+        document.getElementById('importRatesFile')?.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importRates(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+    },
+
+    // Policy for unattended saves in batch processing: global threshold, rules per section
+    // or field (a threshold of their own, or never auto-approved) and overwrite protection
+    renderApprovalPolicyEditor: function() {
+        const policy = ApprovalPolicy.getPolicy();
+        const patterns = Object.keys(policy.overrides);
+        policy.neverAuto.forEach(pattern => { if (!patterns.includes(pattern)) patterns.push(pattern); });
+
+        return `
+            <p style="margin-bottom: 15px;">
+                Batch processing saves a field without review only when this policy allows it. Everything
+                else waits in the client's review queue (Upload tab). Values that cannot be found near their
+                quote in the transcript are always reviewed.
+            </p>
+            <div class="form-group">
+                <label for="policyThreshold">Minimum confidence (%)</label>
+                <input type="number" id="policyThreshold" class="form-control" min="0" max="100" step="5"
+                       value="${Math.round(policy.threshold * 100)}">
+            </div>
+            <div class="form-group">
+                <label>
+                    <input type="checkbox" id="policyProtectExisting" ${policy.protectExisting ? 'checked' : ''}>
+                    Never overwrite a stored value automatically
+                </label>
+                <p style="margin-top: 4px; font-size: 0.8rem; color: var(--text-secondary);">
+                    When unticked, a change the client stated (e.g. a new employer) may replace the stored value.
+                    Contradictions are always reviewed.
+                </p>
+            </div>
+            <table class="rate-table policy-table">
+                <thead><tr><th>Section or field</th><th>Min. confidence (%)</th><th>Never auto-approve</th><th></th></tr></thead>
+                <tbody id="policyRuleBody">
+                    ${patterns.map(pattern => this.renderPolicyRuleRow({
+                        pattern: pattern,
+                        threshold: policy.overrides[pattern],
+                        never: policy.neverAuto.includes(pattern)
+                    })).join('')}
+                </tbody>
+            </table>
+            <datalist id="policyPatterns">
+                ${ApprovalPolicy.getRulePatterns().map(p => `<option value="${this.escapeAttr(p)}">`).join('')}
+            </datalist>
+            <button class="btn btn-secondary" id="btnAddPolicyRule">+ Add Rule</button>
+            <button class="btn btn-primary" id="btnSavePolicy" style="margin-left: 10px;">Save Policy</button>
+        `;
+    },
+
+    renderPolicyRuleRow: function(rule = {}) {
+        return `
+            <tr>
+                <td><input type="text" class="form-control policy-pattern" list="policyPatterns"
+                           placeholder="e.g. pensions or personal.email" value="${this.escapeAttr(rule.pattern || '')}"></td>
+                <td><input type="number" class="form-control policy-rule-threshold" min="0" max="100" step="5"
+                           value="${rule.threshold !== undefined && rule.threshold !== null ? Math.round(rule.threshold * 100) : ''}"></td>
+                <td><input type="checkbox" class="policy-never" ${rule.never ? 'checked' : ''}></td>
+                <td><button class="btn-remove-item" title="Remove" onclick="this.closest('tr').remove()">&times;</button></td>
+            </tr>
+        `;
+    },
+
+    saveApprovalPolicy: function() {
+        const percent = (input, label) => {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < 0 || value > 100) throw new Error(`${label}: enter a confidence between 0 and 100`);
+            return value / 100;
+        };
+
+        try {
+            const known = ApprovalPolicy.getRulePatterns();
+            const policy = {
+                threshold: percent(document.getElementById('policyThreshold'), 'Minimum confidence'),
+                overrides: {},
+                neverAuto: [],
+                protectExisting: document.getElementById('policyProtectExisting').checked
+            };
+
+            document.querySelectorAll('#policyRuleBody tr').forEach((row, i) => {
+                const pattern = row.querySelector('.policy-pattern').value.trim();
+                if (!pattern) return;
+                if (!known.includes(pattern)) throw new Error(`Row ${i + 1}: "${pattern}" is not a section or field`);
+
+                const never = row.querySelector('.policy-never').checked;
+                const threshold = row.querySelector('.policy-rule-threshold');
+                if (never) {
+                    policy.neverAuto.push(pattern);
+                } else if (threshold.value !== '') {
+                    policy.overrides[pattern] = percent(threshold, `Row ${i + 1}`);
+                } else {
+                    throw new Error(`Row ${i + 1}: set a minimum confidence or tick "Never auto-approve"`);
+                }
+            });
+
+            ApprovalPolicy.setPolicy(policy);
+            this.showAlert('Auto-approval policy saved', 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'warning');
+        }
+    },
+
     // Handle adding a new client
     handleAddClient: async function() {
         const firstName = document.getElementById('newClientFirstName').value.trim();
@@ -868,48 +1922,33 @@ const App = {
 
     // Handle transcript upload
     handleTranscriptUpload: async function(file) {
-        if (!file.name.endsWith('.txt')) {
-            this.showAlert('Please upload a .txt file', 'warning');
+        if (!TranscriptImport.isSupported(file.name)) {
+            this.showAlert('Please upload a .txt, .vtt, .srt or .docx transcript', 'warning');
             return;
         }
 
         try {
-            // Read file content
-            const text = await this.readFileAsText(file);
+            // Read file content (captions and Word documents are converted to plain transcript text)
+            const text = await TranscriptImport.readFile(file);
 
             // Show processing state
-            const reviewArea = document.getElementById('extractionReviewArea');
-            reviewArea.innerHTML = `
-                <div class="card">
-                    <div class="card-body" style="text-align: center; padding: 40px;">
-                        <div class="spinner" style="border-color: var(--primary-color); border-top-color: transparent; width: 40px; height: 40px; margin: 0 auto 20px;"></div>
-                        <h3>Processing Transcript...</h3>
-                        <p style="color: var(--text-secondary);">Extracting client data using AI</p>
-                    </div>
-                </div>
-            `;
+            this.renderExtractionProgress();
 
-            // Save transcript
+            // Save transcript with the parsed meeting details
+            const parsed = TranscriptParser.parse(text);
             const transcript = {
                 clientId: this.currentClientId,
                 fileName: file.name,
+                sourceFormat: TranscriptImport.getExtension(file.name),
                 content: text,
+                meetingDate: parsed.meetingDate,
+                meeting: TranscriptParser.getMeetingInfo(parsed),
                 uploadedAt: new Date().toISOString()
             };
             await Database.saveTranscript(transcript);
 
-            // Extract data
-            const extraction = await Extraction.extractFromTranscript(text, this.currentClient);
-
-            if (!extraction.success) {
-                throw new Error(extraction.error || 'Extraction failed');
-            }
-
-            // Store current extraction for approval
-            this.currentExtraction = extraction;
-
-            // Show review interface
-            this.renderExtractionReview(extraction);
+            // Extract data and send it to review
+            await this.extractForReview(transcript, parsed, 'upload');
 
         } catch (error) {
             console.error('Transcript processing error:', error);
@@ -918,12 +1957,62 @@ const App = {
         }
     },
 
+    // Spinner with a progress line in the review area while an extraction runs
+    renderExtractionProgress: function() {
+        document.getElementById('extractionReviewArea').innerHTML = `
+            <div class="card">
+                <div class="card-body" style="text-align: center; padding: 40px;">
+                    <div class="spinner" style="border-color: var(--primary-color); border-top-color: transparent; width: 40px; height: 40px; margin: 0 auto 20px;"></div>
+                    <h3>Processing Transcript...</h3>
+                    <p style="color: var(--text-secondary);">Extracting client data using AI</p>
+                    <p class="extraction-progress" id="extractionProgress"></p>
+                </div>
+            </div>
+        `;
+    },
+
+    // Extract a stored transcript for the current client, keep the result as a pending
+    // review (so it survives a refresh and can be reviewed in another session) and show it
+    extractForReview: async function(transcript, parsed, source) {
+        const extraction = await Extraction.extractFromTranscript(transcript.content, this.currentClient, parsed, (progress) => {
+            const progressEl = document.getElementById('extractionProgress');
+            if (progressEl && (progress.total > 1 || progress.section)) {
+                const part = progress.total > 1 ? `Long transcript: part ${progress.chunk} of ${progress.total}` : 'Extracting';
+                const section = progress.section && progress.status === 'extracting' ? ` - ${progress.section}` : '';
+                progressEl.textContent = `${part}${section} ${progress.status === 'extracting' ? 'in progress' : progress.status}`;
+            }
+        });
+
+        if (!extraction.success) {
+            throw new Error(extraction.error || 'Extraction failed');
+        }
+
+        // Link the extraction to its transcript for provenance
+        extraction.transcriptId = transcript.id;
+        extraction.fileName = transcript.fileName;
+        extraction.meetingDate = transcript.meetingDate || transcript.uploadedAt;
+        extraction.meeting = transcript.meeting;
+        extraction.itemMatches = extraction.itemMatches || Extraction.matchArrayItems(extraction.data, this.currentClient);
+
+        const record = await Database.saveExtraction(this.toReviewRecord(extraction, this.currentClientId, source));
+        extraction.pendingId = record.id;
+
+        // Store current extraction for approval
+        this.currentExtraction = extraction;
+        this.renderPendingReviews();
+        this.updateInboxCount();
+
+        // Show review interface
+        this.renderExtractionReview(extraction);
+    },
+
     // Render extraction review interface
     renderExtractionReview: function(extraction) {
         const reviewArea = document.getElementById('extractionReviewArea');
 
-        // Find conflicts with existing data
-        const conflicts = Extraction.findConflicts(this.currentClient, extraction.data);
+        // Values that differ from what is on record are resolved separately (keep / accept / both)
+        const conflicts = Extraction.findConflicts(this.currentClient, extraction.data, extraction.itemMatches);
+        this.currentConflicts = conflicts;
 
         let html = '';
 
@@ -931,20 +2020,85 @@ const App = {
         if (extraction.isDemo) {
             html += `
                 <div class="alert alert-warning">
-                    <strong>Demo Mode:</strong> No API key configured. Showing sample extracted data.
-                    Go to Settings to add your LLM API key for real extraction.
+                    <strong>Demo Mode:</strong> showing sample data, not data from this transcript.
+                    Turn demo mode off in Settings before working with real clients.
                 </div>
             `;
         }
 
+        // Extracted without a provider (RuleExtraction)
+        if (extraction.offline) {
+            html += `
+                <div class="alert alert-info">
+                    <strong>Offline extraction:</strong> no LLM provider is configured, so only plainly stated facts
+                    (names, dates, nationality, employer, salary, family and amounts) were read by pattern matching.
+                    Go to Settings to add an API key or a local endpoint for a full extraction.
+                </div>
+            `;
+        }
+
+        // Follow-up meetings list only what changed (see Extraction.labelChanges)
+        const changes = extraction.incremental ? this.countChanges(extraction.data) : null;
+
         // Summary
         html += `
             <div class="summary-card">
-                <h4>Extraction Summary</h4>
+                <h4>${changes ? `Changes since last meeting${extraction.lastMeetingDate ? ` (${this.escapeHtml(extraction.lastMeetingDate)})` : ''}` : 'Extraction Summary'}</h4>
                 <p>${extraction.summary}</p>
+                ${changes ? `
+                    <p class="extraction-changes">
+                        <span class="change-badge change-new">${changes.new} new</span>
+                        <span class="change-badge change-updated">${changes.updated} updated</span>
+                        <span class="change-badge change-contradiction">${changes.contradiction} contradicted</span>
+                        ${changes.unchanged > 0 ? `<span class="change-unchanged-note">${changes.unchanged} unchanged fact(s) hidden</span>` : ''}
+                    </p>
+                ` : ''}
+                ${(extraction.reviews || []).filter(r => r.action === 'partial').map(r => `
+                    <p class="extraction-usage">${r.fields} field(s) reviewed by ${this.escapeHtml(r.by)} on ${new Date(r.at).toLocaleString('en-GB')}</p>
+                `).join('')}
+                ${extraction.usage ? `
+                    <p class="extraction-usage">
+                        ${this.escapeHtml(extraction.model || '')} &middot; ${extraction.usage.calls} call(s) &middot;
+                        ${extraction.usage.inputTokens.toLocaleString()} tokens in / ${extraction.usage.outputTokens.toLocaleString()} out
+                    </p>
+                ` : ''}
             </div>
         `;
 
+        // Keys the model invented and values that did not fit their field, even after the repair pass
+        if ((extraction.unknownKeys && extraction.unknownKeys.length > 0) ||
+            (extraction.validationErrors && extraction.validationErrors.length > 0)) {
+            const invalid = (extraction.validationErrors || []).map(e => `${e.path.replace(/\.value$/, '')} (${e.message})`);
+            html += `
+                <div class="alert alert-warning">
+                    <strong>Not saved:</strong> some of the AI response did not match the client record and was left out.
+                    ${extraction.unknownKeys.length > 0 ? `<br>Unknown fields: ${this.escapeHtml(extraction.unknownKeys.join(', '))}` : ''}
+                    ${invalid.length > 0 ? `<br>Invalid values: ${this.escapeHtml(invalid.join('; '))}` : ''}
+                </div>
+            `;
+        }
+
+        // Parts of a long transcript that could not be extracted
+        if (extraction.chunkErrors && extraction.chunkErrors.length > 0) {
+            html += `
+                <div class="alert alert-warning">
+                    <strong>Partly extracted:</strong> ${extraction.chunkErrors.length} extraction call(s) failed
+                    (${this.escapeHtml(extraction.chunkErrors.join('; '))}). Facts from those lines are missing.
+                </div>
+            `;
+        }
+
+        // Values the local check could not find in the transcript (Verification)
+        const unverified = Verification.countUnverified(extraction.data);
+        if (unverified > 0) {
+            html += `
+                <div class="alert alert-warning">
+                    <strong>Possibly invented:</strong> ${unverified} value(s) do not appear near their quote in the
+                    transcript. Their confidence was lowered and they are not selected - check them before saving.
+                </div>
+            `;
+        }
+
         // Missing fields
         if (extraction.missingFields && extraction.missingFields.length > 0) {
             html += `
@@ -957,35 +2111,41 @@ const App = {
             `;
         }
 
-        // Conflicts
-        if (conflicts.length > 0) {
-            html += `
-                <div class="alert alert-danger">
-                    <strong>Conflicts Found:</strong> ${conflicts.length} field(s) have different values than existing data.
-                    Review carefully before approving.
-                </div>
-            `;
-        }
+        // Filled in once the transcript is loaded (quotes that could not be found)
+        html += '<div id="reviewQuoteNotice"></div>';
 
-        // Extracted fields
+        // Transcript beside the conflicts and extracted fields; clicking a field shows its passage
         html += `
-            <div class="card">
-                <div class="card-header">
-                    <span>Extracted Data</span>
-                    <div>
-                        <button class="btn btn-sm btn-secondary" onclick="App.selectAllFields()">Select All</button>
-                        <button class="btn btn-sm btn-secondary" onclick="App.deselectAllFields()">Deselect All</button>
+            <div class="review-split">
+                <div class="card review-transcript">
+                    <div class="card-header">Transcript</div>
+                    <div class="transcript-viewer" id="reviewTranscriptPane">
+                        <p class="empty-state">Loading transcript...</p>
                     </div>
                 </div>
-                <div class="card-body">
-                    <form id="extractionForm">
-                        ${this.renderExtractionFields(extraction.data, '', conflicts)}
-                    </form>
+                <div class="review-fields">
+                    ${this.renderConflictResolution(conflicts, extraction)}
+                    <div class="card">
+                        <div class="card-header">
+                            <span>Extracted Data</span>
+                            <div>
+                                <button class="btn btn-sm btn-secondary" onclick="App.selectAllFields()">Select All</button>
+                                <button class="btn btn-sm btn-secondary" onclick="App.deselectAllFields()">Deselect All</button>
+                            </div>
+                        </div>
+                        <div class="card-body">
+                            <form id="extractionForm">
+                                ${this.renderExtractionFields(extraction.data, '', conflicts)}
+                            </form>
+                        </div>
+                    </div>
                 </div>
             </div>
 
             <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
-                <button class="btn btn-secondary" id="btnRejectExtraction">Cancel</button>
+                ${extraction.pendingId ? '<button class="btn btn-secondary" id="btnReviewLater">Review Later</button>' : ''}
+                <button class="btn btn-secondary" id="btnRejectExtraction">${extraction.pendingId ? 'Reject' : 'Cancel'}</button>
+                ${extraction.pendingId ? '<button class="btn btn-secondary" id="btnApprovePartial">Save Selected, Keep Rest Pending</button>' : ''}
                 <button class="btn btn-success" id="btnApproveExtraction">Approve & Save Selected</button>
             </div>
         `;
@@ -997,19 +2157,102 @@ const App = {
             this.approveExtraction();
         });
 
+        document.getElementById('btnApprovePartial')?.addEventListener('click', () => {
+            this.approveExtraction(true);
+        });
+
+        document.getElementById('btnReviewLater')?.addEventListener('click', () => {
+            this.closeExtractionReview();
+            this.showAlert('Kept in the review inbox', 'info');
+        });
+
         document.getElementById('btnRejectExtraction').addEventListener('click', () => {
             this.rejectExtraction();
         });
+
+        reviewArea.querySelector('.review-fields').addEventListener('click', (e) => {
+            if (e.target.closest('input, select, button, label')) return;
+            const field = e.target.closest('[data-quote-path]');
+            if (field) this.showReviewPassage(field);
+        });
+
+        this.loadReviewTranscript(extraction);
+    },
+
+    // Fill the transcript pane of the review and check every source quote against it.
+    // Quotes that cannot be located are flagged: the likeliest sign of a made-up value.
+    loadReviewTranscript: async function(extraction) {
+        const pane = document.getElementById('reviewTranscriptPane');
+        if (!pane) return;
+
+        const transcript = extraction.transcriptId ? await Database.getTranscript(extraction.transcriptId).catch(() => null) : null;
+        if (!transcript || this.currentExtraction !== extraction) {
+            pane.innerHTML = '<p class="empty-state">Transcript not available</p>';
+            return;
+        }
+
+        const content = transcript.content || '';
+        const parsed = TranscriptParser.parse(content);
+        pane.innerHTML = content.split(/\r?\n/).map((line, i) => `
+            <div class="transcript-line" id="reviewLine_${i + 1}">
+                <span class="transcript-line-number">${i + 1}</span>
+                <span class="transcript-line-text">${this.escapeHtml(line) || '&nbsp;'}</span>
+            </div>
+        `).join('');
+
+        let missing = 0;
+        document.querySelectorAll('#extractionReviewArea [data-quote-path]').forEach(el => {
+            const entry = Extraction.getNestedValue(extraction.data, el.dataset.quotePath);
+            if (!entry || !entry.sourceQuote) return;
+
+            const passage = Provenance.locatePassage(content, entry.sourceQuote, parsed);
+            if (passage) {
+                el.dataset.line = passage.line;
+                el.dataset.endLine = passage.endLine;
+                el.classList.add('quote-located');
+            } else {
+                missing++;
+                el.insertAdjacentHTML('beforeend', '<div class="quote-not-found">Quote not found in transcript - check this value</div>');
+            }
+        });
+
+        const notice = document.getElementById('reviewQuoteNotice');
+        if (notice && missing > 0) {
+            notice.innerHTML = `
+                <div class="alert alert-warning">
+                    <strong>Unverified quotes:</strong> ${missing} field(s) quote text that could not be found in the transcript.
+                    The value may not have been said - check it before saving.
+                </div>
+            `;
+        }
+    },
+
+    // Scroll the transcript pane to the passage behind a field and highlight it
+    showReviewPassage: function(el) {
+        document.querySelectorAll('#reviewTranscriptPane .highlight').forEach(line => line.classList.remove('highlight'));
+        document.querySelectorAll('#extractionReviewArea .quote-active').forEach(field => field.classList.remove('quote-active'));
+        if (!el.dataset.line) return;
+
+        const start = parseInt(el.dataset.line, 10);
+        const end = parseInt(el.dataset.endLine, 10);
+        for (let line = start; line <= end; line++) {
+            document.getElementById(`reviewLine_${line}`)?.classList.add('highlight');
+        }
+        el.classList.add('quote-active');
+        document.getElementById(`reviewLine_${start}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
     },
 
     // Render extraction fields recursively
     renderExtractionFields: function(data, prefix = '', conflicts = []) {
         let html = '';
 
+        const C = ExtractionSchema.CHANGES;
         const renderValue = (key, value, path) => {
-            if (value === null || value.value === null) return '';
+            if (value === null || value.value === null || value.change === C.UNCHANGED) return '';
+            if (conflicts.some(c => c.field === path)) return ''; // listed under conflicts to resolve
 
-            const isConflict = conflicts.some(c => c.field === path);
+            const change = value.change || null;
+            const heldFor = this.currentExtraction && this.currentExtraction.reviewReasons ? this.currentExtraction.reviewReasons[path] : null;
             const confidence = value.confidence || 0;
             let confidenceClass = 'low';
             if (confidence >= 0.8) confidenceClass = 'high';
@@ -1019,29 +2262,52 @@ const App = {
                 ? JSON.stringify(value.value)
                 : value.value;
 
-            const quote = value.sourceQuote ? this.escapeHtml(String(value.sourceQuote)) : '';
-            const quoteHtml = quote ? `<div class="extraction-quote">“${quote}”</div>` : '';
+            // Enum fields get a select of the registered values (plus the extracted one if it differs)
+            const options = FieldRegistry.getEnumOptions(path);
+            const definition = FieldRegistry.get(path);
+            const valueInput = options
+                ? `<select data-path="${path}" class="extracted-value-input">
+                       ${options.includes(value.value) ? '' : `<option value="${this.escapeAttr(String(displayValue))}" selected>${this.escapeHtml(String(displayValue))}</option>`}
+                       ${options.map(o => `<option value="${this.escapeAttr(String(o))}" ${o === value.value ? 'selected' : ''}>${this.escapeHtml(String(o))}</option>`).join('')}
+                   </select>`
+                : `<input type="text" value="${this.escapeHtml(String(displayValue))}"
+                          data-path="${path}" class="extracted-value-input">`;
+            const unitHtml = definition && definition.unit ? `<span class="extraction-unit">${this.escapeHtml(definition.unit)}</span>` : '';
+
+            // Values stated in several parts of a long transcript keep every quote; the one
+            // behind the chosen value comes first
+            const otherQuotes = (value.sourceQuotes || []).filter(q => q && q !== value.sourceQuote);
+            const quoteHtml = [value.sourceQuote, ...otherQuotes].filter(Boolean).map(q => `
+                <div class="extraction-quote ${q !== value.sourceQuote ? 'earlier' : ''}">“${this.escapeHtml(String(q))}”</div>
+            `).join('');
 
             return `
-                <div class="extraction-field">
+                <div class="extraction-field" data-quote-path="${path}">
                     <input type="checkbox" class="extraction-checkbox"
-                           name="field_${path}" value="${path}" checked>
+                           name="field_${path}" value="${path}" ${change === C.CONTRADICTION || value.verified === false ? '' : 'checked'}>
                     <div class="extraction-field-content">
                         <div class="extraction-field-name">
                             ${this.formatFieldName(key)}
-                            ${isConflict ? '<span class="conflict-badge">CONFLICT</span>' : ''}
+                            ${change ? `<span class="change-badge change-${change}">${this.escapeHtml(change.toUpperCase())}</span>` : ''}
                         </div>
                         <div class="extraction-field-value">
-                            <input type="text" value="${this.escapeHtml(String(displayValue))}"
-                                   data-path="${path}" class="extracted-value-input">
+                            ${valueInput}
+                            ${unitHtml}
                             <span class="confidence-badge confidence-${confidenceClass}">
                                 ${Math.round(confidence * 100)}%
                             </span>
                         </div>
                         ${quoteHtml}
-                        ${isConflict ? `
-                            <div style="font-size: 0.75rem; color: var(--danger-color); margin-top: 4px;">
-                                Existing: ${conflicts.find(c => c.field === path).existingValue}
+                        ${value.verified === false ? `
+                            <div class="verification-issue">
+                                Not verified: ${this.escapeHtml(value.verificationIssue || 'not found in the transcript')}
+                                (model confidence ${Math.round((value.originalConfidence || 0) * 100)}%)
+                            </div>
+                        ` : ''}
+                        ${heldFor ? `<div class="policy-reason">Held for review: ${this.escapeHtml(ApprovalPolicy.formatReason(heldFor))}</div>` : ''}
+                        ${value.previousValue !== undefined && value.previousValue !== null ? `
+                            <div class="change-previous">
+                                ${change === C.CONTRADICTION ? 'We hold' : 'Was'}: ${this.escapeHtml(typeof value.previousValue === 'object' ? JSON.stringify(value.previousValue) : String(value.previousValue))}
                             </div>
                         ` : ''}
                     </div>
@@ -1054,11 +2320,14 @@ const App = {
             const path = prefix ? `${prefix}.${key}` : key;
 
             if (Array.isArray(value)) {
-                // Handle arrays (children, pensions, etc.)
-                if (value.length > 0) {
+                // Handle arrays (children, pensions, etc.); items with nothing to review are skipped
+                if (value.some(item => this.hasReviewableValues(item))) {
                     html += `<h4 class="section-header">${this.formatFieldName(key)}</h4>`;
                     value.forEach((item, index) => {
-                        html += `<div class="array-item"><strong>${this.formatFieldName(key)} ${index + 1}</strong>`;
+                        if (!this.hasReviewableValues(item)) return;
+                        const label = Extraction.describeItem(key, item);
+                        html += `<div class="array-item"><strong>${this.formatFieldName(key)} ${index + 1}${label ? `: ${this.escapeHtml(label)}` : ''}</strong>`;
+                        html += this.renderItemMatchSelect(key, index);
                         html += this.renderExtractionFields(item, `${path}[${index}]`, conflicts);
                         html += `</div>`;
                     });
@@ -1069,12 +2338,7 @@ const App = {
                     html += renderValue(key, value, path);
                 } else {
                     // Nested object, add section header and recurse
-                    const hasContent = Object.keys(value).some(k => {
-                        const v = value[k];
-                        return v && (('value' in v && v.value !== null) || typeof v === 'object');
-                    });
-
-                    if (hasContent) {
+                    if (this.hasReviewableValues(value)) {
                         html += `<h4 class="section-header">${this.formatFieldName(key)}</h4>`;
                         html += this.renderExtractionFields(value, path, conflicts);
                     }
@@ -1085,6 +2349,139 @@ const App = {
         return html;
     },
 
+    // Conflicts side by side: the value on record with the quote it came from, and the value
+    // from this meeting. Each is kept, accepted, or recorded with both values dated.
+    renderConflictResolution: function(conflicts, extraction) {
+        if (conflicts.length === 0) return '';
+
+        const C = ExtractionSchema.CHANGES;
+        const D = ClientHistory.DECISIONS;
+        const meetingDate = String(extraction.meeting?.meetingDate || extraction.meetingDate || new Date().toISOString()).split('T')[0];
+        const formatValue = (value) => this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        const fieldLabel = (path) => path.replace(/\[(\d+)\]/g, (m, i) => ` ${parseInt(i, 10) + 1}`)
+            .split('.').map(part => this.formatFieldName(part)).join(' › ');
+
+        return `
+            <div class="card conflict-resolution">
+                <div class="card-header">
+                    <span>Conflicts to resolve (${conflicts.length})</span>
+                </div>
+                <div class="card-body">
+                    <p class="conflict-help">
+                        These values differ from the client record. Updates said in the meeting default to
+                        accepting the new value; anything else keeps the value on record until you decide.
+                    </p>
+                    ${conflicts.map((conflict, i) => {
+                        const stored = Provenance.get(this.currentClient, conflict.clientPath);
+                        const entry = Extraction.getNestedValue(extraction.data, conflict.field) || {};
+                        const confidence = conflict.confidence || 0;
+                        const decision = conflict.change === C.UPDATED && entry.verified !== false ? D.ACCEPT : D.KEEP;
+                        const storedFrom = stored && stored.meetingDate ? String(stored.meetingDate).split('T')[0] : '';
+                        return `
+                            <div class="conflict-item" data-index="${i}" data-quote-path="${this.escapeAttr(conflict.field)}">
+                                <div class="conflict-field">
+                                    ${this.escapeHtml(fieldLabel(conflict.field))}
+                                    ${conflict.change ? `<span class="change-badge change-${conflict.change}">${this.escapeHtml(conflict.change.toUpperCase())}</span>` : ''}
+                                </div>
+                                <div class="conflict-sides">
+                                    <div class="conflict-side conflict-existing">
+                                        <div class="conflict-side-label">On record</div>
+                                        <div class="conflict-value">${formatValue(conflict.existingValue)}</div>
+                                        ${stored && stored.sourceQuote ? `<div class="extraction-quote">“${this.escapeHtml(stored.sourceQuote)}”</div>` : ''}
+                                        <div class="conflict-source">
+                                            ${stored ? this.escapeHtml([stored.fileName, storedFrom].filter(Boolean).join(' · ') || 'Entered manually') : 'No source recorded'}
+                                        </div>
+                                    </div>
+                                    <div class="conflict-side conflict-new">
+                                        <div class="conflict-side-label">This meeting</div>
+                                        <div class="conflict-value">
+                                            ${formatValue(conflict.extractedValue)}
+                                            <span class="confidence-badge confidence-${confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low'}">${Math.round(confidence * 100)}%</span>
+                                        </div>
+                                        ${conflict.sourceQuote ? `<div class="extraction-quote">“${this.escapeHtml(conflict.sourceQuote)}”</div>` : ''}
+                                        ${entry.verified === false ? `<div class="verification-issue">Not verified: ${this.escapeHtml(entry.verificationIssue || 'not found in the transcript')}</div>` : ''}
+                                        <div class="conflict-source">${this.escapeHtml([extraction.fileName, meetingDate].filter(Boolean).join(' · '))}</div>
+                                    </div>
+                                </div>
+                                <div class="conflict-actions">
+                                    <label><input type="radio" name="conflict_${i}" value="${D.KEEP}" ${decision === D.KEEP ? 'checked' : ''}> Keep existing</label>
+                                    <label><input type="radio" name="conflict_${i}" value="${D.ACCEPT}" ${decision === D.ACCEPT ? 'checked' : ''}> Accept new</label>
+                                    <label><input type="radio" name="conflict_${i}" value="${D.BOTH}"> Record both</label>
+                                    <span class="conflict-dates">
+                                        old value until <input type="date" class="conflict-effective-to" value="${meetingDate}">
+                                        new value from <input type="date" class="conflict-effective-from" value="${meetingDate}">
+                                    </span>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    },
+
+    // Whether extracted data has a stated value that is not just a repeat of a known fact
+    hasReviewableValues: function(data) {
+        if (!data || typeof data !== 'object') return false;
+        if (Extraction.isValuePair(data)) {
+            return data.value !== null && data.change !== ExtractionSchema.CHANGES.UNCHANGED;
+        }
+        return Object.values(data).some(v => Array.isArray(v) ? v.some(item => this.hasReviewableValues(item)) : this.hasReviewableValues(v));
+    },
+
+    // Same item / new item / replaces item choice for an extracted array item, preset from
+    // Extraction.matchArrayItems (only shown when the client already has items in the section)
+    renderItemMatchSelect: function(section, index) {
+        const stored = (this.currentClient && this.currentClient[section]) || [];
+        const matches = this.currentExtraction && this.currentExtraction.itemMatches;
+        if (stored.length === 0 || !matches || !matches[section] || !matches[section][index]) return '';
+
+        const A = Extraction.ITEM_ACTIONS;
+        const match = matches[section][index];
+        const scores = {};
+        match.candidates.forEach(c => { scores[c.index] = c.score; });
+        const name = (item, i) => {
+            const label = Extraction.describeItem(section, item);
+            return `${this.formatFieldName(section)} ${i + 1}${label ? `: ${label}` : ''}`;
+        };
+        const option = (action, i, text) => {
+            const selected = match.action === action && (action === A.NEW || match.target === i);
+            return `<option value="${action}${i !== null ? `:${i}` : ''}" ${selected ? 'selected' : ''}>${this.escapeHtml(text)}</option>`;
+        };
+        // Likeliest stored items first
+        const order = stored.map((item, i) => i).sort((a, b) => (scores[b] || 0) - (scores[a] || 0));
+
+        return `
+            <div class="item-match">
+                <label>Save as</label>
+                <select class="item-match-select" data-section="${section}" data-index="${index}">
+                    <optgroup label="Same item (update it)">
+                        ${order.map(i => option(A.SAME, i, `${name(stored[i], i)}${scores[i] ? ` - ${Math.round(scores[i] * 100)}% match` : ''}`)).join('')}
+                    </optgroup>
+                    ${option(A.NEW, null, 'New item')}
+                    <optgroup label="Replaces item (clears it first)">
+                        ${order.map(i => option(A.REPLACES, i, name(stored[i], i))).join('')}
+                    </optgroup>
+                </select>
+            </div>
+        `;
+    },
+
+    // Counts of change labels in an incremental extraction
+    countChanges: function(data) {
+        const counts = { new: 0, updated: 0, contradiction: 0, unchanged: 0 };
+        const walk = (obj) => {
+            if (!obj || typeof obj !== 'object') return;
+            if (Extraction.isValuePair(obj)) {
+                if (obj.value !== null && counts[obj.change] !== undefined) counts[obj.change]++;
+                return;
+            }
+            Object.values(obj).forEach(v => Array.isArray(v) ? v.forEach(walk) : walk(v));
+        };
+        walk(data);
+        return counts;
+    },
+
     // Select all extraction fields
     selectAllFields: function() {
         document.querySelectorAll('.extraction-checkbox').forEach(cb => {
@@ -1099,8 +2496,9 @@ const App = {
         });
     },
 
-    // Approve extraction and merge data
-    approveExtraction: async function() {
+    // Approve extraction and merge data. With keepRest the fields left unselected stay
+    // pending for a later review instead of being rejected.
+    approveExtraction: async function(keepRest = false) {
         if (!this.currentExtraction || !this.currentClient) {
             this.showAlert('No extraction to approve', 'warning');
             return;
@@ -1116,32 +2514,109 @@ const App = {
                 selectedFields.push(path);
 
                 // Get the edited value
-                const input = document.querySelector(`input[data-path="${path}"]`);
+                const input = document.querySelector(`.extracted-value-input[data-path="${path}"]`);
                 if (input) {
                     editedValues[path] = input.value;
                 }
             });
 
-            if (selectedFields.length === 0) {
+            const extraction = this.currentExtraction;
+
+            // Array items go where the adviser chose: same stored item, new item or replacing one
+            const matches = JSON.parse(JSON.stringify(extraction.itemMatches || {}));
+            document.querySelectorAll('.item-match-select').forEach(select => {
+                const [action, target] = select.value.split(':');
+                matches[select.dataset.section] = matches[select.dataset.section] || [];
+                matches[select.dataset.section][select.dataset.index] = {
+                    action: action,
+                    target: target !== undefined ? parseInt(target, 10) : null
+                };
+            });
+
+            // Conflict decisions. A conflict in an array item the adviser has since matched to a
+            // different stored item no longer applies: its value is saved like any other field.
+            const D = ClientHistory.DECISIONS;
+            const decisions = [];
+            (this.currentConflicts || []).forEach((conflict, i) => {
+                const row = document.querySelector(`.conflict-item[data-index="${i}"]`);
+                const choice = row && row.querySelector(`input[name="conflict_${i}"]:checked`);
+                const item = conflict.field.match(/^(\w+)\[(\d+)\]/);
+                const match = item && matches[item[1]] && matches[item[1]][item[2]];
+                const stillConflicts = !item || (match && match.action === Extraction.ITEM_ACTIONS.SAME &&
+                    conflict.clientPath.startsWith(`${item[1]}[${match.target}]`));
+
+                if (!stillConflicts || !choice || choice.value !== D.KEEP) {
+                    selectedFields.push(conflict.field);
+                    editedValues[conflict.field] = conflict.extractedValue;
+                }
+                if (!stillConflicts || !choice) return;
+
+                decisions.push({
+                    field: conflict.clientPath,
+                    decision: choice.value,
+                    existingValue: conflict.existingValue,
+                    newValue: conflict.extractedValue,
+                    sourceQuote: conflict.sourceQuote,
+                    effectiveTo: choice.value === D.BOTH ? row.querySelector('.conflict-effective-to').value || null : null,
+                    effectiveFrom: choice.value === D.BOTH ? row.querySelector('.conflict-effective-from').value || null : null,
+                    extractedPath: conflict.field
+                });
+            });
+
+            if (selectedFields.length === 0 && decisions.length === 0) {
                 this.showAlert('Please select at least one field to save', 'warning');
                 return;
             }
 
             // Clone the client
             let updatedClient = JSON.parse(JSON.stringify(this.currentClient));
+            const targets = Extraction.prepareArrayItems(updatedClient, matches, selectedFields);
 
             // Apply selected fields with edited values
-            for (const path of selectedFields) {
-                const value = editedValues[path];
-                this.setNestedValue(updatedClient, path, value);
+            for (const extractedPath of selectedFields) {
+                const value = editedValues[extractedPath];
+                const path = Extraction.mapItemPath(extractedPath, targets);
+                this.ensureArrayItem(updatedClient, path);
+                if (!this.setNestedValue(updatedClient, path, value)) continue;
+
+                const extracted = this.getNestedValueSafe(extraction.data, extractedPath) || {};
+                Provenance.record(updatedClient, path, {
+                    transcriptId: extraction.transcriptId,
+                    fileName: extraction.fileName,
+                    meetingDate: extraction.meetingDate,
+                    sourceQuote: extracted.sourceQuote,
+                    confidence: extracted.confidence,
+                    approvalMode: Provenance.APPROVAL_MODES.MANUAL
+                });
             }
 
-            // Update metadata
-            updatedClient.version = (updatedClient.version || 0) + 1;
+            // "Record both" keeps the old value with the dates it applied
+            decisions.filter(d => d.decision === D.BOTH).forEach(d => {
+                const stored = Provenance.get(this.currentClient, d.field);
+                ClientHistory.recordValuePeriods(updatedClient, d.field, {
+                    value: d.existingValue,
+                    effectiveFrom: stored && stored.meetingDate ? String(stored.meetingDate).split('T')[0] : null,
+                    effectiveTo: d.effectiveTo,
+                    sourceQuote: stored ? stored.sourceQuote : ''
+                }, {
+                    value: d.newValue,
+                    effectiveFrom: d.effectiveFrom,
+                    sourceQuote: d.sourceQuote
+                });
+            });
+            const reviewed = selectedFields.concat(decisions.map(d => d.extractedPath));
+            decisions.forEach(d => { delete d.extractedPath; });
+
+            // Update metadata (version and history are recorded by saveClient)
             updatedClient.updatedAt = new Date().toISOString();
             updatedClient.dataSources = updatedClient.dataSources || [];
             updatedClient.dataSources.push({
                 type: 'transcript',
+                transcriptId: extraction.transcriptId || null,
+                fileName: extraction.fileName || '',
+                meetingDate: extraction.meeting?.meetingDate || null,
+                title: extraction.meeting?.title || '',
+                participants: extraction.meeting?.participants || [],
                 date: new Date().toISOString(),
                 fieldsUpdated: selectedFields.length
             });
@@ -1150,16 +2625,37 @@ const App = {
             updatedClient.dataCompleteness = ClientSchema.calculateCompleteness(updatedClient);
 
             // Save to database
-            await Database.saveClient(updatedClient);
+            await Database.saveClient(updatedClient, {
+                source: ClientHistory.SOURCES.TRANSCRIPT,
+                note: extraction.fileName || '',
+                decisions: decisions
+            });
+
+            // Record the review on the stored extraction
+            const remaining = Extraction.getFieldPaths(extraction.data).filter(path => !reviewed.includes(path));
+            if (extraction.pendingId) {
+                if (keepRest && remaining.length > 0) {
+                    await this.recordReview(extraction.pendingId, 'partial', {
+                        fields: reviewed.length,
+                        remaining: remaining,
+                        itemMatches: Extraction.carryItemMatches(matches, targets)
+                    });
+                } else {
+                    await this.recordReview(extraction.pendingId, 'approved', { fields: reviewed.length });
+                }
+            }
 
             // Clear extraction state
             this.currentExtraction = null;
+            this.currentConflicts = [];
 
             // Reload client
             await this.selectClient(this.currentClientId);
             await this.loadClientList();
 
-            this.showAlert(`Successfully updated ${selectedFields.length} field(s)`, 'success');
+            const kept = decisions.filter(d => d.decision === D.KEEP).length;
+            const left = keepRest && remaining.length > 0 ? `, ${remaining.length} left pending` : '';
+            this.showAlert(`Successfully updated ${selectedFields.length} field(s)${kept > 0 ? `, kept ${kept} existing value(s)` : ''}${left}`, 'success');
 
         } catch (error) {
             console.error('Failed to save extraction:', error);
@@ -1168,55 +2664,237 @@ const App = {
     },
 
     // Reject extraction
-    rejectExtraction: function() {
-        this.currentExtraction = null;
-        document.getElementById('extractionReviewArea').innerHTML = '';
+    rejectExtraction: async function() {
+        const pendingId = this.currentExtraction && this.currentExtraction.pendingId;
+        this.closeExtractionReview();
+
+        if (pendingId) {
+            try {
+                await this.recordReview(pendingId, 'rejected');
+            } catch (error) {
+                console.error('Failed to reject extraction:', error);
+                this.showAlert('Failed to reject: ' + error.message, 'danger');
+                return;
+            }
+            this.renderPendingReviews();
+            this.updateInboxCount();
+            this.showAlert('Extraction rejected', 'info');
+            return;
+        }
         this.showAlert('Extraction cancelled', 'info');
     },
 
-    // Set nested value using path
-    setNestedValue: function(obj, path, value) {
-        // Handle array notation like "pensions[0].currentValue"
-        const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
-        let current = obj;
+    // Leave the review screen (a stored extraction stays pending)
+    closeExtractionReview: function() {
+        this.currentExtraction = null;
+        this.currentConflicts = [];
+        const reviewArea = document.getElementById('extractionReviewArea');
+        if (reviewArea) reviewArea.innerHTML = '';
+    },
 
-        for (let i = 0; i < parts.length - 1; i++) {
-            const part = parts[i];
-            const isIndex = /^\d+$/.test(parts[i + 1]);
+    // Stored extraction for the review inbox, linked to its transcript
+    toReviewRecord: function(extraction, clientId, source) {
+        return {
+            clientId: clientId,
+            transcriptId: extraction.transcriptId || null,
+            fileName: extraction.fileName || '',
+            meetingDate: extraction.meetingDate || null,
+            meeting: extraction.meeting || null,
+            source: source,
+            summary: extraction.summary || '',
+            data: extraction.data,
+            itemMatches: extraction.itemMatches || {},
+            incremental: Boolean(extraction.incremental),
+            lastMeetingDate: extraction.lastMeetingDate || null,
+            missingFields: extraction.missingFields || [],
+            unknownKeys: extraction.unknownKeys || [],
+            validationErrors: extraction.validationErrors || [],
+            chunkErrors: extraction.chunkErrors || [],
+            usage: extraction.usage || null,
+            model: extraction.model || '',
+            isDemo: Boolean(extraction.isDemo),
+            offline: Boolean(extraction.offline)
+        };
+    },
 
-            if (!(part in current)) {
-                current[part] = isIndex ? [] : {};
+    // Record a review action on a stored extraction, with who and when. "approved" and
+    // "rejected" close it; "partial" keeps details.remaining (extracted paths) pending.
+    recordReview: async function(id, action, details = {}) {
+        const record = await Database.getExtraction(id);
+        if (!record) return;
+
+        const by = Provenance.getCurrentUser();
+        const at = new Date().toISOString();
+        record.reviews = (record.reviews || []).concat([{ action: action, by: by, at: at, fields: details.fields || 0 }]);
+
+        if (action === 'partial') {
+            record.data = Extraction.pickFields(record.data, details.remaining);
+            record.itemMatches = details.itemMatches;
+        } else {
+            record.status = action;
+            record.reviewedBy = by;
+            record.reviewedAt = at;
+        }
+        await Database.saveExtraction(record);
+    },
+
+    // List the client's extractions waiting for review
+    renderPendingReviews: async function() {
+        const area = document.getElementById('pendingReviewArea');
+        if (!area || !this.currentClientId) return;
+
+        const pending = await Database.getPendingExtractions(this.currentClientId).catch(() => []);
+        if (pending.length === 0) {
+            area.innerHTML = '';
+            return;
+        }
+
+        area.innerHTML = `
+            <div class="card">
+                <div class="card-header">Waiting for review (${pending.length})</div>
+                <div class="card-body">
+                    ${pending.map(record => `
+                        <div class="pending-review-item">
+                            <span>
+                                <strong>${this.escapeHtml(record.fileName || 'Transcript')}</strong>
+                                ${record.meetingDate ? `&middot; ${this.escapeHtml(String(record.meetingDate).split('T')[0])}` : ''}
+                                &middot; ${Extraction.getFieldPaths(record.data).length} field(s) to review
+                                &middot; ${this.escapeHtml(this.formatReviewSource(record.source).toLowerCase())} ${this.escapeHtml(this.formatAge(record.createdAt))}
+                            </span>
+                            <button class="btn btn-sm btn-primary" onclick="App.openPendingExtraction('${this.escapeAttr(record.id)}')">Review</button>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    },
+
+    // Load a queued extraction into the review screen
+    openPendingExtraction: async function(id) {
+        try {
+            const record = await Database.getExtraction(id);
+            if (!record || record.status !== 'pending') {
+                this.showAlert('This extraction has already been reviewed', 'info');
+                this.renderPendingReviews();
+                return;
             }
-            current = current[part];
+
+            this.currentExtraction = Object.assign({}, record, { success: true, pendingId: record.id });
+            this.renderExtractionReview(this.currentExtraction);
+            document.getElementById('extractionReviewArea').scrollIntoView({ behavior: 'smooth' });
+        } catch (error) {
+            console.error('Failed to open queued extraction:', error);
+            this.showAlert('Failed to open: ' + error.message, 'danger');
         }
+    },
+
+    // Make sure the array item a path points into exists and has a schema shape
+    // (e.g. "pensions[1].currentValue" creates pensions[0..1] via ClientSchema)
+    ensureArrayItem: function(client, path) {
+        const match = path.match(/^(\w+)\[(\d+)\]/);
+        if (!match) return;
+
+        const section = match[1];
+        const index = parseInt(match[2], 10);
+        if (!Array.isArray(client[section])) client[section] = [];
 
-        const lastPart = parts[parts.length - 1];
+        while (client[section].length <= index) {
+            const item = ClientSchema.createArrayItem(section);
+            if (!item) return;
+            client[section].push(item);
+        }
+    },
 
-        // Try to parse as number if it looks like one
-        if (value !== '' && !isNaN(value)) {
-            value = parseFloat(value);
-        } else if (value === 'true') {
-            value = true;
-        } else if (value === 'false') {
-            value = false;
+    // Set a value at a path, converted to the field's registered type. Paths that are not
+    // ClientSchema fields (or array sections) are refused, so invented keys never reach the record.
+    // Returns whether the value was set.
+    setNestedValue: function(obj, path, value) {
+        if (!FieldRegistry.get(path) && !ClientSchema.ARRAY_ITEM_FACTORIES[path]) {
+            console.warn(`Not saving unknown field "${path}"`);
+            return false;
         }
+        ClientSchema.setValue(obj, path, FieldRegistry.coerce(path, value));
+        return true;
+    },
+
+    // Key, endpoint and model inputs for one provider (only the selected one is shown)
+    renderProviderSettings: function(adapter, visible) {
+        const listId = `providerModels_${adapter.id}`;
+        return `
+            <div class="provider-settings" data-provider="${adapter.id}" style="${visible ? '' : 'display: none;'}">
+                ${adapter.defaultBaseUrl ? `
+                    <div class="form-group">
+                        <label>Endpoint URL</label>
+                        <input type="text" class="form-control provider-base-url"
+                               placeholder="${this.escapeAttr(adapter.defaultBaseUrl)}"
+                               value="${this.escapeAttr(LLMProviders.getBaseUrl(adapter.id))}">
+                    </div>
+                ` : ''}
+                <div class="form-group">
+                    <label>Model</label>
+                    <input type="text" class="form-control provider-model" list="${listId}"
+                           value="${this.escapeAttr(LLMProviders.getModel(adapter.id))}">
+                    <datalist id="${listId}">
+                        ${adapter.models.map(model => `<option value="${this.escapeAttr(model)}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-group">
+                    <label>API Key${adapter.requiresApiKey ? '' : ' (optional)'}</label>
+                    <input type="password" class="form-control provider-api-key"
+                           placeholder="${this.escapeAttr(adapter.keyPlaceholder || '')}"
+                           value="${this.escapeAttr(LLMProviders.getApiKey(adapter.id))}">
+                </div>
+            </div>
+        `;
+    },
 
-        current[lastPart] = value;
+    showProviderSettings: function(id) {
+        document.querySelectorAll('.provider-settings').forEach(el => {
+            el.style.display = el.dataset.provider === id ? '' : 'none';
+        });
     },
 
-    // Save API key
+    // Save provider choice and every provider's settings
     saveApiKey: function() {
-        const provider = document.getElementById('provider')?.value || 'claude';
-        const model = document.getElementById('model')?.value.trim() || '';
-        const apiKeyClaude = document.getElementById('apiKeyClaude')?.value.trim() || '';
-        const apiKeyOpenAI = document.getElementById('apiKeyOpenAI')?.value.trim() || '';
+        const provider = document.getElementById('provider')?.value || LLMProviders.DEFAULT_PROVIDER;
 
-        Extraction.setProvider(provider);
-        if (model) Extraction.setModel(model);
-        if (apiKeyClaude) Extraction.setApiKey('claude', apiKeyClaude);
-        if (apiKeyOpenAI) Extraction.setApiKey('openai', apiKeyOpenAI);
+        document.querySelectorAll('.provider-settings').forEach(el => {
+            const id = el.dataset.provider;
+            const model = el.querySelector('.provider-model')?.value.trim() || '';
+            const apiKey = el.querySelector('.provider-api-key')?.value.trim() || '';
+            const baseUrl = el.querySelector('.provider-base-url')?.value.trim();
 
-        this.showAlert('API settings saved', 'success');
+            if (model) LLMProviders.setModel(id, model);
+            LLMProviders.setApiKey(id, apiKey);
+            if (baseUrl !== undefined) LLMProviders.setBaseUrl(id, baseUrl);
+        });
+        LLMProviders.setProvider(provider);
+        Extraction.setSectionBySection(Boolean(document.getElementById('extractBySection')?.checked));
+        Extraction.setDemoMode(Boolean(document.getElementById('demoMode')?.checked));
+
+        this.showAlert('Provider settings saved', 'success');
+    },
+
+    // Save, then send a tiny prompt to the selected provider
+    testProvider: async function() {
+        this.saveApiKey();
+        const result = document.getElementById('providerTestResult');
+        result.className = 'provider-test-result';
+        result.textContent = 'Testing...';
+
+        try {
+            const response = await LLMProviders.complete({
+                system: 'Reply with the JSON object {"ok": true} and nothing else.',
+                user: 'Connection test',
+                maxTokens: 32
+            });
+            const tokens = response.usage.inputTokens + response.usage.outputTokens;
+            result.classList.add('success');
+            result.textContent = `Connected to ${response.model}${tokens ? ` (${tokens} tokens)` : ''}`;
+        } catch (error) {
+            result.classList.add('error');
+            result.textContent = error.message;
+        }
     },
 
     // Delete current client
@@ -1295,6 +2973,7 @@ const App = {
             const data = JSON.parse(text);
 
             await Database.importData(data);
+            await ExchangeRates.load();
             await this.loadClientList();
 
             this.showAlert('Data imported successfully', 'success');
@@ -1348,6 +3027,11 @@ const App = {
         return div.innerHTML;
     },
 
+    // Helper: Escape text for use inside a double-quoted attribute
+    escapeAttr: function(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    },
+
     // Helper: Get initials
     getInitials: function(name) {
         return name.split(' ')
@@ -1366,7 +3050,8 @@ const App = {
             .replace(/([0-9]+)/g, ' $1');
     },
 
-    // Helper: Format currency
+    // Helper: Format currency, with the reporting-currency equivalent when a rate is known
+    // (e.g. "AUD 1,500,000 (≈ GBP 780,000 as at 2026-01-16)")
     formatCurrency: function(value, currency) {
         if (value === null || value === undefined || value === '') return null;
 
@@ -1375,7 +3060,9 @@ const App = {
             maximumFractionDigits: 0
         });
 
-        return `${currency || ''} ${formatter.format(value)}`.trim();
+        const formatted = `${currency || ''} ${formatter.format(value)}`.trim();
+        const conversion = ExchangeRates.describeConversion(value, currency);
+        return conversion ? `${formatted} (${conversion})` : formatted;
     },
 
     // Helper: Format address
@@ -1422,7 +3109,7 @@ const App = {
 
             const email = client.personal.email || 'No email';
             const phone = client.personal.phoneMobile || 'No phone';
-            const employer = client.employment?.client?.employer || '';
+            const employer = client.employment?.employer || '';
             const meetings = (client.dataSources || []).length;
 
             return `
@@ -1500,7 +3187,7 @@ const App = {
                         <div class="upload-area" id="batchUploadArea">
                             <div class="upload-icon">&#128218;</div>
                             <h3>Drop multiple transcript files here</h3>
-                            <p>or click to browse (.txt files) - select multiple files</p>
+                            <p>or click to browse (.txt, .vtt, .srt or .docx) - select multiple files</p>
                             <p style="margin-top: 10px; font-size: 0.8rem; color: var(--text-secondary);">
                                 The AI will automatically identify clients, create records, and extract data from each transcript.
                             </p>
@@ -1540,15 +3227,121 @@ const App = {
         batchUploadArea.addEventListener('drop', (e) => {
             e.preventDefault();
             batchUploadArea.classList.remove('dragover');
-            const files = Array.from(e.dataTransfer.files).filter(f => f.name.endsWith('.txt'));
+            const files = Array.from(e.dataTransfer.files).filter(f => TranscriptImport.isSupported(f.name));
             if (files.length > 0) {
                 BatchProcessor.startBatch(files);
             } else {
-                this.showAlert('Please drop .txt transcript files', 'warning');
+                this.showAlert('Please drop .txt, .vtt, .srt or .docx transcript files', 'warning');
             }
         });
     },
 
+    // Number of extractions waiting for review, on the sidebar button
+    updateInboxCount: async function() {
+        const badge = document.getElementById('inboxCount');
+        if (!badge) return;
+        const { records } = await this.getInboxRecords().catch(() => ({ records: [] }));
+        badge.textContent = records.length > 0 ? records.length : '';
+    },
+
+    // Pending extractions of clients that still exist (the badge and the inbox list the same
+    // ones), with the clients by id: { records, clientsById }
+    getInboxRecords: async function() {
+        const [records, clients] = await Promise.all([
+            Database.getExtractionsByStatus('pending'),
+            Database.getAllClients()
+        ]);
+        const clientsById = {};
+        clients.forEach(client => { clientsById[client.id] = client; });
+        return { records: records.filter(record => clientsById[record.clientId]), clientsById: clientsById };
+    },
+
+    // Pending extractions across all clients, oldest first
+    showReviewInboxView: async function() {
+        this.currentClientId = null;
+        this.currentClient = null;
+
+        // Clear active state in sidebar
+        document.querySelectorAll('.client-list-item').forEach(item => {
+            item.classList.remove('active');
+        });
+
+        let inbox;
+        try {
+            inbox = await this.getInboxRecords();
+        } catch (error) {
+            console.error('Failed to load review inbox:', error);
+            this.showAlert('Failed to load review inbox: ' + error.message, 'danger');
+            return;
+        }
+        const { records, clientsById } = inbox;
+
+        const rows = records
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+            .map(record => {
+                const client = clientsById[record.clientId];
+                const name = `${client.personal.firstName || ''} ${client.personal.lastName || ''}`.trim() || 'Unnamed';
+                const confidences = Extraction.getFieldPaths(record.data)
+                    .map(path => (Extraction.getNestedValue(record.data, path) || {}).confidence || 0);
+                const average = confidences.length > 0 ? confidences.reduce((a, b) => a + b, 0) / confidences.length : 0;
+                const lowest = confidences.length > 0 ? Math.min(...confidences) : 0;
+                const conflicts = Extraction.findConflicts(client, record.data, record.itemMatches).length;
+                const confidenceClass = average >= 0.8 ? 'high' : average >= 0.5 ? 'medium' : 'low';
+
+                return `
+                    <tr>
+                        <td><strong>${this.escapeHtml(name)}</strong></td>
+                        <td>
+                            ${this.escapeHtml(record.fileName || 'Transcript')}
+                            ${record.meetingDate ? `<div class="inbox-meta">Meeting ${this.escapeHtml(String(record.meetingDate).split('T')[0])}</div>` : ''}
+                        </td>
+                        <td>${this.escapeHtml(this.formatReviewSource(record.source))}</td>
+                        <td>${this.escapeHtml(this.formatAge(record.createdAt))}</td>
+                        <td>${confidences.length}${(record.reviews || []).some(r => r.action === 'partial') ? '<div class="inbox-meta">partly reviewed</div>' : ''}</td>
+                        <td>
+                            <span class="confidence-badge confidence-${confidenceClass}">${Math.round(average * 100)}%</span>
+                            <div class="inbox-meta">lowest ${Math.round(lowest * 100)}%</div>
+                        </td>
+                        <td>${conflicts > 0 ? `<span class="change-badge change-contradiction">${conflicts}</span>` : '0'}</td>
+                        <td><button class="btn btn-sm btn-primary" onclick="App.reviewFromInbox('${this.escapeAttr(record.clientId)}', '${this.escapeAttr(record.id)}')">Review</button></td>
+                    </tr>
+                `;
+            });
+
+        document.getElementById('mainContent').innerHTML = `
+            <div class="content-header">
+                <div style="display: flex; align-items: center; gap: 12px;">
+                    <button class="btn btn-secondary btn-sm" onclick="App.showClientListView()">&#8592; Client List</button>
+                    <h2>Review Inbox</h2>
+                </div>
+            </div>
+            <div class="content-body">
+                <div class="card">
+                    <div class="card-header">Extractions waiting for review (${rows.length})</div>
+                    <div class="card-body">
+                        ${rows.length > 0 ? `
+                            <table class="inbox-table">
+                                <thead>
+                                    <tr><th>Client</th><th>Transcript</th><th>Source</th><th>Received</th><th>Fields</th><th>Confidence</th><th>Conflicts</th><th></th></tr>
+                                </thead>
+                                <tbody>${rows.join('')}</tbody>
+                            </table>
+                        ` : '<p class="empty-state">Nothing waiting for review</p>'}
+                    </div>
+                </div>
+            </div>
+        `;
+        this.updateInboxCount();
+    },
+
+    // Open a pending extraction from the inbox on its client's Upload tab
+    reviewFromInbox: async function(clientId, id) {
+        await this.selectClient(clientId);
+        if (this.currentClientId !== clientId) return;
+        this.switchTab('upload');
+        await this.openPendingExtraction(id);
+    },
+
     // Show settings view without selecting a client
     showSettingsView: function() {
         this.currentClientId = null;
@@ -1600,6 +3393,23 @@ const App = {
         `;
     },
 
+    // Where a stored extraction came from
+    formatReviewSource: function(source) {
+        const labels = {
+            upload: 'Upload',
+            batch: 'Batch',
+            rerun: 'Re-run'
+        };
+        return labels[source] || source;
+    },
+
+    // "today", "yesterday" or "5 days ago" for an ISO date
+    formatAge: function(date) {
+        const days = Math.floor((Date.now() - new Date(date).getTime()) / 86400000);
+        if (!(days >= 1)) return 'today';
+        return days === 1 ? 'yesterday' : `${days} days ago`;
+    },
+
     // Safe nested value getter
     getNestedValueSafe: function(obj, path) {
         const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
@@ -1611,18 +3421,411 @@ const App = {
         return current;
     },
 
-    // Helper: Render a data field
-    renderField: function(label, value) {
+    // Helper: Render a data field (path enables the provenance indicator)
+    renderField: function(label, value, path = null) {
         const displayValue = value !== null && value !== undefined && value !== ''
             ? this.escapeHtml(String(value))
             : '<span class="empty">Not recorded</span>';
 
+        const source = path ? Provenance.get(this.currentClient, path) : null;
+        const sourceHtml = source ? `
+                    <span class="provenance-badge provenance-${source.approvalMode}"
+                          title="${this.escapeAttr(Provenance.describe(source))}"
+                          onclick="App.showFieldSource('${path}')">&#9432;</span>` : '';
+
+        const editAttrs = path && this.currentClient
+            ? ` data-edit-path="${path}" title="Click to edit" onclick="App.startFieldEdit('${path}')"`
+            : '';
+
         return `
             <div class="data-field">
-                <label>${label}</label>
-                <div class="value ${!value ? 'empty' : ''}">${displayValue}</div>
+                <label>${label}${sourceHtml}</label>
+                <div class="value ${!value ? 'empty' : ''} ${editAttrs ? 'editable' : ''}"${editAttrs}>${displayValue}</div>
+            </div>
+        `;
+    },
+
+    // ========== VALIDATION ==========
+
+    // Collapsible list of validation errors and warnings for the client view
+    renderValidationPanel: function(client) {
+        const result = Validation.validateClient(client);
+        const errorCount = result.issues.filter(i => i.severity === Validation.SEVERITY.ERROR).length;
+        const warningCount = result.issues.length - errorCount;
+
+        if (result.issues.length === 0) {
+            return `<div class="validation-panel valid">No validation issues</div>`;
+        }
+
+        const parts = [];
+        if (errorCount) parts.push(`${errorCount} error${errorCount === 1 ? '' : 's'}`);
+        if (warningCount) parts.push(`${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+
+        return `
+            <details class="validation-panel ${errorCount ? 'has-errors' : 'has-warnings'}">
+                <summary>Validation: ${parts.join(', ')}</summary>
+                <ul class="validation-list">
+                    ${result.issues.map(issue => `
+                        <li class="validation-issue ${issue.severity}">
+                            <span class="validation-severity">${issue.severity}</span>
+                            <a href="#" onclick="App.goToField('${issue.path}'); return false;">${this.escapeHtml(issue.label)}</a>
+                            ${this.escapeHtml(issue.message)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    },
+
+    // Switch to the tab showing a field and open its inline editor
+    goToField: function(path) {
+        const section = path.split(/[.[]/)[0];
+        const tabs = {
+            personal: 'personal', spouse: 'personal', children: 'personal',
+            employment: 'employment', spouseEmployment: 'employment',
+            goals: 'goals', riskAttitude: 'goals', estatePlanning: 'goals',
+            retirementPlanning: 'retirement'
+        };
+        this.switchTab(tabs[section] || 'financial');
+
+        const target = document.querySelector(`[data-edit-path="${path}"]`);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            this.startFieldEdit(path);
+        }
+    },
+
+    // ========== PROFILE EDITING ==========
+
+    // Card header with an "Edit all" button for a schema section
+    renderSectionHeader: function(title, section) {
+        return `
+            <div class="card-header">
+                <span>${title}</span>
+                <button class="btn btn-sm btn-secondary" onclick="App.openSectionEditor('${section}')">Edit all</button>
+            </div>
+        `;
+    },
+
+    // Array item header with reorder / edit / delete controls
+    renderArrayItemHeader: function(section, index, title) {
+        const count = (this.currentClient?.[section] || []).length;
+        return `
+            <div class="array-item-header">
+                <span class="array-item-title">${this.escapeHtml(title)}</span>
+                <div class="array-item-actions">
+                    <button class="btn btn-sm btn-secondary" title="Move up" ${index === 0 ? 'disabled' : ''}
+                            onclick="App.moveArrayItem('${section}', ${index}, -1)">&#8593;</button>
+                    <button class="btn btn-sm btn-secondary" title="Move down" ${index >= count - 1 ? 'disabled' : ''}
+                            onclick="App.moveArrayItem('${section}', ${index}, 1)">&#8595;</button>
+                    <button class="btn btn-sm btn-secondary" onclick="App.openArrayItemEditor('${section}', ${index})">Edit</button>
+                    <button class="btn-remove-item" title="Delete" onclick="App.deleteArrayItem('${section}', ${index})">&times;</button>
+                </div>
+            </div>
+        `;
+    },
+
+    // "+ Add" button for an array section
+    renderAddItemButton: function(section, label) {
+        return `<button class="btn-add-item" onclick="App.openArrayItemEditor('${section}', -1)">+ Add ${label}</button>`;
+    },
+
+    // Build a type-appropriate input for a field path
+    renderFieldInput: function(path, value) {
+        const type = FieldRegistry.getInputType(path);
+        const attrs = `class="form-control field-input" data-path="${path}" data-type="${type}"`;
+        const current = value === null || value === undefined ? '' : value;
+
+        const renderOptions = (options, labels = {}) => {
+            const known = options.some(o => String(o) === String(current));
+            return `
+                <option value="">--</option>
+                ${options.map(o => `
+                    <option value="${this.escapeAttr(String(o))}" ${String(o) === String(current) ? 'selected' : ''}>${this.escapeHtml(labels[o] || String(o))}</option>
+                `).join('')}
+                ${current !== '' && !known ? `<option value="${this.escapeAttr(String(current))}" selected>${this.escapeHtml(String(current))}</option>` : ''}
+            `;
+        };
+
+        switch (type) {
+            case 'select':
+                return `<select ${attrs}>${renderOptions(FieldRegistry.getEnumOptions(path))}</select>`;
+            case 'currency':
+                return `<select ${attrs}>${renderOptions(FieldRegistry.CURRENCIES)}</select>`;
+            case 'boolean':
+                return `<select ${attrs}>${renderOptions(['true', 'false'], { true: 'Yes', false: 'No' })}</select>`;
+            case 'number':
+                return `<input type="number" step="any" ${attrs} value="${this.escapeAttr(String(current))}">`;
+            case 'date': {
+                // Keep free-text dates editable rather than blanking them
+                const isIso = /^\d{4}-\d{2}-\d{2}$/.test(String(current));
+                return `<input type="${isIso || current === '' ? 'date' : 'text'}" ${attrs} value="${this.escapeAttr(String(current))}">`;
+            }
+            case 'textarea':
+                return `<textarea rows="3" ${attrs}>${this.escapeHtml(String(current))}</textarea>`;
+            case 'list':
+                return `<textarea rows="3" ${attrs} placeholder="One per line">${this.escapeHtml((Array.isArray(current) ? current : []).join('\n'))}</textarea>`;
+            case 'address': {
+                const address = current || {};
+                return `
+                    <div class="address-input">
+                        ${['line1', 'line2', 'city', 'state', 'postcode', 'country'].map(part => `
+                            <input type="text" class="form-control field-input" data-path="${path}.${part}" data-type="text"
+                                   placeholder="${this.formatFieldName(part)}" value="${this.escapeAttr(address[part] || '')}">
+                        `).join('')}
+                    </div>
+                `;
+            }
+            default:
+                return `<input type="${type === 'email' || type === 'tel' ? type : 'text'}" ${attrs} value="${this.escapeAttr(String(current))}">`;
+        }
+    },
+
+    // Read a typed value back from an input built by renderFieldInput
+    readFieldInput: function(input) {
+        return FieldRegistry.coerce(input.dataset.path, input.value);
+    },
+
+    // Collect { path, value } edits from every field input inside a container
+    collectFieldEdits: function(container) {
+        return Array.from(container.querySelectorAll('.field-input')).map(input => ({
+            path: input.dataset.path,
+            value: this.readFieldInput(input)
+        }));
+    },
+
+    // Swap a displayed value for an inline editor
+    startFieldEdit: function(path) {
+        const target = document.querySelector(`[data-edit-path="${path}"]`);
+        if (!target || target.classList.contains('editing')) return;
+
+        const value = this.getNestedValueSafe(this.currentClient, path);
+        const currencyPath = FieldRegistry.getCurrencyField(path);
+
+        target.classList.add('editing');
+        target.removeAttribute('onclick');
+        target.innerHTML = `
+            <div class="inline-editor">
+                ${this.renderFieldInput(path, value)}
+                ${currencyPath ? this.renderFieldInput(currencyPath, this.getNestedValueSafe(this.currentClient, currencyPath)) : ''}
+                <div class="inline-editor-actions">
+                    <button class="btn btn-sm btn-primary" data-action="save">Save</button>
+                    <button class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>
+                </div>
             </div>
         `;
+
+        const save = () => this.applyClientEdits(this.collectFieldEdits(target), `Edited ${path}`);
+        const cancel = () => this.refreshClientView();
+
+        target.querySelector('[data-action="save"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            save();
+        });
+        target.querySelector('[data-action="cancel"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            cancel();
+        });
+        target.querySelectorAll('.field-input').forEach(input => {
+            input.addEventListener('click', (e) => e.stopPropagation());
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && input.tagName !== 'TEXTAREA') {
+                    e.preventDefault();
+                    save();
+                } else if (e.key === 'Escape') {
+                    cancel();
+                }
+            });
+        });
+
+        target.querySelector('.field-input')?.focus();
+    },
+
+    // Open the modal editor with every field of a schema section
+    openSectionEditor: function(section) {
+        const template = ClientSchema.createEmptyClient()[section];
+        if (!template) return;
+
+        this.editorContext = { section: section, index: null, isNew: false };
+        this.renderFieldEditorModal(this.formatFieldName(section), section, template, this.currentClient[section] || {});
+    },
+
+    // Open the modal editor for an array item (index -1 adds a new item)
+    openArrayItemEditor: function(section, index) {
+        const template = ClientSchema.createArrayItem(section);
+        if (!template) return;
+
+        const items = this.currentClient[section] || [];
+        const isNew = index < 0 || index >= items.length;
+        const itemIndex = isNew ? items.length : index;
+
+        this.editorContext = { section: section, index: itemIndex, isNew: isNew };
+        const title = `${isNew ? 'Add' : 'Edit'} ${this.formatFieldName(section)} ${isNew ? '' : itemIndex + 1}`.trim();
+        this.renderFieldEditorModal(title, `${section}[${itemIndex}]`, template, isNew ? template : items[itemIndex]);
+    },
+
+    // Render the field editor modal for an object of fields rooted at basePath
+    renderFieldEditorModal: function(title, basePath, template, values) {
+        const rows = Object.keys(template)
+            .filter(key => key !== 'id')
+            .map(key => {
+                const path = `${basePath}.${key}`;
+                return `
+                    <div class="form-group">
+                        <label>${this.formatFieldName(key)}</label>
+                        ${this.renderFieldInput(path, values[key])}
+                    </div>
+                `;
+            }).join('');
+
+        document.getElementById('fieldEditorTitle').textContent = title;
+        document.getElementById('fieldEditorBody').innerHTML = `<div class="field-editor-grid">${rows}</div>`;
+        this.showModal('fieldEditorModal');
+    },
+
+    // Save everything in the field editor modal
+    saveFieldEditor: async function() {
+        const context = this.editorContext;
+        if (!context) return;
+
+        const edits = this.collectFieldEdits(document.getElementById('fieldEditorBody'));
+        const label = context.index === null
+            ? this.formatFieldName(context.section)
+            : `${this.formatFieldName(context.section)} ${context.index + 1}`;
+
+        const saved = await this.applyClientEdits(edits, `${context.isNew ? 'Added' : 'Edited'} ${label}`, (client) => {
+            // New items get a schema-shaped entry (with an id) before fields are applied
+            if (context.isNew) {
+                client[context.section] = client[context.section] || [];
+                client[context.section].push(ClientSchema.createArrayItem(context.section));
+            }
+        });
+
+        if (saved) {
+            this.editorContext = null;
+            this.hideModal('fieldEditorModal');
+        }
+    },
+
+    // Apply { path, value } edits to the current client and save them as a new version.
+    // prepare(client) may reshape the working copy before the edits are applied.
+    applyClientEdits: async function(edits, note, prepare = null) {
+        if (!this.currentClient) return false;
+
+        try {
+            const updated = JSON.parse(JSON.stringify(this.currentClient));
+            if (prepare) prepare(updated);
+
+            for (const edit of edits) {
+                const before = this.getNestedValueSafe(updated, edit.path);
+                if (JSON.stringify(before) === JSON.stringify(edit.value)) continue;
+
+                ClientSchema.setValue(updated, edit.path, edit.value);
+                Provenance.record(updated, edit.path, {
+                    confidence: 1,
+                    approvalMode: Provenance.APPROVAL_MODES.EDIT
+                });
+            }
+
+            await Database.saveClient(updated, {
+                source: ClientHistory.SOURCES.MANUAL,
+                note: note || ''
+            });
+
+            await this.refreshClientView();
+            this.showAlert('Changes saved', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to save edits:', error);
+            this.showAlert('Failed to save: ' + error.message, 'danger');
+            return false;
+        }
+    },
+
+    // Move an array item up (-1) or down (+1)
+    moveArrayItem: async function(section, index, delta) {
+        const items = this.currentClient?.[section] || [];
+        const target = index + delta;
+        if (target < 0 || target >= items.length) return;
+
+        await this.applyClientEdits([], `Reordered ${this.formatFieldName(section)}`, (client) => {
+            const list = client[section];
+            [list[index], list[target]] = [list[target], list[index]];
+        });
+    },
+
+    // Delete an array item after confirmation
+    deleteArrayItem: async function(section, index) {
+        const item = (this.currentClient?.[section] || [])[index];
+        if (!item) return;
+        if (!confirm(`Delete ${this.formatFieldName(section)} ${index + 1}? It can be restored from the History tab.`)) return;
+
+        await this.applyClientEdits([], `Deleted ${this.formatFieldName(section)} ${index + 1}`, (client) => {
+            client[section].splice(index, 1);
+            Provenance.removeItem(client, section, item.id);
+        });
+    },
+
+    // Reload the current client and re-render the active tab
+    refreshClientView: async function() {
+        if (!this.currentClientId) return;
+        const tab = this.currentTab;
+        await this.selectClient(this.currentClientId);
+        this.switchTab(tab);
+        await this.loadClientList();
+    },
+
+    // Open the transcript a field came from, scrolled to its source quote
+    showFieldSource: async function(path) {
+        const source = Provenance.get(this.currentClient, path);
+        if (!source || !source.transcriptId) {
+            this.showAlert('No transcript recorded for this field', 'info');
+            return;
+        }
+
+        try {
+            const transcript = await Database.getTranscript(source.transcriptId);
+            if (!transcript) {
+                this.showAlert('Source transcript no longer exists', 'warning');
+                return;
+            }
+
+            // Highlight the whole utterance holding the quote; plain text falls back to the best line
+            const lines = (transcript.content || '').split(/\r?\n/);
+            const passage = Provenance.locatePassage(transcript.content || '', source.sourceQuote);
+            const utterance = passage ? passage.utterance : null;
+            const matchIndex = passage ? passage.line - 1 : -1;
+            const matchEnd = passage ? passage.endLine - 1 : -1;
+
+            document.getElementById('transcriptViewerTitle').textContent = transcript.fileName || 'Transcript';
+            document.getElementById('transcriptViewerBody').innerHTML = `
+                <div class="transcript-source-meta">
+                    <strong>${this.escapeHtml(this.formatFieldName(path.split('.').pop()))}</strong>
+                    &mdash; ${this.escapeHtml(Provenance.describe(source)).replace(/\n/g, ' | ')}
+                    ${utterance ? `<div>Said by ${this.escapeHtml(utterance.speaker)} (${utterance.role}) at line ${utterance.line}</div>` : ''}
+                </div>
+                ${matchIndex === -1 ? `
+                    <div class="alert alert-warning">Source quote could not be located in this transcript.</div>
+                ` : ''}
+                <div class="transcript-viewer">
+                    ${lines.map((line, i) => `
+                        <div class="transcript-line ${matchIndex !== -1 && i >= matchIndex && i <= matchEnd ? 'highlight' : ''}" id="transcriptLine_${i}">
+                            <span class="transcript-line-number">${i + 1}</span>
+                            <span class="transcript-line-text">${this.escapeHtml(line) || '&nbsp;'}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+
+            this.showModal('transcriptViewerModal');
+
+            if (matchIndex !== -1) {
+                document.getElementById(`transcriptLine_${matchIndex}`)?.scrollIntoView({ block: 'center' });
+            }
+        } catch (error) {
+            console.error('Failed to open source transcript:', error);
+            this.showAlert('Failed to open transcript: ' + error.message, 'danger');
+        }
     }
 };
 
@@ -0,0 +1,116 @@
+/**
+ * Adviser AI - Auto-Approval Policy
+ * Decides which extracted fields batch processing may save without review: a global
+ * confidence threshold, per-section and per-field overrides, fields that are never
+ * auto-approved, and whether stored values may be overwritten unattended.
+ */
+
+const ApprovalPolicy = {
+    // Why a field was held back for review (stored on the queued extraction)
+    REASONS: {
+        NEVER_AUTO: 'never_auto',         // identity and compliance fields
+        UNVERIFIED: 'unverified',         // value not found near its quote in the transcript (Verification)
+        LOW_CONFIDENCE: 'low_confidence', // below the threshold for the field
+        CONFLICT: 'conflict',             // differs from a stored value
+        CONTRADICTION: 'contradiction'    // differs from a stored value without the client saying it changed
+    },
+
+    // Identity data compliance will not accept unattended changes to
+    DEFAULT_NEVER_AUTO: [
+        'personal.dateOfBirth', 'personal.nationalInsuranceNumber', 'personal.taxResidency',
+        'personal.isPoliticallyExposedPerson', 'personal.pepDetails',
+        'spouse.dateOfBirth', 'spouse.nationalInsuranceNumber', 'spouse.taxResidency',
+        'spouse.isPoliticallyExposedPerson', 'spouse.pepDetails',
+        'children[].dateOfBirth'
+    ],
+
+    // { threshold, overrides: { [section or field pattern]: threshold }, neverAuto: [pattern], protectExisting }
+    getPolicy: function() {
+        const defaults = {
+            threshold: 0.6,
+            overrides: {},
+            neverAuto: this.DEFAULT_NEVER_AUTO.slice(),
+            protectExisting: true
+        };
+        try {
+            const stored = JSON.parse(localStorage.getItem('adviserAI_approvalPolicy') || 'null');
+            return stored ? Object.assign(defaults, stored) : defaults;
+        } catch (error) {
+            console.warn('Ignoring unreadable approval policy:', error);
+            return defaults;
+        }
+    },
+
+    setPolicy: function(policy) {
+        localStorage.setItem('adviserAI_approvalPolicy', JSON.stringify(policy));
+    },
+
+    // The most specific rule pattern covering a path: the field itself, a parent object
+    // ("personal.address") or its section ("pensions"), or null
+    findRule: function(patterns, path) {
+        const pattern = ClientSchema.getPathPattern(path);
+        return patterns
+            .filter(rule => pattern === rule || pattern.startsWith(`${rule}.`) || pattern.startsWith(`${rule}[]`))
+            .sort((a, b) => b.length - a.length)[0] || null;
+    },
+
+    // Confidence a field needs to be auto-approved
+    getThreshold: function(path, policy = this.getPolicy()) {
+        const rule = this.findRule(Object.keys(policy.overrides || {}), path);
+        return rule ? policy.overrides[rule] : policy.threshold;
+    },
+
+    // Whether batch processing may save an extracted value unattended.
+    // entry is the { value, confidence, change } from the extraction, conflict the
+    // Extraction.findConflicts entry when the value differs from a stored one.
+    // Returns { approve, reason } with reason from REASONS when held back.
+    evaluate: function(path, entry, conflict = null, policy = this.getPolicy()) {
+        if (this.findRule(policy.neverAuto || [], path)) {
+            return { approve: false, reason: this.REASONS.NEVER_AUTO };
+        }
+        if (entry.verified === false) {
+            return { approve: false, reason: this.REASONS.UNVERIFIED };
+        }
+        if ((entry.confidence || 0) < this.getThreshold(path, policy)) {
+            return { approve: false, reason: this.REASONS.LOW_CONFIDENCE };
+        }
+        if (conflict) {
+            // Only a change the client stated can overwrite a stored value, and only when allowed
+            if (conflict.change === ExtractionSchema.CHANGES.CONTRADICTION) {
+                return { approve: false, reason: this.REASONS.CONTRADICTION };
+            }
+            if (policy.protectExisting || conflict.change !== ExtractionSchema.CHANGES.UPDATED) {
+                return { approve: false, reason: this.REASONS.CONFLICT };
+            }
+        }
+        return { approve: true, reason: null };
+    },
+
+    // Short label for a hold-back reason
+    formatReason: function(reason) {
+        const labels = {
+            never_auto: 'never auto-approved',
+            unverified: 'not found in the transcript',
+            low_confidence: 'below confidence threshold',
+            conflict: 'would overwrite a stored value',
+            contradiction: 'contradicts a stored value'
+        };
+        return labels[reason] || reason;
+    },
+
+    // Section and field patterns a rule can name, for the Settings editor
+    getRulePatterns: function() {
+        const patterns = [];
+        Object.keys(FieldRegistry.getFields()).forEach(pattern => {
+            const section = pattern.split(/[.[]/)[0];
+            if (!patterns.includes(section)) patterns.push(section);
+            patterns.push(pattern);
+        });
+        return patterns;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.ApprovalPolicy = ApprovalPolicy;
+}
@@ -0,0 +1,143 @@
+/**
+ * Adviser AI - Balance Sheet
+ * Net worth, liquidity and gearing in a single reporting currency,
+ * split by owner and asset class, converted with the offline ExchangeRates table
+ */
+
+const BalanceSheet = {
+    ASSET_CLASSES: {
+        property: 'Property',
+        pension: 'Pensions',
+        investment: 'Investments',
+        cash: 'Cash'
+    },
+
+    LIABILITY_CLASSES: {
+        mortgage: 'Mortgages',
+        debt: 'Other Debts'
+    },
+
+    OWNERS: ['Client', 'Spouse', 'Joint'],
+
+    // Asset classes that can be realised quickly
+    LIQUID_CLASSES: ['cash', 'investment'],
+
+    // ========== CALCULATION ==========
+
+    // Every asset and liability line on the client record, in its own currency
+    collectLines: function(client) {
+        const lines = [];
+        const add = (kind, assetClass, section, index, item, amount, currency, label) => {
+            if (typeof amount !== 'number' || amount === 0) return;
+            lines.push({
+                kind: kind,
+                assetClass: assetClass,
+                path: `${section}[${index}]`,
+                label: label,
+                owner: this.normalizeOwner(item.owner),
+                amount: amount,
+                currency: currency || ''
+            });
+        };
+
+        (client.properties || []).forEach((prop, i) => {
+            const label = prop.address?.line1 || prop.address?.city || `Property ${i + 1}`;
+            add('asset', 'property', 'properties', i, prop, prop.currentValue, prop.currency, label);
+            add('liability', 'mortgage', 'properties', i, prop, prop.mortgageBalance, prop.currency,
+                `Mortgage: ${prop.mortgageProvider || label}`);
+        });
+        (client.pensions || []).forEach((p, i) => {
+            add('asset', 'pension', 'pensions', i, p, p.currentValue, p.currency, p.provider || `Pension ${i + 1}`);
+        });
+        (client.investments || []).forEach((inv, i) => {
+            add('asset', 'investment', 'investments', i, inv, inv.currentValue, inv.currency, inv.provider || `Investment ${i + 1}`);
+        });
+        (client.bankAccounts || []).forEach((acc, i) => {
+            // An overdrawn account is a liability rather than negative cash
+            if (typeof acc.balance === 'number' && acc.balance < 0) {
+                add('liability', 'debt', 'bankAccounts', i, acc, -acc.balance, acc.currency, `Overdraft: ${acc.bank || i + 1}`);
+            } else {
+                add('asset', 'cash', 'bankAccounts', i, acc, acc.balance, acc.currency, acc.bank || `Account ${i + 1}`);
+            }
+        });
+        (client.debts || []).forEach((debt, i) => {
+            add('liability', 'debt', 'debts', i, debt, debt.outstandingBalance, debt.currency, debt.provider || debt.type || `Debt ${i + 1}`);
+        });
+
+        return lines;
+    },
+
+    normalizeOwner: function(owner) {
+        const value = String(owner || '').trim().toLowerCase();
+        return this.OWNERS.find(o => o.toLowerCase() === value) || 'Client';
+    },
+
+    // Full balance sheet in the reporting currency, using rates as at asOf.
+    // Lines whose currency has no rate are listed in `unconverted` and left out of the totals;
+    // lines with no currency are assumed to be in the reporting currency.
+    calculate: function(client, reportingCurrency = ExchangeRates.getReportingCurrency(), asOf = ExchangeRates.today()) {
+        const zeroBy = (keys) => keys.reduce((acc, key) => { acc[key] = 0; return acc; }, {});
+        const result = {
+            currency: reportingCurrency,
+            asOf: asOf,
+            assets: { total: 0, byClass: zeroBy(Object.keys(this.ASSET_CLASSES)), byOwner: zeroBy(this.OWNERS) },
+            liabilities: { total: 0, byClass: zeroBy(Object.keys(this.LIABILITY_CLASSES)), byOwner: zeroBy(this.OWNERS) },
+            netWorth: 0,
+            netWorthByOwner: zeroBy(this.OWNERS),
+            liquidAssets: 0,
+            liquidityRatio: null,
+            monthsOfExpenditure: null,
+            gearing: null,
+            lines: [],
+            unconverted: [],
+            missingRates: [],
+            assumedCurrency: 0
+        };
+
+        this.collectLines(client).forEach(line => {
+            if (!line.currency) result.assumedCurrency++;
+            const conversion = ExchangeRates.convert(line.amount, line.currency || reportingCurrency, reportingCurrency, asOf);
+            const converted = conversion ? conversion.value : null;
+            const entry = Object.assign({}, line, { converted: converted });
+            result.lines.push(entry);
+
+            if (converted === null) {
+                result.unconverted.push(entry);
+                if (!result.missingRates.includes(line.currency)) result.missingRates.push(line.currency);
+                return;
+            }
+
+            const side = line.kind === 'asset' ? result.assets : result.liabilities;
+            side.total += converted;
+            side.byClass[line.assetClass] += converted;
+            side.byOwner[line.owner] += converted;
+            if (line.kind === 'asset' && this.LIQUID_CLASSES.includes(line.assetClass)) {
+                result.liquidAssets += converted;
+            }
+        });
+
+        result.netWorth = result.assets.total - result.liabilities.total;
+        this.OWNERS.forEach(owner => {
+            result.netWorthByOwner[owner] = result.assets.byOwner[owner] - result.liabilities.byOwner[owner];
+        });
+
+        if (result.assets.total > 0) {
+            result.liquidityRatio = result.liquidAssets / result.assets.total;
+            result.gearing = result.liabilities.total / result.assets.total;
+        }
+
+        // Cash runway against stated monthly spending
+        const spend = client.expenditure?.totalMonthly;
+        if (typeof spend === 'number' && spend > 0) {
+            const monthly = ExchangeRates.convert(spend, client.expenditure.currency || reportingCurrency, reportingCurrency, asOf);
+            if (monthly && monthly.value) result.monthsOfExpenditure = result.assets.byClass.cash / monthly.value;
+        }
+
+        return result;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.BalanceSheet = BalanceSheet;
+}
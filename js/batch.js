@@ -16,6 +16,11 @@ const BatchProcessor = {
             App.showAlert('Batch processing already in progress', 'warning');
             return;
         }
+        // Demo data must never reach real client records
+        if (Extraction.getDemoMode()) {
+            App.showAlert('Batch processing is off in demo mode - turn demo mode off in Settings first', 'warning');
+            return;
+        }
 
         this.queue = Array.from(files);
         this.results = [];
@@ -39,7 +44,7 @@ const BatchProcessor = {
         this.updateFileStatus(this.currentIndex, 'processing', 'Extracting data...');
 
         try {
-            const text = await App.readFileAsText(file);
+            const text = await TranscriptImport.readFile(file);
 
             // Step 1: Quick-extract client name from transcript
             const nameInfo = await this.extractClientName(text);
@@ -83,56 +88,21 @@ const BatchProcessor = {
         await this.processNext();
     },
 
-    // Extract client name from transcript using Claude API (lightweight call)
+    // Identify the client: the transcript parser's client speaker when it has a full name,
+    // otherwise a lightweight API call (or, with no provider, the name the client gives)
     extractClientName: async function(transcriptText) {
-        const apiKey = Extraction.getApiKey();
-        const provider = Extraction.getProvider();
-        const model = Extraction.getModel();
-
-        if (!apiKey) {
-            // Demo mode - try to parse name from text
-            return this.parseNameFromText(transcriptText);
-        }
+        const parsedName = this.parseNameFromText(transcriptText);
+        if (parsedName) return parsedName;
+        if (!LLMProviders.isConfigured()) return RuleExtraction.findClientName(transcriptText);
 
         try {
+            // The parsed header lists every participant, so the first chunk is enough
+            // to name the client without sending the whole meeting
+            const parsed = TranscriptParser.parse(transcriptText);
+            const opening = Extraction.chunkTranscript(parsed, transcriptText)[0].text;
             const systemPrompt = 'Extract the PRIMARY CLIENT name (not the adviser) from this meeting transcript. Return ONLY a JSON object: {"firstName": "...", "lastName": "...", "meetingDate": "YYYY-MM-DD or null"}. No explanation.';
-            const response = await fetch(Extraction.API_URLS[provider], {
-                method: 'POST',
-                headers: provider === 'openai' ? {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`
-                } : {
-                    'Content-Type': 'application/json',
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01',
-                    'anthropic-dangerous-direct-browser-access': 'true'
-                },
-                body: provider === 'openai'
-                    ? JSON.stringify({
-                        model: model || 'gpt-4o',
-                        input: [
-                            { role: 'system', content: systemPrompt },
-                            { role: 'user', content: transcriptText.substring(0, 3000) }
-                        ],
-                        text: { format: { type: 'json_object' } },
-                        max_output_tokens: 512
-                    })
-                    : JSON.stringify({
-                        model: model || 'claude-opus-4-20250514',
-                        max_tokens: 256,
-                        system: systemPrompt,
-                        messages: [
-                            { role: 'user', content: transcriptText.substring(0, 3000) }
-                        ]
-                    })
-            });
-
-            if (!response.ok) throw new Error('API request failed');
-
-            const data = await response.json();
-            let jsonStr = provider === 'openai'
-                ? (data.output_text || data.output?.[0]?.content?.[0]?.text || '').trim()
-                : (data.content?.[0]?.text || '').trim();
+            const response = await LLMProviders.complete({ system: systemPrompt, user: opening, maxTokens: 512 });
+            let jsonStr = response.text.trim();
             const jsonMatch = jsonStr.match(/```(?:json)?\s*([\s\S]*?)```/);
             if (jsonMatch) jsonStr = jsonMatch[1].trim();
 
@@ -143,23 +113,9 @@ const BatchProcessor = {
         }
     },
 
-    // Fallback: try to parse a name from transcript text heuristically
+    // Client name and meeting date from the transcript structure (no API call)
     parseNameFromText: function(text) {
-        // Look for patterns like "Client: FirstName LastName" or "Meeting with FirstName LastName"
-        const patterns = [
-            /(?:client|participant|attendee)[:\s]+([A-Z][a-z]+)\s+([A-Z][a-z]+)/i,
-            /(?:meeting with|transcript for|interview with)[:\s]+([A-Z][a-z]+)\s+([A-Z][a-z]+)/i,
-            /(?:Mr|Mrs|Ms|Dr|Miss)\.?\s+([A-Z][a-z]+)\s+([A-Z][a-z]+)/i
-        ];
-
-        for (const pattern of patterns) {
-            const match = text.match(pattern);
-            if (match) {
-                return { firstName: match[1], lastName: match[2], meetingDate: null };
-            }
-        }
-
-        return null;
+        return TranscriptParser.getClientName(TranscriptParser.parse(text));
     },
 
     // Find existing clients matching the name
@@ -240,21 +196,31 @@ const BatchProcessor = {
         await this.runFullExtraction(file, text, existingClient);
     },
 
-    // Run full extraction and auto-approve high-confidence fields
+    // Run full extraction and auto-approve the fields the approval policy allows
     runFullExtraction: async function(file, text, client) {
         this.updateFileStatus(this.currentIndex, 'processing', 'AI extracting data...');
 
-        // Save transcript record
+        // Save transcript record with the parsed meeting details
+        const parsed = TranscriptParser.parse(text);
         const transcript = {
             clientId: client.id,
             fileName: file.name,
+            sourceFormat: TranscriptImport.getExtension(file.name),
             content: text,
+            meetingDate: parsed.meetingDate,
+            meeting: TranscriptParser.getMeetingInfo(parsed),
             uploadedAt: new Date().toISOString()
         };
         await Database.saveTranscript(transcript);
+        const meetingDate = transcript.meetingDate || transcript.uploadedAt;
 
         // Extract data
-        const extraction = await Extraction.extractFromTranscript(text, client);
+        const extraction = await Extraction.extractFromTranscript(text, client, parsed, (progress) => {
+            if ((progress.total > 1 || progress.section) && progress.status === 'extracting') {
+                const part = progress.total > 1 ? ` part ${progress.chunk} of ${progress.total}` : '';
+                this.updateFileStatus(this.currentIndex, 'processing', `AI extracting${part}${progress.section ? ` (${progress.section})` : ''}...`);
+            }
+        });
 
         if (!extraction.success) {
             this.results.push({
@@ -268,67 +234,109 @@ const BatchProcessor = {
             return;
         }
 
-        // Auto-approve all fields with confidence >= 0.6
+        // Auto-approve the fields the approval policy allows (Settings); the rest, including
+        // conflicts with stored values, are queued for review
         let updatedClient = JSON.parse(JSON.stringify(client));
         let fieldsUpdated = 0;
         const fieldsApplied = [];
 
-        const applyFields = (data, prefix = '') => {
+        // Collect the fields to apply, then write them; array items go to the stored item they
+        // match (Extraction.matchArrayItems) or are added as new items, never overwritten by index
+        const matches = extraction.itemMatches || Extraction.matchArrayItems(extraction.data, client);
+        const conflicts = Extraction.findConflicts(client, extraction.data, matches);
+        const policy = ApprovalPolicy.getPolicy();
+        const accepted = [];
+        const held = {}; // extracted path -> ApprovalPolicy.REASONS
+        const collectFields = (data, prefix = '') => {
             for (const key in data) {
                 const value = data[key];
                 const path = prefix ? `${prefix}.${key}` : key;
 
                 if (Array.isArray(value)) {
-                    // Handle arrays (children, pensions, properties, etc.)
-                    if (value.length > 0) {
-                        const existingArray = App.getNestedValueSafe(updatedClient, path) || [];
-                        value.forEach((item, index) => {
-                            if (typeof item === 'object') {
-                                // Create new array entry if needed
-                                if (index >= existingArray.length) {
-                                    const creator = this.getArrayItemCreator(key);
-                                    if (creator) {
-                                        existingArray.push(creator());
-                                    }
-                                }
-                                // Apply fields to array item
-                                applyFields(item, `${path}[${index}]`);
-                            }
-                        });
-                        // Only set if we actually have items
-                        if (existingArray.length > 0) {
-                            App.setNestedValue(updatedClient, path, existingArray);
-                        }
-                    }
+                    value.forEach((item, index) => {
+                        if (item && typeof item === 'object') collectFields(item, `${path}[${index}]`);
+                    });
                 } else if (value && typeof value === 'object') {
                     if ('value' in value && 'confidence' in value) {
-                        if (value.value !== null && value.confidence >= 0.6) {
-                            App.setNestedValue(updatedClient, path, value.value);
-                            fieldsUpdated++;
-                            fieldsApplied.push(path);
+                        if (value.value === null || value.change === ExtractionSchema.CHANGES.UNCHANGED) continue;
+                        const conflict = conflicts.find(c => c.field === path) || null;
+                        const decision = ApprovalPolicy.evaluate(path, value, conflict, policy);
+                        if (decision.approve) {
+                            accepted.push({ path: path, entry: value });
+                        } else {
+                            held[path] = decision.reason;
                         }
                     } else {
-                        applyFields(value, path);
+                        collectFields(value, path);
                     }
                 }
             }
         };
+        collectFields(extraction.data);
+
+        const targets = Extraction.prepareArrayItems(updatedClient, matches, accepted.map(field => field.path));
+        accepted.forEach(({ path: extractedPath, entry }) => {
+            const path = Extraction.mapItemPath(extractedPath, targets);
+            if (!App.setNestedValue(updatedClient, path, entry.value)) return;
+            Provenance.record(updatedClient, path, {
+                transcriptId: transcript.id,
+                fileName: file.name,
+                meetingDate: meetingDate,
+                sourceQuote: entry.sourceQuote,
+                confidence: entry.confidence,
+                approvalMode: Provenance.APPROVAL_MODES.AUTO
+            });
+            fieldsUpdated++;
+            fieldsApplied.push(path);
+        });
 
-        applyFields(extraction.data);
-
-        // Update metadata
-        updatedClient.version = (updatedClient.version || 0) + 1;
+        // Update metadata (version and history are recorded by saveClient)
         updatedClient.updatedAt = new Date().toISOString();
         updatedClient.dataSources = updatedClient.dataSources || [];
         updatedClient.dataSources.push({
             type: 'batch_transcript',
+            transcriptId: transcript.id,
             fileName: file.name,
+            meetingDate: transcript.meetingDate,
+            title: transcript.meeting.title,
+            participants: transcript.meeting.participants,
             date: new Date().toISOString(),
             fieldsUpdated: fieldsUpdated
         });
         updatedClient.dataCompleteness = ClientSchema.calculateCompleteness(updatedClient);
 
-        await Database.saveClient(updatedClient);
+        await Database.saveClient(updatedClient, {
+            source: ClientHistory.SOURCES.BATCH,
+            note: file.name
+        });
+
+        // Every extraction is kept with its transcript link; what the policy held back waits
+        // in the review inbox. Array items written above are the same items by then.
+        const heldPaths = Object.keys(held);
+        const conflictsQueued = conflicts.filter(conflict => held[conflict.field]).length;
+        const now = new Date().toISOString();
+        await Database.saveExtraction({
+            clientId: client.id,
+            transcriptId: transcript.id,
+            fileName: file.name,
+            meetingDate: meetingDate,
+            meeting: transcript.meeting,
+            source: 'batch',
+            summary: extraction.summary,
+            incremental: extraction.incremental,
+            missingFields: extraction.missingFields || [],
+            offline: Boolean(extraction.offline),
+            data: Extraction.pickFields(extraction.data, heldPaths),
+            itemMatches: Extraction.carryItemMatches(matches, targets),
+            conflictCount: conflictsQueued,
+            reviewReasons: held,
+            status: heldPaths.length > 0 ? 'pending' : 'approved',
+            reviewedBy: heldPaths.length > 0 ? null : 'Auto-approval policy',
+            reviewedAt: heldPaths.length > 0 ? null : now,
+            reviews: [{ action: 'auto_approved', by: 'Auto-approval policy', at: now, fields: fieldsApplied.length }]
+        });
+
+        const validation = Validation.validateClient(updatedClient);
 
         // Track result
         this.results.push({
@@ -337,26 +345,17 @@ const BatchProcessor = {
             clientId: updatedClient.id,
             status: 'success',
             fieldsUpdated: fieldsUpdated,
+            fieldsQueued: heldPaths.length,
+            conflictsQueued: conflictsQueued,
             completeness: updatedClient.dataCompleteness,
+            validationErrors: validation.errors,
+            validationWarnings: validation.warnings,
             summary: extraction.summary,
             missingFields: extraction.missingFields || []
         });
 
-        this.updateFileStatus(this.currentIndex, 'success', `${fieldsUpdated} fields updated`);
-    },
-
-    // Get the creator function for array items
-    getArrayItemCreator: function(key) {
-        const creators = {
-            children: () => ClientSchema.createEmptyChild(),
-            pensions: () => ClientSchema.createEmptyPension(),
-            properties: () => ClientSchema.createEmptyProperty(),
-            investments: () => ClientSchema.createEmptyInvestment(),
-            bankAccounts: () => ClientSchema.createEmptyBankAccount(),
-            debts: () => ClientSchema.createEmptyDebt(),
-            protection: () => ClientSchema.createEmptyProtection()
-        };
-        return creators[key] || null;
+        this.updateFileStatus(this.currentIndex, 'success',
+            `${fieldsUpdated} fields updated${heldPaths.length > 0 ? `, ${heldPaths.length} queued for review` : ''}`);
     },
 
     // Show duplicate detection modal
@@ -521,6 +520,8 @@ const BatchProcessor = {
         const successCount = this.results.filter(r => r.status === 'success').length;
         const errorCount = this.results.filter(r => r.status === 'error').length;
         const skippedCount = this.results.filter(r => r.status === 'skipped').length;
+        const invalidCount = this.results.filter(r => r.validationErrors && r.validationErrors.length > 0).length;
+        const queuedCount = this.results.reduce((sum, r) => sum + (r.fieldsQueued || 0), 0);
 
         // Get unique clients created/updated
         const clientIds = [...new Set(this.results.filter(r => r.clientId).map(r => r.clientId))];
@@ -545,6 +546,16 @@ const BatchProcessor = {
                         <div class="batch-stat-value">${errorCount}</div>
                         <div class="batch-stat-label">Errors</div>
                     </div>
+                    ${invalidCount > 0 ? `
+                    <div class="batch-stat">
+                        <div class="batch-stat-value">${invalidCount}</div>
+                        <div class="batch-stat-label">Need Validation Fixes</div>
+                    </div>` : ''}
+                    ${queuedCount > 0 ? `
+                    <div class="batch-stat">
+                        <div class="batch-stat-value">${queuedCount}</div>
+                        <div class="batch-stat-label">Fields Queued for Review</div>
+                    </div>` : ''}
                     ${skippedCount > 0 ? `
                     <div class="batch-stat">
                         <div class="batch-stat-value">${skippedCount}</div>
@@ -570,9 +581,12 @@ const BatchProcessor = {
                             </div>
                             ${r.clientName ? `<div class="batch-result-client">Client: ${App.escapeHtml(r.clientName)}</div>` : ''}
                             ${r.fieldsUpdated ? `<div class="batch-result-meta">${r.fieldsUpdated} fields updated | Completeness: ${r.completeness}%</div>` : ''}
+                            ${r.fieldsQueued ? `<div class="batch-result-validation warning">${r.fieldsQueued} field(s) queued for review (Upload tab)${r.conflictsQueued ? `, ${r.conflictsQueued} of them conflicting with stored values` : ''}</div>` : ''}
                             ${r.message ? `<div class="batch-result-meta">${App.escapeHtml(r.message)}</div>` : ''}
                             ${r.summary ? `<div class="batch-result-summary">${App.escapeHtml(r.summary)}</div>` : ''}
                             ${r.missingFields && r.missingFields.length > 0 ? `<div class="batch-result-missing">Missing: ${r.missingFields.join(', ')}</div>` : ''}
+                            ${r.validationErrors && r.validationErrors.length > 0 ? `<div class="batch-result-validation error">Validation errors: ${App.escapeHtml(r.validationErrors.join('; '))}</div>` : ''}
+                            ${r.validationWarnings && r.validationWarnings.length > 0 ? `<div class="batch-result-validation warning">Warnings: ${App.escapeHtml(r.validationWarnings.join('; '))}</div>` : ''}
                             ${r.clientId ? `<button class="btn btn-sm btn-secondary" style="margin-top: 8px;" onclick="App.selectClient('${r.clientId}')">View Client</button>` : ''}
                         </div>
                     `).join('')}
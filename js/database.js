@@ -5,14 +5,129 @@
 
 const Database = {
     DB_NAME: 'AdviserAI',
-    DB_VERSION: 1,
+    DB_VERSION: 4, // Must equal the version of the last entry in MIGRATIONS
     STORES: {
         CLIENTS: 'clients',
         TRANSCRIPTS: 'transcripts',
-        EXTRACTIONS: 'extractions'
+        EXTRACTIONS: 'extractions',
+        CLIENT_VERSIONS: 'clientVersions',
+        FX_RATES: 'fxRates'
     },
     db: null,
 
+    // ========== MIGRATIONS ==========
+
+    // Numbered IndexedDB upgrade steps. Each step runs once, in order, inside the
+    // versionchange transaction when a browser opens an older database.
+    // Never edit a released step - add a new one and bump DB_VERSION instead.
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Create clients, transcripts and extractions stores',
+            migrate: function(db, transaction) {
+                const stores = Database.STORES;
+
+                // Clients store
+                if (!db.objectStoreNames.contains(stores.CLIENTS)) {
+                    const clientStore = db.createObjectStore(stores.CLIENTS, { keyPath: 'id' });
+                    clientStore.createIndex('lastName', 'personal.lastName', { unique: false });
+                    clientStore.createIndex('email', 'personal.email', { unique: false });
+                    clientStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+                }
+
+                // Transcripts store
+                if (!db.objectStoreNames.contains(stores.TRANSCRIPTS)) {
+                    const transcriptStore = db.createObjectStore(stores.TRANSCRIPTS, { keyPath: 'id' });
+                    transcriptStore.createIndex('clientId', 'clientId', { unique: false });
+                    transcriptStore.createIndex('uploadedAt', 'uploadedAt', { unique: false });
+                }
+
+                // Extractions store (pending reviews)
+                if (!db.objectStoreNames.contains(stores.EXTRACTIONS)) {
+                    const extractionStore = db.createObjectStore(stores.EXTRACTIONS, { keyPath: 'id' });
+                    extractionStore.createIndex('clientId', 'clientId', { unique: false });
+                    extractionStore.createIndex('status', 'status', { unique: false });
+                }
+            }
+        },
+        {
+            version: 2,
+            description: 'Upgrade stored client records to the current ClientSchema shape',
+            migrate: function(db, transaction) {
+                const store = transaction.objectStore(Database.STORES.CLIENTS);
+                const cursorRequest = store.openCursor();
+
+                cursorRequest.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    cursor.update(ClientSchema.migrateClient(cursor.value));
+                    cursor.continue();
+                };
+            }
+        },
+        {
+            version: 3,
+            description: 'Add client version snapshots for history and restore',
+            migrate: function(db, transaction) {
+                const stores = Database.STORES;
+                const versionStore = db.createObjectStore(stores.CLIENT_VERSIONS, { keyPath: 'id' });
+                versionStore.createIndex('clientId', 'clientId', { unique: false });
+
+                // Baseline snapshot of every existing client so there is something to restore to
+                const cursorRequest = transaction.objectStore(stores.CLIENTS).openCursor();
+                cursorRequest.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    versionStore.put(Database._buildVersionRecord(cursor.value, {
+                        source: ClientHistory.SOURCES.IMPORT,
+                        user: 'system',
+                        note: 'Baseline before version history'
+                    }));
+                    cursor.continue();
+                };
+            }
+        },
+        {
+            version: 4,
+            description: 'Add dated exchange-rate store',
+            migrate: function(db, transaction) {
+                const rateStore = db.createObjectStore(Database.STORES.FX_RATES, { keyPath: 'id' });
+                rateStore.createIndex('pair', 'pair', { unique: false });
+                rateStore.createIndex('date', 'date', { unique: false });
+
+                // Carry over the single undated table previously kept in localStorage
+                let legacy = null;
+                try {
+                    legacy = JSON.parse(localStorage.getItem('adviserAI_fxRates') || 'null');
+                } catch (e) {
+                    legacy = null;
+                }
+                if (legacy && legacy.base && legacy.rates) {
+                    const date = (legacy.updatedAt || new Date().toISOString()).split('T')[0];
+                    Object.keys(legacy.rates).forEach(currency => {
+                        rateStore.put(ExchangeRates.createRate(currency, legacy.base, legacy.rates[currency], date, 'manual'));
+                    });
+                }
+                localStorage.removeItem('adviserAI_fxRates');
+            }
+        }
+    ],
+
+    // Run every migration step between oldVersion (exclusive) and newVersion (inclusive)
+    runMigrations: function(db, transaction, oldVersion, newVersion) {
+        const target = newVersion || this.DB_VERSION;
+        const steps = this.MIGRATIONS
+            .filter(step => step.version > oldVersion && step.version <= target)
+            .sort((a, b) => a.version - b.version);
+
+        for (const step of steps) {
+            console.log(`Running database migration v${step.version}: ${step.description}`);
+            step.migrate(db, transaction);
+        }
+
+        console.log(`Database schema migrated from v${oldVersion} to v${target}`);
+    },
+
     // Initialize the database
     init: function() {
         return new Promise((resolve, reject) => {
@@ -30,44 +145,42 @@ const Database = {
 
             request.onsuccess = (event) => {
                 this.db = event.target.result;
+
+                // Let a newer version open in another tab instead of blocking it
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    console.warn('Database upgraded in another tab - reload to continue');
+                };
+
                 console.log('Database opened successfully');
                 resolve(this.db);
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-
-                // Clients store
-                if (!db.objectStoreNames.contains(this.STORES.CLIENTS)) {
-                    const clientStore = db.createObjectStore(this.STORES.CLIENTS, { keyPath: 'id' });
-                    clientStore.createIndex('lastName', 'personal.lastName', { unique: false });
-                    clientStore.createIndex('email', 'personal.email', { unique: false });
-                    clientStore.createIndex('updatedAt', 'updatedAt', { unique: false });
-                }
-
-                // Transcripts store
-                if (!db.objectStoreNames.contains(this.STORES.TRANSCRIPTS)) {
-                    const transcriptStore = db.createObjectStore(this.STORES.TRANSCRIPTS, { keyPath: 'id' });
-                    transcriptStore.createIndex('clientId', 'clientId', { unique: false });
-                    transcriptStore.createIndex('uploadedAt', 'uploadedAt', { unique: false });
-                }
-
-                // Extractions store (pending reviews)
-                if (!db.objectStoreNames.contains(this.STORES.EXTRACTIONS)) {
-                    const extractionStore = db.createObjectStore(this.STORES.EXTRACTIONS, { keyPath: 'id' });
-                    extractionStore.createIndex('clientId', 'clientId', { unique: false });
-                    extractionStore.createIndex('status', 'status', { unique: false });
+                const transaction = event.target.transaction;
+
+                try {
+                    this.runMigrations(db, transaction, event.oldVersion, event.newVersion);
+                } catch (error) {
+                    // Aborting the versionchange transaction leaves the database at its old version
+                    console.error('Database migration failed:', error);
+                    transaction.abort();
                 }
+            };
 
-                console.log('Database schema created/updated');
+            request.onblocked = () => {
+                console.warn('Database upgrade blocked - close other Adviser AI tabs to continue');
             };
         });
     },
 
     // ========== CLIENT OPERATIONS ==========
 
-    // Save a new client
-    saveClient: function(client) {
+    // Save a client, recording a field-level diff and a version snapshot.
+    // options: { source, user, note } describe why the client changed (see ClientHistory.SOURCES)
+    saveClient: function(client, options = {}) {
         return new Promise((resolve, reject) => {
             if (!this.db) {
                 reject(new Error('Database not initialized'));
@@ -80,25 +193,118 @@ const Database = {
                 client.createdAt = client.updatedAt;
             }
 
+            // Store every field as its registered type
+            FieldRegistry.normalizeClient(client);
+
             // Calculate completeness
             client.dataCompleteness = ClientSchema.calculateCompleteness(client);
 
-            const transaction = this.db.transaction([this.STORES.CLIENTS], 'readwrite');
+            const transaction = this.db.transaction(
+                [this.STORES.CLIENTS, this.STORES.CLIENT_VERSIONS],
+                'readwrite'
+            );
             const store = transaction.objectStore(this.STORES.CLIENTS);
-            const request = store.put(client);
+            const versionStore = transaction.objectStore(this.STORES.CLIENT_VERSIONS);
+
+            const getRequest = store.get(client.id);
+
+            getRequest.onsuccess = (event) => {
+                const previous = event.target.result || null;
+                const changes = previous ? ClientHistory.diff(previous, client) : [];
+
+                // The stored record owns the history; callers may hold a stale copy
+                client.history = (previous ? previous.history : client.history) || [];
+
+                // A save that only records review decisions (all "keep existing") still gets an entry
+                const decisions = options.decisions && options.decisions.length > 0;
+                if (!previous || changes.length > 0 || decisions) {
+                    client.version = previous ? (previous.version || 0) + 1 : (client.version || 1);
+                    const entryOptions = Object.assign(
+                        { source: previous ? ClientHistory.SOURCES.MANUAL : ClientHistory.SOURCES.CREATED },
+                        options
+                    );
+                    client.history.push(ClientHistory.createEntry(client.version, changes, entryOptions));
+                    versionStore.put(this._buildVersionRecord(client, entryOptions));
+                } else {
+                    client.version = previous.version;
+                }
 
-            request.onsuccess = () => {
-                console.log('Client saved:', client.id);
+                store.put(client);
+            };
+
+            transaction.oncomplete = () => {
+                console.log('Client saved:', client.id, 'v' + client.version);
                 resolve(client);
             };
 
-            request.onerror = (event) => {
+            transaction.onerror = (event) => {
                 console.error('Error saving client:', event.target.error);
                 reject(event.target.error);
             };
         });
     },
 
+    // Build a version-store record for the client's current state
+    _buildVersionRecord: function(client, options = {}) {
+        const version = client.version || 1;
+        return {
+            id: `${client.id}:${version}`,
+            clientId: client.id,
+            version: version,
+            date: client.updatedAt || new Date().toISOString(),
+            source: options.source || ClientHistory.SOURCES.MANUAL,
+            user: options.user || Provenance.getCurrentUser(),
+            snapshot: ClientHistory.snapshot(client)
+        };
+    },
+
+    // Get all stored versions of a client, newest first
+    getClientVersions: function(clientId) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.STORES.CLIENT_VERSIONS], 'readonly');
+            const index = transaction.objectStore(this.STORES.CLIENT_VERSIONS).index('clientId');
+            const request = index.getAll(clientId);
+
+            request.onsuccess = (event) => {
+                const versions = event.target.result || [];
+                versions.sort((a, b) => b.version - a.version);
+                resolve(versions);
+            };
+
+            request.onerror = (event) => {
+                console.error('Error getting client versions:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    },
+
+    // Get a single stored version of a client
+    getClientVersion: function(clientId, version) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.STORES.CLIENT_VERSIONS], 'readonly');
+            const request = transaction.objectStore(this.STORES.CLIENT_VERSIONS).get(`${clientId}:${version}`);
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result || null);
+            };
+
+            request.onerror = (event) => {
+                console.error('Error getting client version:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    },
+
     // Get a client by ID
     getClient: function(id) {
         return new Promise((resolve, reject) => {
@@ -112,7 +318,8 @@ const Database = {
             const request = store.get(id);
 
             request.onsuccess = (event) => {
-                resolve(event.target.result || null);
+                const client = event.target.result || null;
+                resolve(client ? ClientSchema.migrateClient(client) : null);
             };
 
             request.onerror = (event) => {
@@ -135,7 +342,7 @@ const Database = {
             const request = store.getAll();
 
             request.onsuccess = (event) => {
-                const clients = event.target.result || [];
+                const clients = (event.target.result || []).map(c => ClientSchema.migrateClient(c));
                 // Sort by last name
                 clients.sort((a, b) => {
                     const nameA = (a.personal.lastName || '').toLowerCase();
@@ -160,16 +367,29 @@ const Database = {
                 return;
             }
 
-            const transaction = this.db.transaction([this.STORES.CLIENTS], 'readwrite');
-            const store = transaction.objectStore(this.STORES.CLIENTS);
-            const request = store.delete(id);
+            const transaction = this.db.transaction(
+                [this.STORES.CLIENTS, this.STORES.CLIENT_VERSIONS, this.STORES.EXTRACTIONS],
+                'readwrite'
+            );
+            transaction.objectStore(this.STORES.CLIENTS).delete(id);
+
+            // Remove the client's version snapshots and extractions awaiting review too
+            [this.STORES.CLIENT_VERSIONS, this.STORES.EXTRACTIONS].forEach(storeName => {
+                const index = transaction.objectStore(storeName).index('clientId');
+                index.openKeyCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    transaction.objectStore(storeName).delete(cursor.primaryKey);
+                    cursor.continue();
+                };
+            });
 
-            request.onsuccess = () => {
+            transaction.oncomplete = () => {
                 console.log('Client deleted:', id);
                 resolve(true);
             };
 
-            request.onerror = (event) => {
+            transaction.onerror = (event) => {
                 console.error('Error deleting client:', event.target.error);
                 reject(event.target.error);
             };
@@ -207,6 +427,29 @@ const Database = {
         });
     },
 
+    // Get a transcript by ID
+    getTranscript: function(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.STORES.TRANSCRIPTS], 'readonly');
+            const store = transaction.objectStore(this.STORES.TRANSCRIPTS);
+            const request = store.get(id);
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result || null);
+            };
+
+            request.onerror = (event) => {
+                console.error('Error getting transcript:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    },
+
     // Get transcripts for a client
     getTranscriptsForClient: function(clientId) {
         return new Promise((resolve, reject) => {
@@ -233,7 +476,8 @@ const Database = {
 
     // ========== EXTRACTION OPERATIONS ==========
 
-    // Save an extraction (pending review)
+    // Save an extraction (pending review). Reviewed records keep status, reviewedBy and
+    // reviewedAt, and every review action is appended to reviews: [{ action, by, at, fields }]
     saveExtraction: function(extraction) {
         return new Promise((resolve, reject) => {
             if (!this.db) {
@@ -263,6 +507,29 @@ const Database = {
         });
     },
 
+    // Get extraction by ID
+    getExtraction: function(id) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.STORES.EXTRACTIONS], 'readonly');
+            const store = transaction.objectStore(this.STORES.EXTRACTIONS);
+            const request = store.get(id);
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result || null);
+            };
+
+            request.onerror = (event) => {
+                console.error('Error getting extraction:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    },
+
     // Get pending extractions for a client
     getPendingExtractions: function(clientId) {
         return new Promise((resolve, reject) => {
@@ -288,6 +555,29 @@ const Database = {
         });
     },
 
+    // Extractions in one status across all clients (e.g. the review inbox)
+    getExtractionsByStatus: function(status) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.STORES.EXTRACTIONS], 'readonly');
+            const index = transaction.objectStore(this.STORES.EXTRACTIONS).index('status');
+            const request = index.getAll(IDBKeyRange.only(status));
+
+            request.onsuccess = (event) => {
+                resolve(event.target.result || []);
+            };
+
+            request.onerror = (event) => {
+                console.error('Error getting extractions:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    },
+
     // Delete an extraction
     deleteExtraction: function(id) {
         return new Promise((resolve, reject) => {
@@ -310,6 +600,44 @@ const Database = {
         });
     },
 
+    // ========== EXCHANGE RATE OPERATIONS ==========
+
+    // Get every stored exchange rate
+    getAllFxRates: function() {
+        if (!this.db) return Promise.reject(new Error('Database not initialized'));
+        return this._getAllFromStore(this.STORES.FX_RATES);
+    },
+
+    // Add or update exchange rates
+    saveFxRates: function(rates) {
+        if (!this.db) return Promise.reject(new Error('Database not initialized'));
+        return this._putAllInStore(this.STORES.FX_RATES, rates);
+    },
+
+    // Replace the whole rate table (used by the Settings editor)
+    replaceFxRates: function(rates) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('Database not initialized'));
+                return;
+            }
+
+            const transaction = this.db.transaction([this.STORES.FX_RATES], 'readwrite');
+            const store = transaction.objectStore(this.STORES.FX_RATES);
+            store.clear();
+            rates.forEach(rate => store.put(rate));
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
+            transaction.onerror = (event) => {
+                console.error('Error saving exchange rates:', event.target.error);
+                reject(event.target.error);
+            };
+        });
+    },
+
     // ========== UTILITY OPERATIONS ==========
 
     // Export all data
@@ -319,13 +647,17 @@ const Database = {
                 const clients = await this.getAllClients();
                 const transcripts = await this._getAllFromStore(this.STORES.TRANSCRIPTS);
                 const extractions = await this._getAllFromStore(this.STORES.EXTRACTIONS);
+                const clientVersions = await this._getAllFromStore(this.STORES.CLIENT_VERSIONS);
+                const fxRates = await this._getAllFromStore(this.STORES.FX_RATES);
 
                 resolve({
                     exportDate: new Date().toISOString(),
                     version: this.DB_VERSION,
                     clients: clients,
                     transcripts: transcripts,
-                    extractions: extractions
+                    extractions: extractions,
+                    clientVersions: clientVersions,
+                    fxRates: fxRates
                 });
             } catch (error) {
                 reject(error);
@@ -337,9 +669,18 @@ const Database = {
     importData: function(data) {
         return new Promise(async (resolve, reject) => {
             try {
+                // Version records go in first, without replacing local ones: saving each
+                // client below then writes the record for its current version, so every
+                // stored version matches the history the client ends up with
+                if (data.clientVersions) {
+                    await this._addMissingToStore(this.STORES.CLIENT_VERSIONS, data.clientVersions);
+                }
                 if (data.clients) {
                     for (const client of data.clients) {
-                        await this.saveClient(client);
+                        // Backups may predate the current schema
+                        await this.saveClient(ClientSchema.migrateClient(client), {
+                            source: ClientHistory.SOURCES.IMPORT
+                        });
                     }
                 }
                 if (data.transcripts) {
@@ -352,6 +693,9 @@ const Database = {
                         await this.saveExtraction(extraction);
                     }
                 }
+                if (data.fxRates) {
+                    await this._putAllInStore(this.STORES.FX_RATES, data.fxRates);
+                }
                 resolve(true);
             } catch (error) {
                 reject(error);
@@ -376,17 +720,52 @@ const Database = {
         });
     },
 
+    // Helper to write many records to any store in one transaction
+    _putAllInStore: function(storeName, records) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            records.forEach(record => store.put(record));
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
+            transaction.onerror = (event) => {
+                reject(event.target.error);
+            };
+        });
+    },
+
+    // Helper to write the records whose key is not in the store yet, in one transaction
+    _addMissingToStore: function(storeName, records) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const keysRequest = store.getAllKeys();
+
+            keysRequest.onsuccess = (event) => {
+                const existing = new Set(event.target.result);
+                records.filter(record => !existing.has(record[store.keyPath])).forEach(record => store.put(record));
+            };
+
+            transaction.oncomplete = () => {
+                resolve(true);
+            };
+
+            transaction.onerror = (event) => {
+                reject(event.target.error);
+            };
+        });
+    },
+
     // Clear all data (use with caution!)
     clearAllData: function() {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(
-                [this.STORES.CLIENTS, this.STORES.TRANSCRIPTS, this.STORES.EXTRACTIONS],
-                'readwrite'
-            );
+            const storeNames = Object.values(this.STORES);
+            const transaction = this.db.transaction(storeNames, 'readwrite');
 
-            transaction.objectStore(this.STORES.CLIENTS).clear();
-            transaction.objectStore(this.STORES.TRANSCRIPTS).clear();
-            transaction.objectStore(this.STORES.EXTRACTIONS).clear();
+            storeNames.forEach(name => transaction.objectStore(name).clear());
 
             transaction.oncomplete = () => {
                 console.log('All data cleared');
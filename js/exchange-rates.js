@@ -0,0 +1,199 @@
+/**
+ * Adviser AI - Exchange Rates
+ * Offline, dated FX rates kept in IndexedDB, CSV/JSON import and a
+ * synchronous conversion API over an in-memory copy of the table
+ */
+
+const ExchangeRates = {
+    SOURCES: {
+        MANUAL: 'manual',
+        IMPORT: 'import',
+        PLANNING: 'planning' // rate agreed with the client for planning purposes
+    },
+
+    rates: [], // in-memory copy of the fxRates store, loaded by load()
+
+    // Build a rate record: 1 unit of `from` is worth `rate` units of `to` on `date`
+    createRate: function(from, to, rate, date, source = 'manual', note = '') {
+        from = String(from).trim().toUpperCase();
+        to = String(to).trim().toUpperCase();
+        return {
+            id: `${from}:${to}:${date}`,
+            pair: `${from}:${to}`,
+            from: from,
+            to: to,
+            rate: Number(rate),
+            date: date,
+            source: source,
+            note: note,
+            updatedAt: new Date().toISOString()
+        };
+    },
+
+    // Refresh the in-memory table from the database
+    load: async function() {
+        this.rates = await Database.getAllFxRates();
+        return this.rates;
+    },
+
+    // Add or update rates and refresh the cache
+    save: async function(rates) {
+        await Database.saveFxRates(rates);
+        return this.load();
+    },
+
+    // Replace the whole table and refresh the cache
+    replaceAll: async function(rates) {
+        await Database.replaceFxRates(rates);
+        return this.load();
+    },
+
+    getReportingCurrency: function() {
+        return localStorage.getItem('adviserAI_reportingCurrency') || 'GBP';
+    },
+
+    setReportingCurrency: function(currency) {
+        localStorage.setItem('adviserAI_reportingCurrency', currency);
+    },
+
+    // ========== LOOKUP ==========
+
+    // Today as YYYY-MM-DD
+    today: function() {
+        return new Date().toISOString().split('T')[0];
+    },
+
+    // Best direct or inverse quote for a pair as at a date: the latest rate on or before
+    // the date, otherwise the earliest one after it. Returns { rate, date, source } or null.
+    findQuote: function(from, to, asOf) {
+        const candidates = [];
+        this.rates.forEach(r => {
+            if (!(r.rate > 0)) return;
+            if (r.from === from && r.to === to) candidates.push({ rate: r.rate, date: r.date, source: r.source });
+            else if (r.from === to && r.to === from) candidates.push({ rate: 1 / r.rate, date: r.date, source: r.source });
+        });
+        if (candidates.length === 0) return null;
+
+        candidates.sort((a, b) => a.date.localeCompare(b.date));
+        const onOrBefore = candidates.filter(c => c.date <= asOf);
+        return onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : candidates[0];
+    },
+
+    // Rate from one currency to another as at a date, going through a third currency
+    // when there is no direct quote. Returns { rate, date, source } or null.
+    getRate: function(from, to, asOf = this.today()) {
+        if (!from || !to) return null;
+        if (from === to) return { rate: 1, date: asOf, source: null };
+
+        const direct = this.findQuote(from, to, asOf);
+        if (direct) return direct;
+
+        // Cross rate via any currency quoted against both
+        const pivots = new Set();
+        this.rates.forEach(r => {
+            if (r.from === from || r.to === from) pivots.add(r.from === from ? r.to : r.from);
+        });
+        for (const pivot of pivots) {
+            const first = this.findQuote(from, pivot, asOf);
+            const second = first && this.findQuote(pivot, to, asOf);
+            if (second) {
+                return {
+                    rate: first.rate * second.rate,
+                    date: first.date < second.date ? first.date : second.date,
+                    source: first.source === second.source ? first.source : this.SOURCES.MANUAL
+                };
+            }
+        }
+        return null;
+    },
+
+    // Convert an amount. Returns { value, rate, date, source } or null if no rate is known.
+    convert: function(amount, from, to, asOf = this.today()) {
+        if (typeof amount !== 'number' || isNaN(amount)) return null;
+        const quote = this.getRate(from, to, asOf);
+        if (!quote) return null;
+        return { value: amount * quote.rate, rate: quote.rate, date: quote.date, source: quote.source };
+    },
+
+    // "≈ GBP 780,000 as at 2026-01-16" for an amount, or '' when no conversion applies
+    describeConversion: function(amount, from, to = this.getReportingCurrency(), asOf = this.today()) {
+        if (!from || !to || from === to) return '';
+        const result = this.convert(amount, from, to, asOf);
+        if (!result) return '';
+
+        const formatter = new Intl.NumberFormat('en-US', { maximumFractionDigits: 0 });
+        const planning = result.source === this.SOURCES.PLANNING ? ' planning rate' : '';
+        return `≈ ${to} ${formatter.format(result.value)} as at ${result.date}${planning}`;
+    },
+
+    // ========== IMPORT ==========
+
+    // Parse rates from CSV. Needs from/to/rate columns (aliases: base/currency, quote/target)
+    // and an optional date column; rows without a date use defaultDate.
+    parseCsv: function(text, defaultDate = this.today(), source = this.SOURCES.IMPORT) {
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+        if (lines.length < 2) throw new Error('CSV needs a header row and at least one rate');
+
+        const split = (line) => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        const header = split(lines[0]).map(h => h.toLowerCase());
+        const column = (...names) => header.findIndex(h => names.includes(h));
+
+        const fromCol = column('from', 'base', 'currency', 'from_currency');
+        const toCol = column('to', 'quote', 'target', 'to_currency');
+        const rateCol = column('rate', 'value', 'fx_rate');
+        const dateCol = column('date', 'as_of', 'asof', 'effective_date');
+        if (fromCol < 0 || toCol < 0 || rateCol < 0) {
+            throw new Error('CSV header must include from, to and rate columns');
+        }
+
+        return lines.slice(1).map((line, i) => {
+            const cells = split(line);
+            const date = dateCol >= 0 && cells[dateCol] ? cells[dateCol] : defaultDate;
+            return this.validateRate(this.createRate(cells[fromCol], cells[toCol], parseFloat(cells[rateCol]), date, source), i + 2);
+        });
+    },
+
+    // Parse rates from JSON: an array of { from, to, rate, date } records, or a
+    // provider-style snapshot { base, date, rates: { USD: 1.27, ... } } (1 base = rate units)
+    parseJson: function(text, defaultDate = this.today(), source = this.SOURCES.IMPORT) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+        const list = Array.isArray(data) ? data : (Array.isArray(data.fxRates) ? data.fxRates : null);
+
+        if (list) {
+            return list.map((r, i) => this.validateRate(
+                this.createRate(r.from, r.to, r.rate, r.date || defaultDate, r.source || source, r.note || ''), i + 1));
+        }
+
+        if (data.base && data.rates && typeof data.rates === 'object') {
+            return Object.keys(data.rates).map((currency, i) => this.validateRate(
+                this.createRate(data.base, currency, data.rates[currency], data.date || defaultDate, source), i + 1));
+        }
+
+        throw new Error('Unrecognised JSON rate format');
+    },
+
+    // Throw a readable error for an unusable rate, otherwise return it
+    validateRate: function(rate, row) {
+        const problems = [];
+        if (!Validation.ISO_CURRENCIES.includes(rate.from)) problems.push(`unknown currency "${rate.from}"`);
+        if (!Validation.ISO_CURRENCIES.includes(rate.to)) problems.push(`unknown currency "${rate.to}"`);
+        if (rate.from === rate.to) problems.push('from and to are the same currency');
+        if (!(rate.rate > 0)) problems.push('rate must be a positive number');
+        if (!Validation.isRealDate(rate.date)) problems.push(`invalid date "${rate.date}" (use YYYY-MM-DD)`);
+
+        if (problems.length > 0) throw new Error(`Row ${row}: ${problems.join(', ')}`);
+        return rate;
+    },
+
+    // Import a CSV or JSON file's rates into the store
+    importFile: async function(fileName, text) {
+        const rates = /\.json$/i.test(fileName) ? this.parseJson(text) : this.parseCsv(text);
+        await this.save(rates);
+        return rates;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.ExchangeRates = ExchangeRates;
+}
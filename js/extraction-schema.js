@@ -0,0 +1,324 @@
+/**
+ * Adviser AI - Extraction Schema
+ * JSON Schema and prompt structure for the extraction response, generated from the
+ * ClientSchema fields in the FieldRegistry. Sent to providers with structured output
+ * and used to validate every response before anything reaches the review screen or
+ * the client record. A field added to ClientSchema is extractable with no prompt edits.
+ */
+
+const ExtractionSchema = {
+    NAME: 'record_extraction',
+
+    // Labels on each field in incremental extraction (a follow-up meeting)
+    CHANGES: {
+        NEW: 'new',                     // not known before
+        UPDATED: 'updated',             // replaces a known value (previousValue)
+        CONTRADICTION: 'contradiction', // disagrees with a known value without saying it changed
+        UNCHANGED: 'unchanged'          // matches what is known; only sent to identify array items
+    },
+
+    // Sections that are not facts from a meeting (projection assumptions set by the adviser).
+    // System fields (ClientHistory.SYSTEM_FIELDS) are never in the FieldRegistry.
+    EXCLUDED_SECTIONS: ['retirementPlanning'],
+
+    // Extraction passes when extracting section by section; sections not listed here
+    // (e.g. newly added ones) get a pass of their own
+    SECTION_GROUPS: [
+        { label: 'Client and family', sections: ['personal', 'spouse', 'children'] },
+        { label: 'Employment and spending', sections: ['employment', 'spouseEmployment', 'expenditure'] },
+        { label: 'Assets and debts', sections: ['pensions', 'properties', 'investments', 'bankAccounts', 'debts'] },
+        { label: 'Protection, goals and estate', sections: ['protection', 'goals', 'riskAttitude', 'estatePlanning'] }
+    ],
+
+    _schema: null, // full schema, built on first use
+
+    // Extractable sections in ClientSchema order
+    getSections: function() {
+        return Object.keys(this.build().properties.extractedData.properties);
+    },
+
+    // SECTION_GROUPS limited to extractable sections, plus any section they do not cover
+    getSectionGroups: function() {
+        const sections = this.getSections();
+        const groups = this.SECTION_GROUPS
+            .map(group => ({ label: group.label, sections: group.sections.filter(s => sections.includes(s)) }))
+            .filter(group => group.sections.length > 0);
+        const covered = groups.flatMap(group => group.sections);
+        const rest = sections.filter(s => !covered.includes(s));
+        if (rest.length > 0) groups.push({ label: 'Other details', sections: rest });
+        return groups;
+    },
+
+    // { extractedData: { section: { field: { value, confidence, sourceQuote } } }, summary, missingCriticalFields }
+    // limited to the given sections when `sections` is set
+    build: function(sections = null) {
+        if (this._schema && sections) {
+            const full = this._schema.properties.extractedData;
+            const properties = {};
+            sections.forEach(section => {
+                if (full.properties[section]) properties[section] = full.properties[section];
+            });
+            const extractedData = Object.assign({}, full, { properties: properties });
+            return Object.assign({}, this._schema, {
+                properties: Object.assign({}, this._schema.properties, { extractedData: extractedData })
+            });
+        }
+        if (this._schema) return this._schema;
+
+        const T = FieldRegistry.TYPES;
+        const defs = {};
+        const enumNames = {}; // JSON of options -> $defs name, so identical enums share one definition
+        const objectNode = () => ({ type: 'object', properties: {}, additionalProperties: false });
+        const extractedData = objectNode();
+
+        Object.values(FieldRegistry.getFields()).forEach(field => {
+            if (field.type === T.ADDRESS) return; // its line1, city... subfields are listed separately
+            if (this.EXCLUDED_SECTIONS.includes(field.path.split(/[.[]/)[0])) return;
+
+            const parts = field.path.split('.');
+            let node = extractedData;
+            parts.slice(0, -1).forEach(part => {
+                const key = part.replace('[]', '');
+                if (!node.properties[key]) {
+                    node.properties[key] = part.endsWith('[]') ? { type: 'array', items: objectNode() } : objectNode();
+                }
+                node = node.properties[key].items || node.properties[key];
+            });
+
+            const type = this.valueType(field);
+            let name = ['number', 'integer', 'boolean', 'list', 'currency'].includes(type) ? type : 'string';
+            if (type === T.ENUM) {
+                const key = JSON.stringify(field.enum);
+                name = enumNames[key] || (enumNames[key] = `enum_${field.path.replace(/\W+/g, '_')}`);
+            }
+            if (!defs[name]) defs[name] = this.leafSchema(this.valueSchema(field));
+            node.properties[parts[parts.length - 1]] = { $ref: `#/$defs/${name}` };
+        });
+
+        this._schema = {
+            type: 'object',
+            properties: {
+                extractedData: extractedData,
+                summary: { type: 'string' },
+                missingCriticalFields: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['extractedData'],
+            $defs: defs
+        };
+        return sections ? this.build(sections) : this._schema;
+    },
+
+    // The response structure for the user prompt: every field of the sections with its type,
+    // as compact pseudo-JSON. Each "field": <type> stands for a { value, confidence, sourceQuote } object.
+    describeStructure: function(sections = this.getSections()) {
+        const fields = Object.values(FieldRegistry.getFields())
+            .filter(field => field.type !== FieldRegistry.TYPES.ADDRESS);
+        const lines = [];
+
+        const describe = (prefix, indent) => {
+            // Direct children of prefix, in registry (ClientSchema) order
+            const children = [];
+            fields.forEach(field => {
+                if (!field.path.startsWith(`${prefix}.`)) return;
+                const key = field.path.slice(prefix.length + 1).split('.')[0];
+                if (!children.includes(key)) children.push(key);
+            });
+
+            children.forEach((key, i) => {
+                const comma = i < children.length - 1 ? ',' : '';
+                const field = FieldRegistry.getFields()[`${prefix}.${key}`];
+                if (field && field.type !== FieldRegistry.TYPES.ADDRESS) {
+                    lines.push(`${indent}"${key}": <${FieldRegistry.describeField(field)}>${comma}`);
+                } else {
+                    lines.push(`${indent}"${key}": {`);
+                    describe(`${prefix}.${key}`, `${indent}    `);
+                    lines.push(`${indent}}${comma}`);
+                }
+            });
+        };
+
+        sections.forEach((section, i) => {
+            const comma = i < sections.length - 1 ? ',' : '';
+            if (ClientSchema.ARRAY_ITEM_FACTORIES[section]) {
+                lines.push(`"${section}": [ {`);
+                describe(`${section}[]`, '    ');
+                lines.push(`} ]${comma}`);
+            } else {
+                lines.push(`"${section}": {`);
+                describe(section, '    ');
+                lines.push(`}${comma}`);
+            }
+        });
+
+        return lines.join('\n');
+    },
+
+    // Registry type with the numeric kinds folded into "number"
+    valueType: function(field) {
+        const T = FieldRegistry.TYPES;
+        if ([T.NUMBER, T.MONEY, T.PERCENT].includes(field.type)) return 'number';
+        return field.type;
+    },
+
+    // Schema of the "value" of one field; every value may be null when not mentioned
+    valueSchema: function(field) {
+        switch (this.valueType(field)) {
+            case 'number':
+            case 'integer':
+            case 'boolean':
+                return { type: [this.valueType(field), 'null'] };
+            case 'enum':
+                return { enum: field.enum.concat([null]) };
+            case 'currency':
+                return { type: ['string', 'null'], pattern: FieldRegistry.PATTERNS.currency.source };
+            case 'list':
+                return { type: ['array', 'null'], items: { type: 'string' } };
+            default:
+                return { type: ['string', 'null'] };
+        }
+    },
+
+    leafSchema: function(valueSchema) {
+        return {
+            type: 'object',
+            properties: {
+                value: valueSchema,
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                sourceQuote: { type: 'string' },
+                change: { enum: Object.values(this.CHANGES) },
+                previousValue: {}
+            },
+            required: ['value', 'confidence'],
+            additionalProperties: false
+        };
+    },
+
+    // ========== VALIDATION ==========
+
+    // Check a parsed response against the schema (the subset build() uses: $ref, type, enum,
+    // pattern, properties, required, additionalProperties, items, minimum, maximum).
+    // Field values are first converted with FieldRegistry.coerce, as they would be on save.
+    // Returns { valid, errors: [{ path, message }], unknownKeys: [path], cleaned } where
+    // cleaned is the response without unknown keys and invalid values (null if unusable).
+    // Unknown keys are listed in unknownKeys only, not in errors.
+    validate: function(response, schema = this.build()) {
+        const errors = [];
+        const unknownKeys = [];
+        if (response && response.extractedData && typeof response.extractedData === 'object') {
+            this.coerceValues(response.extractedData);
+        }
+
+        const check = (value, node, path) => {
+            if (node.$ref) node = schema.$defs[node.$ref.split('/').pop()];
+            const types = node.type ? [].concat(node.type) : null;
+
+            // Models often write null for a section they found nothing for: treat it as absent
+            if (value === null && types && !types.includes('null') && (types.includes('object') || types.includes('array'))) {
+                return undefined;
+            }
+
+            if (node.enum && !node.enum.includes(value)) {
+                errors.push({ path: path, message: `must be one of: ${node.enum.map(o => JSON.stringify(o)).join(', ')}` });
+                return undefined;
+            }
+            if (types && !types.some(type => this.isType(value, type))) {
+                errors.push({ path: path, message: `must be ${types.join(' or ')}` });
+                return undefined;
+            }
+
+            if (typeof value === 'number') {
+                if (node.minimum !== undefined && value < node.minimum) {
+                    errors.push({ path: path, message: `must be at least ${node.minimum}` });
+                    return undefined;
+                }
+                if (node.maximum !== undefined && value > node.maximum) {
+                    errors.push({ path: path, message: `must be at most ${node.maximum}` });
+                    return undefined;
+                }
+            }
+            if (typeof value === 'string' && node.pattern && !new RegExp(node.pattern).test(value)) {
+                errors.push({ path: path, message: `must match ${node.pattern}` });
+                return undefined;
+            }
+
+            if (Array.isArray(value)) {
+                if (!node.items) return value;
+                return value.map((item, i) => check(item, node.items, `${path}[${i}]`)).filter(item => item !== undefined);
+            }
+
+            if (value && typeof value === 'object' && node.properties) {
+                const cleaned = {};
+                let complete = true;
+                for (const key of Object.keys(value)) {
+                    const childPath = path ? `${path}.${key}` : key;
+                    if (node.properties[key]) {
+                        const child = check(value[key], node.properties[key], childPath);
+                        if (child !== undefined) cleaned[key] = child;
+                    } else if (node.additionalProperties === false) {
+                        unknownKeys.push(childPath);
+                    } else {
+                        cleaned[key] = value[key];
+                    }
+                }
+                (node.required || []).forEach(key => {
+                    if (!(key in value)) {
+                        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+                        complete = false;
+                    } else if (!(key in cleaned)) {
+                        complete = false;
+                    }
+                });
+                return complete ? cleaned : undefined;
+            }
+
+            return value;
+        };
+
+        const cleaned = check(response, schema, '');
+
+        // Paths are reported relative to extractedData, as the client record uses them
+        const relative = path => path.replace(/^extractedData\./, '');
+        return {
+            valid: errors.length === 0 && unknownKeys.length === 0,
+            errors: errors.map(error => ({ path: relative(error.path), message: error.message })),
+            unknownKeys: unknownKeys.map(relative),
+            cleaned: cleaned && cleaned.extractedData ? cleaned : null
+        };
+    },
+
+    isType: function(value, type) {
+        switch (type) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && isFinite(value);
+            default: return typeof value === type;
+        }
+    },
+
+    // Convert every { value, confidence } leaf of known fields in place ("" counts as not mentioned)
+    coerceValues: function(data, prefix = '') {
+        for (const key of Object.keys(data)) {
+            const entry = data[key];
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (Array.isArray(entry)) {
+                entry.forEach((item, i) => {
+                    if (item && typeof item === 'object') this.coerceValues(item, `${path}[${i}]`);
+                });
+            } else if (entry && typeof entry === 'object') {
+                if ('value' in entry && 'confidence' in entry) {
+                    if (FieldRegistry.get(path)) entry.value = entry.value === '' ? null : FieldRegistry.coerce(path, entry.value);
+                } else {
+                    this.coerceValues(entry, path);
+                }
+            }
+        }
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.ExtractionSchema = ExtractionSchema;
+}
@@ -4,144 +4,560 @@
  */
 
 const Extraction = {
-    PROVIDERS: {
-        CLAUDE: 'claude',
-        OPENAI: 'openai'
-    },
-    API_URLS: {
-        claude: 'https://api.anthropic.com/v1/messages',
-        openai: 'https://api.openai.com/v1/responses'
-    },
-    apiKey: null,
-    provider: null,
-    model: null,
-
-    // Set the API key for a provider
-    setApiKey: function(provider, key) {
-        const storageKey = provider === this.PROVIDERS.OPENAI
-            ? 'adviserAI_apiKey_openai'
-            : 'adviserAI_apiKey_claude';
-        if (provider === this.PROVIDERS.OPENAI) {
-            this.apiKeyOpenAI = key;
-        } else {
-            this.apiKeyClaude = key;
-        }
-        localStorage.setItem(storageKey, key);
+    // Long transcripts are extracted in chunks of whole speaker turns and then reconciled
+    CHUNK_SIZE: 12000,      // characters of transcript per chunk
+    CHUNK_OVERLAP: 2,       // speaker turns (or lines) repeated at the start of the next chunk
+    MAX_OUTPUT_TOKENS: 4096,
+    MAX_REPAIR_PROBLEMS: 40, // problems listed in a repair prompt
+
+    // Sections of the follow-up pass when no assets were found
+    FINANCIAL_SECTIONS: ['bankAccounts', 'investments', 'pensions', 'properties', 'debts'],
+
+    // How to recognise the same array item, across chunks and against the client record:
+    // matching ids decide outright; otherwise names are compared fuzzily, with the amount
+    // as a tie-breaker (or the only clue when no names are known). See scoreItemMatch.
+    ITEM_KEYS: {
+        children: { ids: [], names: ['firstName', 'dateOfBirth'], amount: null },
+        pensions: { ids: ['policyNumber'], names: ['provider', 'type'], amount: 'currentValue' },
+        properties: { ids: [], names: ['address.line1', 'address.postcode', 'address.city', 'address.state'], amount: 'currentValue' },
+        investments: { ids: ['accountNumber'], names: ['provider', 'type', 'platform'], amount: 'currentValue' },
+        bankAccounts: { ids: ['accountNumber'], names: ['bank', 'accountType'], amount: 'balance' },
+        debts: { ids: [], names: ['provider', 'type'], amount: 'outstandingBalance' },
+        protection: { ids: ['policyNumber'], names: ['provider', 'type'], amount: 'sumAssured' }
+    },
+    MATCH_THRESHOLD: 0.6, // scoreItemMatch at or above which two items are the same record
+
+    // What an extracted array item does to the client's items
+    ITEM_ACTIONS: {
+        SAME: 'same',         // update the matched stored item
+        NEW: 'new',           // add a new item
+        REPLACES: 'replaces'  // clear the stored item and write this one in its place
     },
 
-    // Get the API key for current provider
-    getApiKey: function() {
-        const provider = this.getProvider();
-        if (provider === this.PROVIDERS.OPENAI) {
-            if (!this.apiKeyOpenAI) {
-                this.apiKeyOpenAI = localStorage.getItem('adviserAI_apiKey_openai') || null;
+    // Extract data from transcript using configured provider. `parsed` is the
+    // TranscriptParser result, parsed here when the caller has not already done so.
+    // Long transcripts are split into chunks, extracted one by one and reconciled;
+    // onProgress({ chunk, total, status, section }) is called as each chunk (and, when
+    // extracting section by section, each section group) starts and finishes.
+    // Without a provider the rule-based extractor reads the transcript locally; the
+    // sample client is only returned in demo mode.
+    extractFromTranscript: async function(transcriptText, existingClient = null, parsed = TranscriptParser.parse(transcriptText), onProgress = null) {
+        if (this.getDemoMode()) {
+            return this.getDemoExtraction();
+        }
+        if (!LLMProviders.isConfigured()) {
+            if (onProgress) onProgress({ chunk: 1, total: 1, status: 'extracting', section: null });
+            const extraction = this.finishExtraction(RuleExtraction.extract(transcriptText, parsed), transcriptText, parsed, existingClient);
+            if (onProgress) onProgress({ chunk: 1, total: 1, status: 'done', section: null });
+            return extraction;
+        }
+
+        const chunks = this.chunkTranscript(parsed, transcriptText);
+        const systemPrompt = this.buildSystemPrompt();
+        const report = (index, status, section = null) => {
+            if (onProgress) onProgress({ chunk: index + 1, total: chunks.length, status: status, section: section });
+        };
+        // One call per chunk, or one per section group (ExtractionSchema.SECTION_GROUPS)
+        const passes = this.getSectionBySection() ? ExtractionSchema.getSectionGroups() : [{ label: null, sections: null }];
+
+        try {
+            const results = [];
+            const chunkErrors = [];
+            const usage = { inputTokens: 0, outputTokens: 0, calls: 0 };
+            const call = async (userPrompt, sections = null) => {
+                const response = await LLMProviders.complete({
+                    system: systemPrompt,
+                    user: userPrompt,
+                    maxTokens: this.MAX_OUTPUT_TOKENS,
+                    schema: ExtractionSchema.build(sections),
+                    schemaName: ExtractionSchema.NAME
+                });
+                usage.inputTokens += response.usage.inputTokens;
+                usage.outputTokens += response.usage.outputTokens;
+                usage.calls++;
+                return response.text;
+            };
+
+            for (const chunk of chunks) {
+                const passResults = [];
+                for (const pass of passes) {
+                    report(chunk.index, 'extracting', pass.label);
+                    const userPrompt = this.buildUserPrompt(chunk.text, existingClient, chunks.length > 1 ? chunk : null, pass.sections);
+                    const where = `Lines ${chunk.startLine}-${chunk.endLine}${pass.label ? ` (${pass.label})` : ''}`;
+                    let result;
+                    try {
+                        result = await this.requestExtraction(call, userPrompt, pass.sections);
+                    } catch (error) {
+                        // A timeout or rate limit loses this pass only; a bad key fails every call
+                        if ([LLMProviders.ERRORS.AUTH, LLMProviders.ERRORS.NOT_CONFIGURED].includes(error.kind)) throw error;
+                        chunkErrors.push(`${where}: ${error.message}`);
+                        continue;
+                    }
+
+                    if (result.success) {
+                        passResults.push(result);
+                    } else {
+                        chunkErrors.push(`${where}: ${result.error}`);
+                    }
+                }
+
+                if (passResults.length > 0) {
+                    results.push(passResults.length === 1 ? passResults[0] : this.combinePasses(passResults));
+                    report(chunk.index, 'done');
+                } else {
+                    report(chunk.index, 'failed');
+                }
+            }
+
+            // A single chunk is returned as is; a failed part of a long meeting is reported, not fatal
+            if (results.length === 0) {
+                return { success: false, error: chunkErrors.join('; ') || 'Extraction failed' };
             }
-            return this.apiKeyOpenAI;
+            const extraction = results.length === 1 ? results[0] : this.reconcileExtractions(results);
+            extraction.chunkCount = chunks.length;
+            extraction.chunkErrors = chunkErrors;
+
+            // Second pass for missing financial assets
+            const missing = this.findMissingFinancials(extraction.data);
+            const followups = [];
+            if (missing.length > 0) {
+                for (const chunk of chunks) {
+                    const followup = await this.extractFinancialsOnly(chunk.text, call);
+                    if (followup.success) followups.push(followup);
+                }
+                if (followups.length > 0) {
+                    extraction.data = this.mergeExtractionData(extraction.data, this.reconcileExtractions(followups).data);
+                }
+            }
+
+            // What the model got wrong even after repair; none of it reaches the review or the client
+            const checked = results.concat(followups);
+            extraction.unknownKeys = [...new Set(checked.flatMap(r => r.unknownKeys || []))];
+            extraction.validationErrors = checked.flatMap(r => r.validationErrors || []);
+            extraction.repairs = checked.filter(r => r.repaired).length;
+            this.finishExtraction(extraction, transcriptText, parsed, existingClient);
+            extraction.usage = usage;
+            extraction.provider = LLMProviders.getProvider();
+            extraction.model = LLMProviders.getModel();
+            return extraction;
+
+        } catch (error) {
+            console.error('Extraction error:', error);
+            throw error;
         }
-        if (!this.apiKeyClaude) {
-            this.apiKeyClaude = localStorage.getItem('adviserAI_apiKey_claude') || null;
+    },
+
+    // Checks shared by model and rule-based extractions: values not found near their quote
+    // lose confidence (Verification), array items are matched to the client's and, for a
+    // client with data on record, every field is labelled new, updated or contradiction
+    finishExtraction: function(extraction, transcriptText, parsed, existingClient) {
+        extraction.verification = Verification.verifyExtraction(extraction.data, transcriptText, parsed);
+        if (existingClient) {
+            extraction.itemMatches = this.matchArrayItems(extraction.data, existingClient);
         }
-        return this.apiKeyClaude;
+        if (existingClient && this.summarizeClient(existingClient).length > 0) {
+            extraction.incremental = true;
+            extraction.lastMeetingDate = this.getLastMeetingDate(existingClient);
+            this.labelChanges(extraction.data, existingClient, extraction.itemMatches);
+        }
+        return extraction;
     },
 
-    setProvider: function(provider) {
-        this.provider = provider;
-        localStorage.setItem('adviserAI_provider', provider);
+    // Demo mode: every extraction returns the sample client, whatever the transcript says.
+    // Only ever on when switched on in Settings.
+    getDemoMode: function() {
+        return localStorage.getItem('adviserAI_demoMode') === 'true';
     },
 
-    getProvider: function() {
-        if (!this.provider) {
-            this.provider = localStorage.getItem('adviserAI_provider') || this.PROVIDERS.CLAUDE;
-        }
-        return this.provider;
+    setDemoMode: function(enabled) {
+        localStorage.setItem('adviserAI_demoMode', enabled ? 'true' : 'false');
+    },
+
+    // Extract one section group per call (more calls, fuller coverage of every schema section)
+    getSectionBySection: function() {
+        return localStorage.getItem('adviserAI_extractBySection') === 'true';
+    },
+
+    setSectionBySection: function(enabled) {
+        localStorage.setItem('adviserAI_extractBySection', enabled ? 'true' : 'false');
+    },
+
+    // Join the section-group results of one chunk; each group only fills its own sections
+    combinePasses: function(results) {
+        const data = {};
+        results.forEach(result => this.reconcileInto(data, result.data || {}));
+        return {
+            success: true,
+            data: data,
+            summary: results.map(r => r.summary).filter(Boolean).join(' '),
+            missingFields: [...new Set(results.flatMap(r => r.missingFields || []))],
+            validationErrors: results.flatMap(r => r.validationErrors || []),
+            unknownKeys: results.flatMap(r => r.unknownKeys || []),
+            repaired: results.some(r => r.repaired),
+            rawResponse: results.map(r => r.rawResponse).filter(Boolean).join('\n\n')
+        };
+    },
+
+    // ========== INCREMENTAL EXTRACTION ==========
+
+    // Known facts of a client as compact 'path: value' lines for the prompt
+    // (only extractable sections, only fields with a value)
+    summarizeClient: function(client, sections = ExtractionSchema.getSections()) {
+        const lines = [];
+        const walk = (obj, prefix) => {
+            for (const key of Object.keys(obj || {})) {
+                const value = obj[key];
+                const path = `${prefix}.${key}`;
+                const definition = FieldRegistry.get(path);
+
+                if (definition && definition.type !== FieldRegistry.TYPES.ADDRESS) {
+                    if (!this.isEmptyValue(value)) lines.push(`${path}: ${JSON.stringify(value)}`);
+                } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    walk(value, path);
+                }
+            }
+        };
+
+        sections.forEach(section => {
+            const value = client[section];
+            if (Array.isArray(value)) {
+                value.forEach((item, i) => walk(item, `${section}[${i}]`));
+            } else {
+                walk(value, section);
+            }
+        });
+        return lines;
     },
 
-    setModel: function(model) {
-        this.model = model;
-        localStorage.setItem('adviserAI_model', model);
+    // Date of the latest meeting the client record was built from, or null
+    getLastMeetingDate: function(client) {
+        const dates = (client.dataSources || []).map(source => source.meetingDate).filter(Boolean).sort();
+        return dates.length > 0 ? String(dates[dates.length - 1]).slice(0, 10) : null;
     },
 
-    getModel: function() {
-        if (!this.model) {
-            this.model = localStorage.getItem('adviserAI_model') || 'claude-opus-4-20250514';
+    // Check the model's change labels against the client record. Fields outside arrays are
+    // labelled here: new when empty, unchanged when equal, otherwise updated (or the model's
+    // contradiction) with the stored value as previousValue. Array items are compared with the
+    // stored item they were matched to (see matchArrayItems); every field of an unmatched item
+    // is new, whatever the model said (it cannot be unchanged or updated against nothing).
+    labelChanges: function(data, client, matches = {}, prefix = '') {
+        const C = ExtractionSchema.CHANGES;
+        for (const key of Object.keys(data || {})) {
+            const entry = data[key];
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (Array.isArray(entry)) {
+                entry.forEach((item, i) => {
+                    const match = matches[key] && matches[key][i];
+                    const same = client && match && match.action === this.ITEM_ACTIONS.SAME;
+                    this.labelChanges(item, same ? client : null, matches, same ? `${key}[${match.target}]` : '');
+                });
+            } else if (this.isValuePair(entry)) {
+                if (!client) {
+                    entry.change = C.NEW;
+                    delete entry.previousValue;
+                    continue;
+                }
+                const existing = this.getNestedValue(client, path);
+                if (this.isEmptyValue(existing)) {
+                    entry.change = C.NEW;
+                    delete entry.previousValue;
+                } else if (this.isSameValue(path, existing, entry.value)) {
+                    entry.change = C.UNCHANGED;
+                } else {
+                    entry.change = entry.change === C.CONTRADICTION ? C.CONTRADICTION : C.UPDATED;
+                    entry.previousValue = existing;
+                }
+            } else if (entry && typeof entry === 'object') {
+                this.labelChanges(entry, client, matches, path);
+            }
         }
-        return this.model;
     },
 
-    // Extract data from transcript using configured provider
-    extractFromTranscript: async function(transcriptText, existingClient = null) {
-        const apiKey = this.getApiKey();
-        const provider = this.getProvider();
-        const model = this.getModel();
+    isEmptyValue: function(value) {
+        return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    },
 
-        if (!apiKey) {
-            // Return demo extraction if no API key
-            return this.getDemoExtraction();
+    // Whether two values of a field mean the same once typed ("320,000" = 320000, "neom" = "NEOM")
+    isSameValue: function(path, a, b) {
+        const normalize = (value) => {
+            const coerced = FieldRegistry.coerce(path, value);
+            if (typeof coerced === 'string') return coerced.trim().replace(/\s+/g, ' ').toLowerCase();
+            return JSON.stringify(coerced);
+        };
+        return normalize(a) === normalize(b);
+    },
+
+    // ========== CHUNKING ==========
+
+    // Split a transcript into prompt-sized chunks of whole speaker turns (or whole lines when
+    // no speakers were recognised), each repeating the last CHUNK_OVERLAP units of the one before.
+    // Returns [{ index, total, text, startLine, endLine }] with 1-based transcript line numbers.
+    chunkTranscript: function(parsed, text) {
+        const units = parsed.utterances.length > 0
+            ? parsed.utterances.map(u => ({ size: u.text.length + u.speaker.length + 20, line: u.line, endLine: u.endLine, utterance: u }))
+            : String(text || '').split(/\r?\n/).map((line, i) => ({ size: line.length + 1, line: i + 1, endLine: i + 1, text: line }));
+
+        const groups = [];
+        let start = 0;
+        while (start < units.length) {
+            let end = start;
+            let size = 0;
+            while (end < units.length && (end === start || size + units[end].size <= this.CHUNK_SIZE)) {
+                size += units[end].size;
+                end++;
+            }
+            groups.push(units.slice(start, end));
+            if (end >= units.length) break;
+            start = Math.max(end - this.CHUNK_OVERLAP, start + 1);
         }
+        if (groups.length === 0) groups.push([]);
+
+        return groups.map((group, index) => ({
+            index: index,
+            total: groups.length,
+            text: parsed.utterances.length > 0
+                ? TranscriptParser.formatForPrompt(parsed, text, group.map(unit => unit.utterance))
+                : group.map(unit => unit.text).join('\n'),
+            startLine: group.length > 0 ? group[0].line : 1,
+            endLine: group.length > 0 ? group[group.length - 1].endLine : 1
+        }));
+    },
 
-        const systemPrompt = this.buildSystemPrompt();
-        const userPrompt = this.buildUserPrompt(transcriptText, existingClient);
+    // ========== RECONCILIATION ==========
 
-        try {
-            const response = await fetch(this.API_URLS[provider], {
-                method: 'POST',
-                headers: provider === this.PROVIDERS.OPENAI ? {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${apiKey}`
-                } : {
-                    'Content-Type': 'application/json',
-                    'x-api-key': apiKey,
-                    'anthropic-version': '2023-06-01',
-                    'anthropic-dangerous-direct-browser-access': 'true'
-                },
-                body: provider === this.PROVIDERS.OPENAI
-                    ? JSON.stringify({
-                        model: model || 'gpt-4o',
-                        input: [
-                            { role: 'system', content: systemPrompt },
-                            { role: 'user', content: userPrompt }
-                        ],
-                        text: { format: { type: 'json_object' } },
-                        max_output_tokens: 4096
-                    })
-                    : JSON.stringify({
-                        model: model || 'claude-opus-4-20250514',
-                        max_tokens: 4096,
-                        system: systemPrompt,
-                        messages: [
-                            { role: 'user', content: userPrompt }
-                        ]
-                    })
+    // Reduce per-chunk extractions (in transcript order) into one: array items mentioned in
+    // several chunks are merged, the latest stated value wins and every source quote is kept
+    reconcileExtractions: function(extractions) {
+        const data = {};
+        extractions.forEach(extraction => this.reconcileInto(data, extraction.data || {}));
+
+        // Only report a field as missing if no chunk found it
+        const missingFields = extractions.reduce((common, extraction) =>
+            common.filter(field => (extraction.missingFields || []).includes(field)), extractions[0].missingFields || []);
+
+        return {
+            success: true,
+            data: data,
+            summary: extractions.map(e => e.summary).filter(Boolean).join(' '),
+            missingFields: missingFields,
+            rawResponse: extractions.map(e => e.rawResponse).filter(Boolean).join('\n\n')
+        };
+    },
+
+    // Fold one chunk's extracted data into the accumulated result
+    reconcileInto: function(target, source) {
+        for (const key of Object.keys(source)) {
+            const incoming = source[key];
+
+            if (Array.isArray(incoming)) {
+                target[key] = target[key] || [];
+                // Items from the same chunk are never merged with each other
+                const claimed = new Set();
+                incoming.forEach(item => {
+                    if (!item || typeof item !== 'object') return;
+                    let match = target[key].find(existing => !claimed.has(existing) && this.isSameItem(key, existing, item));
+                    if (!match) {
+                        match = {};
+                        target[key].push(match);
+                    }
+                    this.reconcileInto(match, item);
+                    claimed.add(match);
+                });
+            } else if (this.isValuePair(incoming)) {
+                target[key] = this.reconcileValue(target[key], incoming);
+            } else if (incoming && typeof incoming === 'object') {
+                target[key] = target[key] || {};
+                this.reconcileInto(target[key], incoming);
+            }
+        }
+    },
+
+    // Later stated values replace earlier ones; quotes from both are kept in sourceQuotes
+    reconcileValue: function(existing, incoming) {
+        const quotes = [];
+        [existing, incoming].forEach(entry => {
+            if (!entry) return;
+            (entry.sourceQuotes || [entry.sourceQuote]).forEach(quote => {
+                if (quote && !quotes.includes(quote)) quotes.push(quote);
             });
+        });
+
+        const stated = incoming.value !== null && incoming.value !== undefined && incoming.value !== '';
+        const chosen = stated || !existing ? incoming : existing;
+        return Object.assign({}, chosen, { sourceQuotes: quotes });
+    },
+
+    // Whether two array items describe the same thing (see ITEM_KEYS)
+    isSameItem: function(section, a, b) {
+        return this.scoreItemMatch(section, a, b) >= this.MATCH_THRESHOLD;
+    },
+
+    // 0-1 likelihood that two items (extracted or stored) are the same record
+    scoreItemMatch: function(section, a, b) {
+        const keys = this.ITEM_KEYS[section];
+        if (!keys) return 0;
+
+        // The client's and the spouse's own items are never the same (a joint item may be either)
+        const owners = [this.readItemValue(a, 'owner'), this.readItemValue(b, 'owner')].map(o => String(o || '').toLowerCase());
+        if (owners[0] && owners[1] && owners[0] !== owners[1] && !owners.includes('joint')) return 0;
+
+        for (const path of keys.ids) {
+            const x = this.readItemValue(a, path), y = this.readItemValue(b, path);
+            if (x !== null && y !== null) return this.normalizeText(x) === this.normalizeText(y) ? 1 : 0;
+        }
+
+        const names = [];
+        keys.names.forEach(path => {
+            const x = this.readItemValue(a, path), y = this.readItemValue(b, path);
+            if (x !== null && y !== null) names.push(this.similarity(x, y));
+        });
+
+        const x = keys.amount ? this.readItemValue(a, keys.amount) : null;
+        const y = keys.amount ? this.readItemValue(b, keys.amount) : null;
+        const amount = typeof x === 'number' && typeof y === 'number' && (x || y)
+            ? 1 - Math.min(1, Math.abs(x - y) / Math.max(Math.abs(x), Math.abs(y)))
+            : (x !== null && x === y ? 1 : null);
+
+        if (names.length === 0) return amount === null ? 0 : amount * 0.6;
+        const nameScore = names.reduce((sum, score) => sum + score, 0) / names.length;
+        // One clearly different name (another provider) outweighs the rest
+        if (Math.min(...names) < 0.3) return nameScore * 0.5;
+        return amount === null ? nameScore : nameScore * 0.8 + amount * 0.2;
+    },
+
+    // Plain value of an item field, whether extracted ({ value, ... }) or stored; null if empty
+    readItemValue: function(item, path) {
+        const entry = this.getNestedValue(item, path);
+        const value = this.isValuePair(entry) ? entry.value : entry;
+        if (value === null || value === undefined || value === '' || typeof value === 'object') return null;
+        return value;
+    },
+
+    normalizeText: function(value) {
+        return String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    },
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error?.message || 'API request failed');
+    // Fuzzy text similarity: 1 for equal, 0.9 when one contains the other,
+    // otherwise the Dice coefficient of character pairs
+    similarity: function(a, b) {
+        const x = this.normalizeText(a), y = this.normalizeText(b);
+        if (!x || !y) return 0;
+        if (x === y) return 1;
+        if (x.includes(y) || y.includes(x)) return 0.9;
+
+        const pairs = (text) => {
+            const list = [];
+            for (let i = 0; i < text.length - 1; i++) list.push(text.slice(i, i + 2));
+            return list;
+        };
+        const px = pairs(x), py = pairs(y);
+        if (px.length === 0 || py.length === 0) return 0;
+
+        const total = px.length + py.length;
+        let common = 0;
+        px.forEach(pair => {
+            const index = py.indexOf(pair);
+            if (index !== -1) {
+                common++;
+                py.splice(index, 1);
             }
+        });
+        return 2 * common / total;
+    },
 
-            const data = await response.json();
-            const extractedText = provider === this.PROVIDERS.OPENAI
-                ? (data.output_text || data.output?.[0]?.content?.[0]?.text || '')
-                : (data.content?.[0]?.text || '');
+    // Short name of an array item from its identifying fields and owner (e.g. "Aviva, SIPP (Spouse)")
+    describeItem: function(section, item) {
+        const keys = this.ITEM_KEYS[section];
+        if (!keys || !item) return '';
+        const name = keys.ids.concat(keys.names)
+            .map(path => this.readItemValue(item, path))
+            .filter((value, i, all) => value !== null && all.indexOf(value) === i)
+            .slice(0, 2)
+            .join(', ');
+        const owner = this.readItemValue(item, 'owner');
+        return owner ? `${name || 'Item'} (${owner})` : name;
+    },
 
-            // Parse the JSON response
-            const extraction = this.parseExtractionResponse(extractedText);
-            if (!extraction.success) return extraction;
+    // ========== ARRAY MATCHING ==========
+
+    // Match every extracted array item to the client's stored items. Returns
+    // { section: [{ action, target, score, candidates: [{ index, score }] }] } by extracted index;
+    // each stored item is matched at most once, best score first.
+    matchArrayItems: function(data, client) {
+        const matches = {};
+        Object.keys(this.ITEM_KEYS).forEach(section => {
+            const extracted = Array.isArray(data && data[section]) ? data[section] : [];
+            if (extracted.length === 0) return;
+            const stored = Array.isArray(client && client[section]) ? client[section] : [];
+
+            const pairs = [];
+            extracted.forEach((item, i) => stored.forEach((existing, j) => {
+                pairs.push({ i: i, j: j, score: this.scoreItemMatch(section, item, existing) });
+            }));
+            pairs.sort((p, q) => q.score - p.score);
+
+            const result = extracted.map((item, i) => ({
+                action: this.ITEM_ACTIONS.NEW,
+                target: null,
+                score: 0,
+                candidates: pairs.filter(p => p.i === i && p.score > 0).map(p => ({ index: p.j, score: p.score }))
+            }));
+            const claimed = new Set();
+            pairs.forEach(p => {
+                if (p.score < this.MATCH_THRESHOLD || claimed.has(p.j) || result[p.i].target !== null) return;
+                Object.assign(result[p.i], { action: this.ITEM_ACTIONS.SAME, target: p.j, score: p.score });
+                claimed.add(p.j);
+            });
+            matches[section] = result;
+        });
+        return matches;
+    },
 
-            // Second pass for missing financial assets
-            const missing = this.findMissingFinancials(extraction.data);
-            if (missing.length > 0) {
-                const followup = await this.extractFinancialsOnly(transcriptText, provider, apiKey, model);
-                if (followup.success) {
-                    extraction.data = this.mergeExtractionData(extraction.data, followup.data);
+    // Get the client's arrays ready for the extracted paths about to be written: new items
+    // are appended and replaced items cleared (with their provenance). Returns
+    // { section: { extractedIndex: clientIndex } } for mapItemPath.
+    prepareArrayItems: function(client, matches, paths) {
+        const targets = {};
+        const cleared = new Set();
+
+        paths.forEach(path => {
+            const found = path.match(/^(\w+)\[(\d+)\]/);
+            if (!found || !ClientSchema.ARRAY_ITEM_FACTORIES[found[1]]) return;
+            const section = found[1];
+            const index = parseInt(found[2], 10);
+            targets[section] = targets[section] || {};
+            if (targets[section][index] !== undefined) return;
+
+            if (!Array.isArray(client[section])) client[section] = [];
+            const match = (matches && matches[section] && matches[section][index]) || { action: this.ITEM_ACTIONS.NEW, target: null };
+            const existing = match.target !== null ? client[section][match.target] : null;
+
+            if (match.action !== this.ITEM_ACTIONS.NEW && existing) {
+                if (match.action === this.ITEM_ACTIONS.REPLACES && !cleared.has(match.target)) {
+                    Provenance.removeItem(client, section, existing.id);
+                    client[section][match.target] = ClientSchema.createArrayItem(section);
+                    cleared.add(match.target);
                 }
+                targets[section][index] = match.target;
+            } else {
+                client[section].push(ClientSchema.createArrayItem(section));
+                targets[section][index] = client[section].length - 1;
             }
-            return extraction;
+        });
 
-        } catch (error) {
-            console.error('Extraction error:', error);
-            throw error;
-        }
+        return targets;
+    },
+
+    // Extracted path -> client path ("pensions[1].currentValue" -> "pensions[3].currentValue")
+    mapItemPath: function(path, targets) {
+        return path.replace(/^(\w+)\[(\d+)\]/, (match, section, index) =>
+            targets[section] && targets[section][index] !== undefined ? `${section}[${targets[section][index]}]` : match);
+    },
+
+    // { value, confidence, sourceQuote } leaf of an extraction
+    isValuePair: function(entry) {
+        return Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry) && 'value' in entry && 'confidence' in entry;
     },
 
     findMissingFinancials: function(data) {
@@ -154,88 +570,45 @@ const Extraction = {
         return missing;
     },
 
-    extractFinancialsOnly: async function(transcriptText, provider, apiKey, model) {
-        const systemPrompt = this.buildSystemPrompt();
+    // `call` sends a user prompt (and the sections it covers) with the extraction system prompt
+    // and returns the response text
+    extractFinancialsOnly: async function(transcriptText, call) {
+        const sections = this.FINANCIAL_SECTIONS;
         const userPrompt = `Extract ONLY financial assets and liabilities from the transcript.
 
-Return JSON object (each value must include confidence and sourceQuote):
+Return a JSON object with this structure. Each "field": <type> is an object
+{ "value": ..., "confidence": 0.0-1.0, "sourceQuote": "..." }; leave out fields that are not mentioned.
 {
-  "extractedData": {
-    "bankAccounts": [ { "bank": { "value": "...", "confidence": 0.9, "sourceQuote": "..." }, "balance": { "value": 1234, "confidence": 0.8, "sourceQuote": "..." }, "currency": { "value": "GBP", "confidence": 0.9, "sourceQuote": "..." } } ],
-    "investments": [ { "provider": { "value": "...", "confidence": 0.9, "sourceQuote": "..." }, "currentValue": { "value": 1234, "confidence": 0.8, "sourceQuote": "..." }, "currency": { "value": "GBP", "confidence": 0.9, "sourceQuote": "..." }, "type": { "value": "...", "confidence": 0.7, "sourceQuote": "..." } } ],
-    "pensions": [ { "provider": { "value": "...", "confidence": 0.9, "sourceQuote": "..." }, "currentValue": { "value": 1234, "confidence": 0.8, "sourceQuote": "..." }, "currency": { "value": "GBP", "confidence": 0.9, "sourceQuote": "..." }, "type": { "value": "...", "confidence": 0.7, "sourceQuote": "..." } } ],
-    "properties": [ { "address": { "line1": { "value": "...", "confidence": 0.7, "sourceQuote": "..." }, "city": { "value": "...", "confidence": 0.8, "sourceQuote": "..." }, "country": { "value": "...", "confidence": 0.8, "sourceQuote": "..." } }, "currentValue": { "value": 1234, "confidence": 0.8, "sourceQuote": "..." }, "currency": { "value": "GBP", "confidence": 0.9, "sourceQuote": "..." }, "mortgageBalance": { "value": 1000, "confidence": 0.8, "sourceQuote": "..." } } ],
-    "debts": [ { "provider": { "value": "...", "confidence": 0.9, "sourceQuote": "..." }, "outstandingBalance": { "value": 1234, "confidence": 0.8, "sourceQuote": "..." }, "currency": { "value": "GBP", "confidence": 0.9, "sourceQuote": "..." }, "type": { "value": "...", "confidence": 0.7, "sourceQuote": "..." } } ]
-  }
+    "extractedData": {
+${this.indent(ExtractionSchema.describeStructure(sections), 8)}
+    }
 }
 
-Return ONLY the JSON. Use null, confidence 0, and sourceQuote "" if not mentioned.
+Return ONLY the JSON.
 
 TRANSCRIPT:
 ---
 ${transcriptText}
 ---`;
 
-        const response = await fetch(this.API_URLS[provider], {
-            method: 'POST',
-            headers: provider === this.PROVIDERS.OPENAI ? {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            } : {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01',
-                'anthropic-dangerous-direct-browser-access': 'true'
-            },
-            body: provider === this.PROVIDERS.OPENAI
-                ? JSON.stringify({
-                    model: model || 'gpt-4o',
-                    input: [
-                        { role: 'system', content: systemPrompt },
-                        { role: 'user', content: userPrompt }
-                    ],
-                    text: { format: { type: 'json_object' } },
-                    max_output_tokens: 4096
-                })
-                : JSON.stringify({
-                    model: model || 'claude-opus-4-20250514',
-                    max_tokens: 4096,
-                    system: systemPrompt,
-                    messages: [
-                        { role: 'user', content: userPrompt }
-                    ]
-                })
-        });
-
-        if (!response.ok) {
+        try {
+            return await this.requestExtraction(call, userPrompt, sections);
+        } catch (error) {
+            console.error('Financials follow-up failed:', error);
             return { success: false };
         }
+    },
 
-        const data = await response.json();
-        const extractedText = provider === this.PROVIDERS.OPENAI
-            ? (data.output_text || data.output?.[0]?.content?.[0]?.text || '')
-            : (data.content?.[0]?.text || '');
-        return this.parseExtractionResponse(extractedText);
+    // Indent every line of a block of text by `spaces`
+    indent: function(text, spaces) {
+        const pad = ' '.repeat(spaces);
+        return text.split('\n').map(line => pad + line).join('\n');
     },
 
+    // Fold follow-up results into an extraction; array items are matched, not replaced
     mergeExtractionData: function(base, extra) {
         const result = JSON.parse(JSON.stringify(base || {}));
-        const merge = (target, source) => {
-            if (!source || typeof source !== 'object') return;
-            for (const key of Object.keys(source)) {
-                const val = source[key];
-                if (Array.isArray(val)) {
-                    if (!Array.isArray(target[key])) target[key] = [];
-                    if (val.length > 0) target[key] = val;
-                } else if (val && typeof val === 'object') {
-                    if (!target[key]) target[key] = {};
-                    merge(target[key], val);
-                } else {
-                    target[key] = val;
-                }
-            }
-        };
-        merge(result, extra);
+        this.reconcileInto(result, extra || {});
         return result;
     },
 
@@ -247,91 +620,64 @@ IMPORTANT RULES:
 1. Extract ONLY information that is explicitly stated in the transcript
 2. Do NOT make assumptions or infer data that isn't clearly stated
 3. For each extracted field, provide a confidence score (0.0 to 1.0)
-4. Use null for fields where no information was found
+4. Leave out fields where no information was found
 5. Convert all monetary values to numbers (remove currency symbols)
 6. Include the original currency for monetary values
 7. Convert dates to ISO format (YYYY-MM-DD) where possible
 8. For age, calculate from DOB if DOB is given but age is not stated
 9. CRITICAL: Capture ALL financial assets and liabilities mentioned, including bank accounts, cash, investments, pensions, properties, and debts.
 10. CRITICAL: For every extracted field include a short verbatim sourceQuote from the transcript (5-25 words).
+11. Transcript lines are tagged "[L12] Name (role):". The tag and speaker are not part of the quote - copy sourceQuote from the spoken text only.
+12. Facts describe the participant with role "client" unless the speaker clearly talks about someone else. The adviser's questions are not facts.
+13. HOUSEHOLD: attribute every fact to the right person. Facts about the client's spouse or partner go in "spouse" and "spouseEmployment" - whether the client describes them ("my wife Jane works at HSBC") or the participant with role "spouse" says them about themselves ("I", "my"). Never put spouse facts in "personal" or "employment".
+14. OWNERSHIP: set "owner" on every pension, property, investment, bank account, debt and protection policy: "Client" or "Spouse" for the person who holds it, "Joint" when held together ("our house", "joint account", both names). Pensions and protection are never joint. Leave owner out when it is not clear.
+
+HOW TO WRITE VALUES:
+${FieldRegistry.describeForPrompt()}
 
 Respond ONLY with a valid JSON object in the exact format specified. Do not include any explanation or markdown.`;
     },
 
-    // Build the user prompt with transcript
-    buildUserPrompt: function(transcriptText, existingClient) {
-        let prompt = `Extract all client information from the following meeting transcript.
+    // Build the user prompt with transcript (or one chunk of it). The response structure is
+    // generated from the schema; `sections` limits it to one section group.
+    buildUserPrompt: function(transcriptText, existingClient, chunk = null, sections = null) {
+        const scope = sections ? `only these sections: ${sections.join(', ')}` : 'all client information';
+        let prompt = `Extract ${scope} from the following meeting transcript.
 
-Return a JSON object with this structure (fill ALL financial assets/liabilities if mentioned):
+Return a JSON object with this structure. Each "field": <type> is an object
+{ "value": ..., "confidence": 0.0-1.0, "sourceQuote": "..." } with the value written as the type says.
+Arrays hold one object per item mentioned (each child, pension, property, account, debt, policy).
 {
     "extractedData": {
-        "personal": {
-            "firstName": { "value": "...", "confidence": 0.95, "sourceQuote": "..." },
-            "lastName": { "value": "...", "confidence": 0.95, "sourceQuote": "..." },
-            "dateOfBirth": { "value": "YYYY-MM-DD", "confidence": 0.9, "sourceQuote": "..." },
-            "age": { "value": 55, "confidence": 0.95, "sourceQuote": "..." },
-            "email": { "value": "...", "confidence": 0.8, "sourceQuote": "..." },
-            "phoneMobile": { "value": "...", "confidence": 0.8, "sourceQuote": "..." },
-            "countryOfResidence": { "value": "...", "confidence": 0.9, "sourceQuote": "..." },
-            "nationality": { "value": "...", "confidence": 0.85, "sourceQuote": "..." },
-            "relationshipStatus": { "value": "...", "confidence": 0.9, "sourceQuote": "..." },
-            "address": {
-                "city": { "value": "...", "confidence": 0.8, "sourceQuote": "..." },
-                "country": { "value": "...", "confidence": 0.9, "sourceQuote": "..." }
-            }
-        },
-        "employment": {
-            "status": { "value": "Employed", "confidence": 0.95, "sourceQuote": "..." },
-            "jobTitle": { "value": "...", "confidence": 0.9, "sourceQuote": "..." },
-            "employer": { "value": "...", "confidence": 0.95, "sourceQuote": "..." },
-            "monthlyGrossIncome": { "value": 22500, "confidence": 0.9, "sourceQuote": "..." },
-            "incomeCurrency": { "value": "USD", "confidence": 0.85, "sourceQuote": "..." },
-            "retirementAge": { "value": 65, "confidence": 0.9, "sourceQuote": "..." }
-        },
-        "goals": {
-            "shortTerm": { "value": "...", "confidence": 0.8, "sourceQuote": "..." },
-            "mediumTerm": { "value": "...", "confidence": 0.7, "sourceQuote": "..." },
-            "longTerm": { "value": "...", "confidence": 0.85, "sourceQuote": "..." },
-            "retirementAge": { "value": 65, "confidence": 0.9, "sourceQuote": "..." },
-            "retirementLocation": { "value": "...", "confidence": 0.8, "sourceQuote": "..." }
-        },
-        "children": [
-            {
-                "inEducation": { "value": true, "confidence": 0.8, "sourceQuote": "..." },
-                "school": { "value": "University", "confidence": 0.7, "sourceQuote": "..." }
-            }
-        ],
-        "pensions": [
-            {
-                "type": { "value": "Superannuation", "confidence": 0.9, "sourceQuote": "..." },
-                "currentValue": { "value": 320000, "confidence": 0.85, "sourceQuote": "..." },
-                "currency": { "value": "AUD", "confidence": 0.9, "sourceQuote": "..." },
-                "annualGrowthRate": { "value": 6.5, "confidence": 0.7, "sourceQuote": "..." }
-            }
-        ],
-        "properties": [
-            {
-                "address": {
-                    "state": { "value": "Queensland", "confidence": 0.9, "sourceQuote": "..." },
-                    "country": { "value": "Australia", "confidence": 0.95, "sourceQuote": "..." }
-                },
-                "currentValue": { "value": 1500000, "confidence": 0.9, "sourceQuote": "..." },
-                "currency": { "value": "AUD", "confidence": 0.95, "sourceQuote": "..." },
-                "mortgageBalance": { "value": 1100000, "confidence": 0.9, "sourceQuote": "..." }
-            }
-        ]
+${this.indent(ExtractionSchema.describeStructure(sections || undefined), 8)}
     },
     "summary": "Brief summary of key findings",
     "missingCriticalFields": ["list", "of", "important", "missing", "fields"]
 }
 
-For any field not mentioned in the transcript, set value to null, confidence to 0, and sourceQuote to "".
+Leave out fields and sections that are not mentioned in the transcript; do not return null placeholders.
 
 `;
 
-        if (existingClient) {
-            prompt += `\nEXISTING CLIENT DATA (flag any conflicts):
-${JSON.stringify(existingClient, null, 2)}
+        // Incremental mode: the model sees what is already known and returns only the changes
+        const known = existingClient ? this.summarizeClient(existingClient, sections || undefined) : [];
+        if (known.length > 0) {
+            const lastMeeting = this.getLastMeetingDate(existingClient);
+            prompt += `WHAT WE ALREADY KNOW${lastMeeting ? ` (as of the meeting on ${lastMeeting})` : ''}:
+${known.join('\n')}
+
+This is a follow-up meeting: return only what has changed. Add "change" to every field you return:
+- "new": a fact that is not in the list above
+- "updated": a fact that replaces a known value (a new balance, job, address...); set "previousValue" to the known value
+- "contradiction": a statement that disagrees with a known value without saying it has changed; set "previousValue" to the known value
+Leave out facts that match what we already know. When an array item is already known, also return the fields that
+identify it (provider, policyNumber, bank, firstName...) with "change": "unchanged".
+
+`;
+        }
+
+        if (chunk) {
+            prompt += `This is part ${chunk.index + 1} of ${chunk.total} of a longer meeting (transcript lines ${chunk.startLine}-${chunk.endLine}). Extract only what is stated in this part; the parts are combined afterwards.
 
 `;
         }
@@ -346,8 +692,58 @@ Extract all available information and return ONLY the JSON object.`;
         return prompt;
     },
 
-    // Parse the extraction response from Claude
-    parseExtractionResponse: function(responseText) {
+    // Send an extraction prompt and validate the reply against ExtractionSchema. A reply that
+    // does not parse or fit the schema gets one repair round trip asking the model to fix only
+    // the listed problems; anything still wrong is left out and reported on the result.
+    // `sections` limits the schema to the sections the prompt asked for.
+    requestExtraction: async function(call, userPrompt, sections = null) {
+        const schema = ExtractionSchema.build(sections);
+        const result = this.parseExtractionResponse(await call(userPrompt, sections), schema);
+        const problems = this.describeProblems(result);
+        if (problems.length === 0) return result;
+
+        // A failed repair call keeps the first response, which may still be usable
+        let repaired;
+        try {
+            repaired = this.parseExtractionResponse(await call(this.buildRepairPrompt(result, problems), sections), schema);
+        } catch (error) {
+            console.warn('Repair request failed:', error);
+            return result;
+        }
+        if (!repaired.success) return result;
+        repaired.repaired = true;
+        return repaired;
+    },
+
+    // One line per validation problem, for the repair prompt
+    describeProblems: function(result) {
+        if (!result.success && !result.validationErrors) return ['- The response was not valid JSON (it may have been cut off)'];
+        return (result.validationErrors || []).map(e => `- ${e.path}: ${e.message}`)
+            .concat((result.unknownKeys || []).map(path => `- ${path}: is not a field of the client record (move the value to the right field or remove it)`));
+    },
+
+    buildRepairPrompt: function(result, problems) {
+        const listed = problems.slice(0, this.MAX_REPAIR_PROBLEMS);
+        if (problems.length > listed.length) listed.push(`- ...and ${problems.length - listed.length} more of the same kind`);
+
+        return `Your previous response did not match the required extraction format.
+
+PROBLEMS:
+${listed.join('\n')}
+
+Fix ONLY these problems. Keep every other value, confidence and sourceQuote exactly as it was, and do not add anything new.
+Return the complete corrected JSON object.
+
+PREVIOUS RESPONSE:
+---
+${result.rawResponse}
+---`;
+    },
+
+    // Parse the extraction response and validate it against ExtractionSchema. Unknown keys and
+    // values that do not fit are left out of data and listed in unknownKeys / validationErrors.
+    parseExtractionResponse: function(responseText, schema = ExtractionSchema.build()) {
+        let parsed;
         try {
             // Try to extract JSON from the response
             let jsonStr = responseText.trim();
@@ -358,15 +754,7 @@ Extract all available information and return ONLY the JSON object.`;
                 jsonStr = jsonMatch[1].trim();
             }
 
-            const parsed = JSON.parse(jsonStr);
-
-            return {
-                success: true,
-                data: parsed.extractedData,
-                summary: parsed.summary || 'Data extracted successfully',
-                missingFields: parsed.missingCriticalFields || [],
-                rawResponse: responseText
-            };
+            parsed = JSON.parse(jsonStr);
         } catch (error) {
             console.error('Failed to parse extraction response:', error);
             return {
@@ -375,6 +763,27 @@ Extract all available information and return ONLY the JSON object.`;
                 rawResponse: responseText
             };
         }
+
+        const validation = ExtractionSchema.validate(parsed, schema);
+        if (!validation.cleaned) {
+            return {
+                success: false,
+                error: 'AI response did not match the extraction format',
+                validationErrors: validation.errors,
+                unknownKeys: validation.unknownKeys,
+                rawResponse: responseText
+            };
+        }
+
+        return {
+            success: true,
+            data: validation.cleaned.extractedData,
+            summary: parsed.summary || 'Data extracted successfully',
+            missingFields: parsed.missingCriticalFields || [],
+            validationErrors: validation.errors,
+            unknownKeys: validation.unknownKeys,
+            rawResponse: responseText
+        };
     },
 
     // Convert extracted data with confidence scores to flat client data
@@ -447,30 +856,20 @@ Extract all available information and return ONLY the JSON object.`;
         // Apply approved fields
         for (const fieldPath of approvedFields) {
             const extracted = this.getNestedValue(extractedData, fieldPath);
-            if (extracted && extracted.value !== null) {
-                setNestedValue(client, fieldPath, extracted.value);
+            if (extracted && extracted.value !== null && FieldRegistry.get(fieldPath)) {
+                setNestedValue(client, fieldPath, FieldRegistry.coerce(fieldPath, extracted.value));
             }
         }
 
-        // Update version and history
-        client.version = (client.version || 0) + 1;
+        // Version and history are recorded by Database.saveClient
         client.updatedAt = new Date().toISOString();
 
-        if (changes.length > 0) {
-            client.history = client.history || [];
-            client.history.push({
-                date: new Date().toISOString(),
-                source: 'transcript_extraction',
-                changes: changes
-            });
-        }
-
         return client;
     },
 
-    // Get nested value from object using dot notation
+    // Get nested value from object using dot notation ("pensions[0].provider" works too)
     getNestedValue: function(obj, path) {
-        const parts = path.split('.');
+        const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
         let current = obj;
 
         for (const part of parts) {
@@ -483,45 +882,110 @@ Extract all available information and return ONLY the JSON object.`;
         return current;
     },
 
-    // Find conflicts between extracted data and existing client
-    findConflicts: function(existingClient, extractedData) {
+    // Find conflicts between extracted data and existing client: stated values that differ
+    // from a non-empty stored value. Array items are compared with the stored item they were
+    // matched to (see matchArrayItems); field is the extracted path, clientPath the stored one.
+    findConflicts: function(existingClient, extractedData, matches = null) {
         const conflicts = [];
 
-        const checkConflicts = (extracted, existing, path = '') => {
+        const checkConflicts = (extracted, path = '', clientPath = '') => {
             for (const key in extracted) {
                 const currentPath = path ? `${path}.${key}` : key;
+                const currentClientPath = clientPath ? `${clientPath}.${key}` : key;
                 const extractedValue = extracted[key];
 
-                if (extractedValue && typeof extractedValue === 'object') {
-                    if ('value' in extractedValue && 'confidence' in extractedValue) {
-                        // This is a value-confidence pair
-                        const existingValue = this.getNestedValue(existing, currentPath);
-
-                        if (existingValue !== null &&
-                            existingValue !== undefined &&
-                            existingValue !== '' &&
-                            extractedValue.value !== null &&
-                            existingValue !== extractedValue.value) {
-                            conflicts.push({
-                                field: currentPath,
-                                existingValue: existingValue,
-                                extractedValue: extractedValue.value,
-                                confidence: extractedValue.confidence
-                            });
+                if (Array.isArray(extractedValue)) {
+                    extractedValue.forEach((item, i) => {
+                        const match = matches && matches[key] && matches[key][i];
+                        if (match && match.action === this.ITEM_ACTIONS.SAME) {
+                            checkConflicts(item, `${currentPath}[${i}]`, `${currentClientPath}[${match.target}]`);
                         }
-                    } else if (!Array.isArray(extractedValue)) {
-                        // Nested object, recurse
-                        checkConflicts(extractedValue, existing, currentPath);
+                    });
+                } else if (this.isValuePair(extractedValue)) {
+                    const existingValue = this.getNestedValue(existingClient, currentClientPath);
+
+                    if (!this.isEmptyValue(existingValue) &&
+                        extractedValue.value !== null &&
+                        !this.isSameValue(currentClientPath, existingValue, extractedValue.value)) {
+                        conflicts.push({
+                            field: currentPath,
+                            clientPath: currentClientPath,
+                            existingValue: existingValue,
+                            extractedValue: extractedValue.value,
+                            confidence: extractedValue.confidence,
+                            sourceQuote: extractedValue.sourceQuote || '',
+                            change: extractedValue.change || null
+                        });
                     }
+                } else if (extractedValue && typeof extractedValue === 'object') {
+                    checkConflicts(extractedValue, currentPath, currentClientPath);
                 }
             }
         };
 
-        checkConflicts(extractedData, existingClient);
+        checkConflicts(extractedData);
         return conflicts;
     },
 
-    // Demo extraction for testing without API key
+    // Copy of extracted data with only the given field paths. Array items keep their
+    // positions (others become {}) so item matches by index stay valid.
+    pickFields: function(extractedData, paths) {
+        const wanted = new Set(paths);
+        const pick = (data, prefix) => {
+            const result = {};
+            for (const key of Object.keys(data || {})) {
+                const value = data[key];
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (Array.isArray(value)) {
+                    const items = value.map((item, i) => pick(item, `${path}[${i}]`));
+                    if (items.some(item => Object.keys(item).length > 0)) result[key] = items;
+                } else if (this.isValuePair(value)) {
+                    if (wanted.has(path)) result[key] = value;
+                } else if (value && typeof value === 'object') {
+                    const nested = pick(value, path);
+                    if (Object.keys(nested).length > 0) result[key] = nested;
+                }
+            }
+            return result;
+        };
+        return pick(extractedData, '');
+    },
+
+    // Paths of the stated values a reviewer would see (not null, not labelled unchanged)
+    getFieldPaths: function(extractedData) {
+        const paths = [];
+        const walk = (data, prefix) => {
+            for (const key of Object.keys(data || {})) {
+                const value = data[key];
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (Array.isArray(value)) {
+                    value.forEach((item, i) => walk(item, `${path}[${i}]`));
+                } else if (this.isValuePair(value)) {
+                    if (value.value !== null && value.change !== ExtractionSchema.CHANGES.UNCHANGED) paths.push(path);
+                } else if (value && typeof value === 'object') {
+                    walk(value, path);
+                }
+            }
+        };
+        walk(extractedData, '');
+        return paths;
+    },
+
+    // Item matches for the part of an extraction still to be reviewed after some fields were
+    // saved: items written to (targets from prepareArrayItems) are now the same stored items
+    carryItemMatches: function(matches, targets) {
+        const carried = JSON.parse(JSON.stringify(matches || {}));
+        Object.keys(targets).forEach(section => {
+            carried[section] = carried[section] || [];
+            Object.keys(targets[section]).forEach(index => {
+                carried[section][index] = Object.assign({ candidates: [] }, carried[section][index],
+                    { action: this.ITEM_ACTIONS.SAME, target: targets[section][index] });
+            });
+        });
+        return carried;
+    },
+
+    // Sample extraction for demo mode (getDemoMode); never used for real transcripts
     getDemoExtraction: function() {
         return {
             success: true,
@@ -27,10 +27,25 @@ const FactfindExport = {
         return { sameOriginUrl, rawUrl };
     },
 
+    /**
+     * Check the client before export; returns false if the adviser cancels
+     * after being shown the validation errors. Warnings never block export.
+     */
+    confirmValidation: function(client) {
+        const result = Validation.validateClient(client);
+        if (result.isValid) return true;
+
+        const shown = result.errors.slice(0, 10).map(e => `- ${e}`).join('\n');
+        const more = result.errors.length > 10 ? `\n...and ${result.errors.length - 10} more` : '';
+        return confirm(`This client has ${result.errors.length} validation error(s):\n\n${shown}${more}\n\nExport the factfind anyway?`);
+    },
+
     /**
      * Export a client's data to a populated factfind Word document
      */
     exportForClient: async function(client) {
+        if (!this.confirmValidation(client)) return;
+
         try {
             App.showAlert('Generating factfind document...', 'info');
 
@@ -79,7 +94,7 @@ const FactfindExport = {
                 if (value === null || value === undefined || value === '') continue;
                 fieldsWithValues++;
 
-                const formattedValue = FactfindMapping.formatValue(value, mapping.format);
+                const formattedValue = FactfindMapping.formatValue(value, FactfindMapping.getFormat(mapping));
                 if (!formattedValue) continue;
 
                 const table = tables[mapping.table];
@@ -152,6 +167,8 @@ const FactfindExport = {
      * This avoids .docx XML table mapping issues.
      */
     exportAsHtmlDoc: function(client) {
+        if (!this.confirmValidation(client)) return;
+
         try {
             const html = this.buildHtmlFactfind(client);
             const win = window.open('', '_blank');
@@ -188,6 +205,8 @@ const FactfindExport = {
      * Export a fillable PDF with editable fields
      */
     exportFillablePdf: async function(client) {
+        if (!this.confirmValidation(client)) return;
+
         try {
             if (!window.PDFLib) throw new Error('PDF library not loaded');
             const { PDFDocument, StandardFonts, rgb } = window.PDFLib;
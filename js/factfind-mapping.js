@@ -404,6 +404,13 @@ const FactfindMapping = {
         ];
     },
 
+    // =========================================================================
+    // HELPER: Format for a mapping - explicit format, else the field's registered type
+    // =========================================================================
+    getFormat: function(mapping) {
+        return mapping.format || FieldRegistry.getExportFormat(mapping.field);
+    },
+
     // =========================================================================
     // HELPER: Format a value based on format type
     // =========================================================================
@@ -445,6 +452,10 @@ const FactfindMapping = {
                 return String(value);
             }
 
+            case 'yesNo':
+                if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+                return String(value);
+
             case 'date':
                 if (typeof value === 'string' && value.includes('-')) {
                     const d = new Date(value);
@@ -0,0 +1,431 @@
+/**
+ * Adviser AI - Field Registry
+ * Typed metadata for every ClientSchema field: type, enum values, units,
+ * currency companion field and validation rules
+ */
+
+const FieldRegistry = {
+    TYPES: {
+        STRING: 'string',
+        TEXT: 'text',
+        NUMBER: 'number',
+        INTEGER: 'integer',
+        MONEY: 'money',
+        PERCENT: 'percent',
+        BOOLEAN: 'boolean',
+        DATE: 'date',
+        EMAIL: 'email',
+        PHONE: 'phone',
+        ENUM: 'enum',
+        CURRENCY: 'currency',
+        ADDRESS: 'address',
+        LIST: 'list'
+    },
+
+    // Allowed values for enum fields, keyed by path pattern ("[]" = any array item)
+    ENUM_OPTIONS: {
+        'personal.title': ['Mr', 'Mrs', 'Ms', 'Miss', 'Dr'],
+        'spouse.title': ['Mr', 'Mrs', 'Ms', 'Miss', 'Dr'],
+        'personal.relationshipStatus': ['Single', 'Married', 'Civil Partner', 'Divorced', 'Widowed', 'Separated', 'Cohabiting'],
+        'employment.status': ['Employed', 'Self-Employed', 'Retired', 'Unemployed', 'Student'],
+        'spouseEmployment.status': ['Employed', 'Self-Employed', 'Retired', 'Unemployed', 'Student'],
+        'employment.contractType': ['Permanent', 'Fixed-term', 'Contractor'],
+        'spouseEmployment.contractType': ['Permanent', 'Fixed-term', 'Contractor'],
+        'children[].relationship': ['Son', 'Daughter', 'Stepson', 'Stepdaughter', 'Other'],
+        'pensions[].owner': ['Client', 'Spouse'],
+        'pensions[].type': ['Defined Benefit', 'Defined Contribution', 'SIPP', 'QROPS', 'Superannuation', 'Other'],
+        'properties[].owner': ['Client', 'Spouse', 'Joint'],
+        'properties[].propertyType': ['House', 'Apartment', 'Land', 'Commercial'],
+        'properties[].usage': ['Primary Residence', 'Investment', 'Holiday Home'],
+        'properties[].mortgageType': ['Repayment', 'Interest Only'],
+        'properties[].mortgageRateType': ['Fixed', 'Variable'],
+        'investments[].owner': ['Client', 'Spouse', 'Joint'],
+        'investments[].type': ['ISA', 'GIA', 'Bond', 'Stocks', 'Funds', 'Other'],
+        'bankAccounts[].owner': ['Client', 'Spouse', 'Joint'],
+        'bankAccounts[].accountType': ['Current', 'Savings', 'Fixed Deposit'],
+        'debts[].owner': ['Client', 'Spouse', 'Joint'],
+        'debts[].type': ['Personal Loan', 'Credit Card', 'Car Finance', 'Student Loan', 'Other'],
+        'protection[].owner': ['Client', 'Spouse'],
+        'protection[].type': ['Life', 'Critical Illness', 'Income Protection', 'Health', 'Other'],
+        'riskAttitude.investmentExperience': ['None', 'Limited', 'Moderate', 'Extensive'],
+        'riskAttitude.riskTolerance': [1, 2, 3, 4, 5],
+        'riskAttitude.capacityForLoss': ['Low', 'Medium', 'High'],
+        'riskAttitude.investmentTimeHorizon': ['Short (<3yrs)', 'Medium (3-7yrs)', 'Long (7+yrs)']
+    },
+
+    // Currency codes offered by currency selectors
+    CURRENCIES: ['GBP', 'USD', 'EUR', 'AUD', 'NZD', 'CAD', 'CHF', 'SAR', 'AED', 'QAR', 'KWD', 'BHD',
+                 'OMR', 'SGD', 'HKD', 'JPY', 'INR', 'ZAR'],
+
+    // Monetary fields (by leaf name); every numeric expenditure field is monetary too
+    MONEY_FIELDS: ['monthlyGrossIncome', 'monthlyNetIncome', 'annualBonus', 'monthlySurplus',
+                   'retirementIncomeRequired', 'annualSchoolFees', 'currentValue', 'employerContribution',
+                   'employeeContribution', 'projectedValueAtRetirement', 'transferValue', 'purchasePrice',
+                   'mortgageBalance', 'monthlyPayment', 'rentalIncome', 'equity', 'originalInvestment',
+                   'regularContribution', 'balance', 'monthlyIncome', 'originalAmount', 'outstandingBalance',
+                   'sumAssured', 'premium', 'desiredAnnualIncome', 'otherAnnualIncome', 'statePensionAnnual',
+                   'additionalAnnualContribution'],
+
+    // Percentage rates (by leaf name)
+    PERCENT_FIELDS: ['annualGrowthRate', 'mortgageRate', 'annualReturn', 'interestRate',
+                     'growthRate', 'inflationRate', 'charges', 'withdrawalRate'],
+
+    // Per-field overrides layered on top of the inferred definition, keyed by path pattern
+    FIELD_RULES: {
+        'personal.age': { type: 'integer', unit: 'years', min: 0, max: 120 },
+        'spouse.age': { type: 'integer', unit: 'years', min: 0, max: 120 },
+        'children[].age': { type: 'integer', unit: 'years', min: 0, max: 80 },
+        'employment.yearsInRole': { unit: 'years', min: 0, max: 70 },
+        'spouseEmployment.yearsInRole': { unit: 'years', min: 0, max: 70 },
+        'employment.retirementAge': { type: 'integer', unit: 'years', min: 30, max: 100 },
+        'spouseEmployment.retirementAge': { type: 'integer', unit: 'years', min: 30, max: 100 },
+        'goals.retirementAge': { type: 'integer', unit: 'years', min: 30, max: 100 },
+        'pensions[].retirementAge': { type: 'integer', unit: 'years', min: 30, max: 100 },
+        'riskAttitude.riskTolerance': { unit: '1 (very cautious) to 5 (adventurous)' },
+        'retirementPlanning.targetRetirementAge': { type: 'integer', unit: 'years', min: 30, max: 100 },
+        'retirementPlanning.lifeExpectancy': { type: 'integer', unit: 'years', min: 50, max: 120 },
+        'retirementPlanning.statePensionAge': { type: 'integer', unit: 'years', min: 50, max: 100 },
+        'retirementPlanning.contributionEndAge': { type: 'integer', unit: 'years', min: 18, max: 100 },
+        'retirementPlanning.desiredAnnualIncome': { unit: 'per year' },
+        'retirementPlanning.otherAnnualIncome': { unit: 'per year' },
+        'retirementPlanning.statePensionAnnual': { unit: 'per year' },
+        'retirementPlanning.additionalAnnualContribution': { unit: 'per year' },
+        'retirementPlanning.includeInvestments': { type: 'boolean' },
+        'retirementPlanning.includeCash': { type: 'boolean' }
+    },
+
+    // Validation patterns for string-like types
+    PATTERNS: {
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        phone: /^\+?[\d\s().-]{6,}$/,
+        currency: /^[A-Z]{3}$/
+    },
+
+    _fields: null, // { [pattern]: definition }, built on first use
+
+    // All field definitions keyed by path pattern, derived from the ClientSchema templates
+    getFields: function() {
+        if (this._fields) return this._fields;
+
+        const fields = {};
+        const walk = (template, prefix) => {
+            for (const key in template) {
+                if (key === 'id') continue;
+                const pattern = prefix ? `${prefix}.${key}` : key;
+                const value = template[key];
+
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    if (key === 'address') fields[pattern] = this.buildDefinition(pattern, value);
+                    walk(value, pattern);
+                } else {
+                    fields[pattern] = this.buildDefinition(pattern, value);
+                }
+            }
+        };
+
+        const template = ClientSchema.createEmptyClient();
+        for (const section in template) {
+            if (ClientHistory.SYSTEM_FIELDS.includes(section)) continue;
+
+            const item = ClientSchema.createArrayItem(section);
+            if (item) {
+                walk(item, `${section}[]`);
+            } else if (template[section] && typeof template[section] === 'object') {
+                walk(template[section], section);
+            }
+        }
+
+        this._fields = fields;
+        return fields;
+    },
+
+    // Definition for a concrete path ("pensions[2].currentValue") or null if unknown
+    get: function(path) {
+        return this.getFields()[ClientSchema.getPathPattern(path)] || null;
+    },
+
+    // Build the definition of one field from its template default and name
+    buildDefinition: function(pattern, defaultValue) {
+        const leaf = pattern.split('.').pop();
+        const section = pattern.split(/[.[]/)[0];
+        const rules = this.FIELD_RULES[pattern] || {};
+        const T = this.TYPES;
+
+        let type;
+        if (this.ENUM_OPTIONS[pattern]) type = T.ENUM;
+        else if (leaf === 'currency' || /Currency$/.test(leaf)) type = T.CURRENCY;
+        else if (leaf === 'address') type = T.ADDRESS;
+        else if (Array.isArray(defaultValue)) type = T.LIST;
+        else if (defaultValue === null) {
+            if (/^(is|has|in)[A-Z]|InPlace$|Guaranteed$|^smoker$|^secured$|^powerOfAttorney$/.test(leaf)) type = T.BOOLEAN;
+            else if (this.MONEY_FIELDS.includes(leaf) || section === 'expenditure') type = T.MONEY;
+            else if (this.PERCENT_FIELDS.includes(leaf)) type = T.PERCENT;
+            else type = T.NUMBER;
+        }
+        else if (/(^d|D)ate(Of[A-Z]\w*)?$/.test(leaf)) type = T.DATE;
+        else if (leaf === 'email') type = T.EMAIL;
+        else if (/^phone/.test(leaf)) type = T.PHONE;
+        else if (leaf === 'notes' || /Details$/.test(leaf)) type = T.TEXT;
+        else type = T.STRING;
+
+        const definition = {
+            path: pattern,
+            type: rules.type || type,
+            enum: this.ENUM_OPTIONS[pattern] || (type === T.CURRENCY ? this.CURRENCIES : null),
+            unit: rules.unit || null,
+            currencyField: null,
+            min: rules.min !== undefined ? rules.min : null,
+            max: rules.max !== undefined ? rules.max : null
+        };
+
+        if (definition.type === T.MONEY) {
+            definition.currencyField = this.getCurrencyPattern(pattern);
+            definition.min = definition.min !== null ? definition.min : 0;
+            if (!definition.unit) {
+                if (/^monthly|Monthly$/.test(leaf) || section === 'expenditure') definition.unit = 'per month';
+                else if (/^annual/.test(leaf)) definition.unit = 'per year';
+            }
+        } else if (definition.type === T.PERCENT) {
+            definition.unit = definition.unit || '% per year';
+            definition.min = -100;
+            definition.max = 100;
+        }
+
+        return definition;
+    },
+
+    // Companion currency field for a monetary path pattern
+    getCurrencyPattern: function(pattern) {
+        const parent = pattern.split('.').slice(0, -1).join('.');
+        if (parent === 'children[]') return 'children[].schoolFeesCurrency';
+        if (/^\w+\[\]$/.test(parent)) return `${parent}.currency`;
+        if (parent === 'employment' || parent === 'spouseEmployment') return `${parent}.incomeCurrency`;
+        if (parent === 'goals') return 'goals.retirementIncomeCurrency';
+        if (parent === 'expenditure') return 'expenditure.currency';
+        if (parent === 'retirementPlanning') return 'retirementPlanning.currency';
+        return null;
+    },
+
+    // Concrete companion currency path for a monetary path, or null
+    // ("pensions[2].currentValue" -> "pensions[2].currency")
+    getCurrencyField: function(path) {
+        const definition = this.get(path);
+        if (!definition || !definition.currencyField) return null;
+
+        const indices = path.match(/\[\d+\]/g) || [];
+        let i = 0;
+        return definition.currencyField.replace(/\[\]/g, () => indices[i++] || '[]');
+    },
+
+    getType: function(path) {
+        const definition = this.get(path);
+        return definition ? definition.type : null;
+    },
+
+    getEnumOptions: function(path) {
+        const definition = this.get(path);
+        return definition ? definition.enum : null;
+    },
+
+    // Input control for a field: text, textarea, email, tel, date, number, boolean, select, currency, address, list
+    getInputType: function(path) {
+        const inputTypes = {
+            enum: 'select',
+            currency: 'currency',
+            address: 'address',
+            list: 'list',
+            boolean: 'boolean',
+            number: 'number',
+            integer: 'number',
+            money: 'number',
+            percent: 'number',
+            date: 'date',
+            email: 'email',
+            phone: 'tel',
+            text: 'textarea'
+        };
+        return inputTypes[this.getType(path)] || 'text';
+    },
+
+    // Convert a raw value (form input, LLM output, import) to the field's type.
+    // Strings are never turned into numbers unless the field is numeric, so phone
+    // and policy numbers keep their leading zeros. Values that cannot be converted
+    // are returned unchanged for validate() to report.
+    coerce: function(path, value) {
+        const definition = this.get(path);
+        if (!definition || value === undefined) return value;
+        if (value === null) return definition.type === this.TYPES.LIST ? [] : null;
+
+        const T = this.TYPES;
+        switch (definition.type) {
+            case T.NUMBER:
+            case T.INTEGER:
+            case T.MONEY:
+            case T.PERCENT: {
+                if (typeof value === 'number') return value;
+                const text = String(value).replace(/[,\s%£$€]/g, '');
+                if (text === '') return null;
+                const num = Number(text);
+                return isNaN(num) ? value : num;
+            }
+
+            case T.BOOLEAN: {
+                if (typeof value === 'boolean') return value;
+                const text = String(value).trim().toLowerCase();
+                if (text === '') return null;
+                if (['true', 'yes', 'y', '1'].includes(text)) return true;
+                if (['false', 'no', 'n', '0'].includes(text)) return false;
+                return value;
+            }
+
+            case T.ENUM: {
+                const text = String(value).trim();
+                if (text === '') return typeof definition.enum[0] === 'number' ? null : '';
+                const match = definition.enum.find(option => String(option).toLowerCase() === text.toLowerCase());
+                return match !== undefined ? match : text;
+            }
+
+            case T.CURRENCY:
+                return String(value).trim().toUpperCase();
+
+            case T.LIST:
+                if (Array.isArray(value)) return value;
+                return String(value).split(/\r?\n|;/).map(item => item.trim()).filter(item => item);
+
+            case T.ADDRESS:
+                return value;
+
+            default:
+                return typeof value === 'object' ? value : String(value).trim();
+        }
+    },
+
+    // Validation messages for a value (empty array if valid; empty values are always valid)
+    validate: function(path, value) {
+        const definition = this.get(path);
+        if (!definition || value === null || value === undefined || value === '') return [];
+        if (Array.isArray(value) && value.length === 0) return [];
+
+        const T = this.TYPES;
+        const errors = [];
+        const numeric = [T.NUMBER, T.INTEGER, T.MONEY, T.PERCENT].includes(definition.type);
+
+        if (numeric) {
+            if (typeof value !== 'number' || isNaN(value)) {
+                errors.push('must be a number');
+            } else {
+                if (definition.type === T.INTEGER && !Number.isInteger(value)) errors.push('must be a whole number');
+                if (definition.min !== null && value < definition.min) errors.push(`must be at least ${definition.min}`);
+                if (definition.max !== null && value > definition.max) errors.push(`must be at most ${definition.max}`);
+            }
+        } else if (definition.type === T.BOOLEAN) {
+            if (typeof value !== 'boolean') errors.push('must be yes or no');
+        } else if (definition.type === T.ENUM) {
+            if (!definition.enum.includes(value)) errors.push(`must be one of: ${definition.enum.join(', ')}`);
+        } else if (this.PATTERNS[definition.type] && !this.PATTERNS[definition.type].test(String(value))) {
+            const formats = {
+                date: 'must be a date (YYYY-MM-DD)',
+                email: 'must be a valid email address',
+                phone: 'must be a valid phone number',
+                currency: 'must be a 3-letter currency code'
+            };
+            errors.push(formats[definition.type]);
+        }
+
+        return errors;
+    },
+
+    // Coerce every known field of a client record in place (used before saving)
+    normalizeClient: function(client) {
+        const fields = this.getFields();
+
+        const walk = (obj, prefix, patternPrefix) => {
+            for (const key in obj) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                const pattern = patternPrefix ? `${patternPrefix}.${key}` : key;
+                const definition = fields[pattern];
+                const value = obj[key];
+
+                if (Array.isArray(value) && !definition) {
+                    value.forEach((item, i) => {
+                        if (item && typeof item === 'object') walk(item, `${path}[${i}]`, `${pattern}[]`);
+                    });
+                } else if (definition && definition.type !== this.TYPES.ADDRESS) {
+                    obj[key] = this.coerce(path, value);
+                } else if (value && typeof value === 'object') {
+                    walk(value, path, pattern);
+                }
+            }
+        };
+
+        for (const section in client) {
+            if (ClientHistory.SYSTEM_FIELDS.includes(section)) continue;
+            if (client[section] && typeof client[section] === 'object') {
+                walk({ [section]: client[section] }, '', '');
+            }
+        }
+        return client;
+    },
+
+    // Default factfind format for a field when a mapping does not name one
+    getExportFormat: function(path) {
+        const formats = {
+            money: 'currency',
+            date: 'date',
+            boolean: 'yesNo',
+            address: 'address'
+        };
+        return formats[this.getType(path)] || null;
+    },
+
+    // Short type description of one field for the extraction prompt
+    // ("money (per month)", "one of \"Mr\", \"Mrs\"", "whole number (years, 0-120)")
+    describeField: function(definition) {
+        const T = this.TYPES;
+        const labels = {
+            [T.STRING]: 'text',
+            [T.TEXT]: 'text',
+            [T.NUMBER]: 'number',
+            [T.INTEGER]: 'whole number',
+            [T.MONEY]: 'money',
+            [T.PERCENT]: 'percent',
+            [T.BOOLEAN]: 'true/false',
+            [T.DATE]: 'date YYYY-MM-DD',
+            [T.EMAIL]: 'email',
+            [T.PHONE]: 'phone number as text',
+            [T.CURRENCY]: 'ISO currency code',
+            [T.LIST]: 'list of text'
+        };
+
+        if (definition.type === T.ENUM) {
+            return `one of ${definition.enum.map(o => JSON.stringify(o)).join(', ')}${definition.unit ? ` (${definition.unit})` : ''}`;
+        }
+
+        const notes = [];
+        if (definition.unit && definition.type !== T.PERCENT) notes.push(definition.unit);
+        if (definition.type === T.INTEGER && definition.min !== null && definition.max !== null) {
+            notes.push(`${definition.min}-${definition.max}`);
+        }
+        return `${labels[definition.type] || 'text'}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+    },
+
+    // How typed values are written in an extraction response (the fields themselves
+    // are described one by one with describeField)
+    describeForPrompt: function() {
+        return [
+            '- money: a number without symbols or thousands separators; put the ISO currency code in the companion currency field',
+            '- percent: a number, e.g. 6.5 for 6.5%',
+            '- whole number / number: digits only, e.g. 55',
+            '- true/false: JSON true or false',
+            '- date YYYY-MM-DD: convert spoken dates, e.g. "16th April 1970" -> "1970-04-16"',
+            '- one of ...: exactly one of the listed options, spelled as listed',
+            '- Keep phone numbers, policy numbers, account numbers and sort codes as text exactly as spoken, including leading zeros'
+        ].join('\n');
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.FieldRegistry = FieldRegistry;
+}
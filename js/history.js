@@ -0,0 +1,178 @@
+/**
+ * Adviser AI - Client Change History
+ * Field-level diffs between saved client versions, restore and single-field revert
+ */
+
+const ClientHistory = {
+    // Top-level keys that are bookkeeping rather than client data
+    SYSTEM_FIELDS: ['id', 'createdAt', 'updatedAt', 'dataCompleteness', 'version', 'schemaVersion',
+                    'dataSources', 'provenance', 'history', 'valueHistory'],
+
+    SOURCES: {
+        CREATED: 'created',
+        MANUAL: 'manual_edit',
+        TRANSCRIPT: 'transcript_extraction',
+        BATCH: 'batch_extraction',
+        IMPORT: 'import',
+        RESTORE: 'restore',
+        REVERT: 'revert_field'
+    },
+
+    // Conflict resolution choices recorded in history entries (entry.decisions)
+    DECISIONS: {
+        KEEP: 'keep',     // keep the value on record
+        ACCEPT: 'accept', // replace it with the value from the meeting
+        BOTH: 'both'      // take the new value and keep the old one with effective dates
+    },
+
+    // Flatten a client into { "personal.firstName": value, "pensions[0].currentValue": value, ... }
+    // Arrays of objects are expanded by index, arrays of primitives are kept as leaf values.
+    flatten: function(client) {
+        const result = {};
+
+        const walk = (value, path) => {
+            if (Array.isArray(value)) {
+                if (value.some(item => item && typeof item === 'object')) {
+                    value.forEach((item, index) => walk(item, `${path}[${index}]`));
+                } else {
+                    result[path] = value.slice();
+                }
+            } else if (value && typeof value === 'object') {
+                for (const key in value) {
+                    if (key === 'id' && /\]$/.test(path)) continue; // array item ids are not data
+                    walk(value[key], path ? `${path}.${key}` : key);
+                }
+            } else {
+                result[path] = value;
+            }
+        };
+
+        for (const key in (client || {})) {
+            if (this.SYSTEM_FIELDS.includes(key)) continue;
+            walk(client[key], key);
+        }
+
+        return result;
+    },
+
+    // Field-level diff between two client records
+    diff: function(oldClient, newClient) {
+        const before = this.flatten(oldClient);
+        const after = this.flatten(newClient);
+        const paths = new Set([...Object.keys(before), ...Object.keys(after)]);
+        const changes = [];
+
+        const isEmpty = (v) => v === null || v === undefined || v === '' || (Array.isArray(v) && v.length === 0);
+
+        paths.forEach(path => {
+            const oldValue = before[path];
+            const newValue = after[path];
+            if (isEmpty(oldValue) && isEmpty(newValue)) return;
+            if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+            changes.push({
+                field: path,
+                oldValue: oldValue === undefined ? null : oldValue,
+                newValue: newValue === undefined ? null : newValue
+            });
+        });
+
+        return changes;
+    },
+
+    // Build the history entry stored on the client record. options.decisions lists the
+    // conflict resolutions made in the same save: [{ field, decision, existingValue, newValue, ... }]
+    createEntry: function(version, changes, options = {}) {
+        const entry = {
+            version: version,
+            date: new Date().toISOString(),
+            source: options.source || this.SOURCES.MANUAL,
+            user: options.user || Provenance.getCurrentUser(),
+            note: options.note || '',
+            changes: changes
+        };
+        if (options.decisions && options.decisions.length > 0) entry.decisions = options.decisions;
+        return entry;
+    },
+
+    // Keep the value a field had before a conflict was resolved with "record both": the old
+    // value's period is closed at previous.effectiveTo and the new one starts at current.effectiveFrom
+    recordValuePeriods: function(client, path, previous, current) {
+        client.valueHistory = client.valueHistory || {};
+        const key = Provenance.getKey(client, path);
+        const periods = client.valueHistory[key] || [];
+        const open = periods.length > 0 ? periods[periods.length - 1] : null;
+        const stamp = { recordedBy: Provenance.getCurrentUser(), recordedAt: new Date().toISOString() };
+
+        if (open && !open.effectiveTo && JSON.stringify(open.value) === JSON.stringify(previous.value)) {
+            open.effectiveTo = previous.effectiveTo || null;
+        } else {
+            periods.push(Object.assign({
+                value: previous.value,
+                effectiveFrom: previous.effectiveFrom || null,
+                effectiveTo: previous.effectiveTo || null,
+                sourceQuote: previous.sourceQuote || ''
+            }, stamp));
+        }
+        periods.push(Object.assign({
+            value: current.value,
+            effectiveFrom: current.effectiveFrom || null,
+            effectiveTo: null,
+            sourceQuote: current.sourceQuote || ''
+        }, stamp));
+
+        client.valueHistory[key] = periods;
+    },
+
+    // Dated values of a field, oldest first (empty if none were recorded)
+    getValuePeriods: function(client, path) {
+        if (!client || !client.valueHistory) return [];
+        return client.valueHistory[Provenance.getKey(client, path)] || [];
+    },
+
+    // Copy of the client suitable for the version store (history lives on the record itself)
+    snapshot: function(client) {
+        const copy = JSON.parse(JSON.stringify(client));
+        delete copy.history;
+        return copy;
+    },
+
+    // Return a copy of current with all client data replaced by a stored snapshot.
+    // Identity, creation date, meeting log, dated values and history are kept from current.
+    restoreFromSnapshot: function(current, snapshot) {
+        const restored = JSON.parse(JSON.stringify(snapshot));
+        restored.id = current.id;
+        restored.createdAt = current.createdAt;
+        restored.dataSources = current.dataSources || [];
+        restored.valueHistory = current.valueHistory || {};
+        restored.history = current.history || [];
+        restored.version = current.version;
+        return ClientSchema.migrateClient(restored);
+    },
+
+    // Return a copy of client with a single field set back to a previous value.
+    // Array items removed since the change are recreated.
+    revertField: function(client, field, value) {
+        const updated = JSON.parse(JSON.stringify(client));
+        return ClientSchema.setValue(updated, field, value);
+    },
+
+    // Human readable label for a history source
+    formatSource: function(source) {
+        const labels = {
+            created: 'Client created',
+            manual_edit: 'Manual edit',
+            transcript_extraction: 'Transcript extraction',
+            batch_extraction: 'Batch extraction',
+            import: 'Data import',
+            restore: 'Version restore',
+            revert_field: 'Field revert'
+        };
+        return labels[source] || source;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.ClientHistory = ClientHistory;
+}
@@ -0,0 +1,294 @@
+/**
+ * Adviser AI - LLM Providers
+ * One interface for model calls: adapters build the request, unpack the response text
+ * and token usage, and errors are normalized. Settings are kept per provider.
+ */
+
+const LLMProviders = {
+    // Normalized error kinds (error.kind)
+    ERRORS: {
+        AUTH: 'auth',
+        RATE_LIMIT: 'rate_limit',
+        BAD_REQUEST: 'bad_request',
+        SERVER: 'server',
+        NETWORK: 'network',
+        EMPTY: 'empty',
+        NOT_CONFIGURED: 'not_configured'
+    },
+
+    DEFAULT_PROVIDER: 'claude',
+
+    adapters: {}, // id -> adapter, filled by register()
+
+    schemaRejected: {}, // id -> true once a provider has refused a JSON Schema this session
+
+    // Adapter shape:
+    // { id, label, models: [suggested], defaultModel, requiresApiKey, keyPlaceholder,
+    //   defaultBaseUrl (only for providers with a configurable endpoint),
+    //   buildRequest({ model, apiKey, baseUrl, system, user, maxTokens, json, schema, schemaName }) -> { url, options },
+    //   parseResponse(data) -> { text, usage: { inputTokens, outputTokens } } }
+    // With a schema the adapter asks for structured output and returns the JSON as text.
+    register: function(adapter) {
+        this.adapters[adapter.id] = adapter;
+    },
+
+    get: function(id) {
+        return this.adapters[id] || null;
+    },
+
+    list: function() {
+        return Object.values(this.adapters);
+    },
+
+    // ========== SETTINGS ==========
+
+    getProvider: function() {
+        const id = localStorage.getItem('adviserAI_provider');
+        return this.adapters[id] ? id : this.DEFAULT_PROVIDER;
+    },
+
+    setProvider: function(id) {
+        localStorage.setItem('adviserAI_provider', id);
+    },
+
+    getApiKey: function(id = this.getProvider()) {
+        return localStorage.getItem(`adviserAI_apiKey_${id}`) || '';
+    },
+
+    setApiKey: function(id, key) {
+        localStorage.setItem(`adviserAI_apiKey_${id}`, key);
+    },
+
+    // Saved model for a provider; the old single model setting is honoured when it belongs to it
+    getModel: function(id = this.getProvider()) {
+        const adapter = this.get(id);
+        const legacy = localStorage.getItem('adviserAI_model');
+        return localStorage.getItem(`adviserAI_model_${id}`)
+            || (adapter && adapter.models.includes(legacy) ? legacy : null)
+            || (adapter ? adapter.defaultModel : '');
+    },
+
+    setModel: function(id, model) {
+        localStorage.setItem(`adviserAI_model_${id}`, model);
+    },
+
+    getBaseUrl: function(id = this.getProvider()) {
+        const adapter = this.get(id);
+        return localStorage.getItem(`adviserAI_baseUrl_${id}`) || (adapter && adapter.defaultBaseUrl) || '';
+    },
+
+    setBaseUrl: function(id, url) {
+        localStorage.setItem(`adviserAI_baseUrl_${id}`, url.replace(/\/+$/, ''));
+    },
+
+    // Ready to make calls: a key for hosted providers, an endpoint for local ones
+    isConfigured: function(id = this.getProvider()) {
+        const adapter = this.get(id);
+        if (!adapter) return false;
+        return adapter.requiresApiKey ? Boolean(this.getApiKey(id)) : Boolean(this.getBaseUrl(id));
+    },
+
+    // ========== CALLS ==========
+
+    // Send one system + user prompt. Returns { text, usage: { inputTokens, outputTokens }, provider, model }.
+    // request.schema (a JSON Schema, named request.schemaName) asks for structured output; a provider
+    // that rejects it is asked again in plain JSON mode, and the caller validates the reply either way.
+    // Throws an Error with .kind (see ERRORS), .status and .provider set.
+    complete: async function(request, id = this.getProvider()) {
+        const adapter = this.get(id);
+        if (!adapter || !this.isConfigured(id)) {
+            throw this.createError(this.ERRORS.NOT_CONFIGURED, `${adapter ? adapter.label : id} is not configured`, id);
+        }
+
+        const model = request.model || this.getModel(id);
+        const schema = request.schema && !this.schemaRejected[id] ? request.schema : null;
+        const { url, options } = adapter.buildRequest({
+            model: model,
+            apiKey: this.getApiKey(id),
+            baseUrl: this.getBaseUrl(id),
+            system: request.system,
+            user: request.user,
+            maxTokens: request.maxTokens || 4096,
+            json: request.json !== false,
+            schema: schema,
+            schemaName: request.schemaName || 'response'
+        });
+
+        let response;
+        try {
+            response = await fetch(url, Object.assign({ method: 'POST' }, options));
+        } catch (error) {
+            throw this.createError(this.ERRORS.NETWORK,
+                `Could not reach ${adapter.label} at ${url} (${error.message}). Check the address, that the server is running and that it allows browser (CORS) requests.`, id);
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = this.normalizeError(response.status, data, adapter);
+            if (schema && error.kind === this.ERRORS.BAD_REQUEST) {
+                console.warn(`${adapter.label} rejected the response schema, using plain JSON mode:`, error.message);
+                this.schemaRejected[id] = true;
+                return this.complete(request, id);
+            }
+            throw error;
+        }
+
+        const result = adapter.parseResponse(data);
+        if (!result.text) {
+            throw this.createError(this.ERRORS.EMPTY, `${adapter.label} returned an empty response`, id, response.status);
+        }
+
+        return { text: result.text, usage: result.usage, provider: id, model: model };
+    },
+
+    // Map an HTTP failure to a readable, typed error
+    normalizeError: function(status, data, adapter) {
+        const detail = data?.error?.message || data?.message || (typeof data?.error === 'string' ? data.error : '');
+        let kind = this.ERRORS.BAD_REQUEST;
+        let message = `${adapter.label} rejected the request${detail ? `: ${detail}` : ` (HTTP ${status})`}`;
+
+        if (status === 401 || status === 403) {
+            kind = this.ERRORS.AUTH;
+            message = `${adapter.label} rejected the API key${detail ? `: ${detail}` : ''}`;
+        } else if (status === 429) {
+            kind = this.ERRORS.RATE_LIMIT;
+            message = `${adapter.label} rate limit reached - wait a moment and retry${detail ? ` (${detail})` : ''}`;
+        } else if (status >= 500) {
+            kind = this.ERRORS.SERVER;
+            message = `${adapter.label} server error (HTTP ${status})${detail ? `: ${detail}` : ''}`;
+        }
+
+        return this.createError(kind, message, adapter.id, status);
+    },
+
+    createError: function(kind, message, provider, status = null) {
+        const error = new Error(message);
+        error.kind = kind;
+        error.provider = provider;
+        error.status = status;
+        return error;
+    }
+};
+
+// ========== ADAPTERS ==========
+
+LLMProviders.register({
+    id: 'claude',
+    label: 'Claude (Anthropic)',
+    models: ['claude-opus-4-20250514', 'claude-sonnet-4-20250514'],
+    defaultModel: 'claude-opus-4-20250514',
+    requiresApiKey: true,
+    keyPlaceholder: 'sk-ant-...',
+    buildRequest: function(req) {
+        return {
+            url: 'https://api.anthropic.com/v1/messages',
+            options: {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': req.apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'anthropic-dangerous-direct-browser-access': 'true'
+                },
+                body: JSON.stringify(Object.assign({
+                    model: req.model,
+                    max_tokens: req.maxTokens,
+                    system: req.system,
+                    messages: [
+                        { role: 'user', content: req.user }
+                    ]
+                }, req.schema ? {
+                    // Structured output through a forced tool call whose input is the response
+                    tools: [{ name: req.schemaName, description: 'Record the response', input_schema: req.schema }],
+                    tool_choice: { type: 'tool', name: req.schemaName }
+                } : {}))
+            }
+        };
+    },
+    parseResponse: function(data) {
+        const toolUse = (data.content || []).find(part => part.type === 'tool_use');
+        return {
+            text: toolUse ? JSON.stringify(toolUse.input)
+                : (data.content || []).filter(part => part.type === 'text').map(part => part.text).join(''),
+            usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 }
+        };
+    }
+});
+
+LLMProviders.register({
+    id: 'openai',
+    label: 'OpenAI',
+    models: ['gpt-4o', 'gpt-4.1'],
+    defaultModel: 'gpt-4o',
+    requiresApiKey: true,
+    keyPlaceholder: 'sk-...',
+    buildRequest: function(req) {
+        return {
+            url: 'https://api.openai.com/v1/responses',
+            options: {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${req.apiKey}`
+                },
+                body: JSON.stringify(Object.assign({
+                    model: req.model,
+                    input: [
+                        { role: 'system', content: req.system },
+                        { role: 'user', content: req.user }
+                    ],
+                    max_output_tokens: req.maxTokens
+                }, req.schema ? { text: { format: { type: 'json_schema', name: req.schemaName, schema: req.schema, strict: false } } }
+                    : req.json ? { text: { format: { type: 'json_object' } } } : {}))
+            }
+        };
+    },
+    parseResponse: function(data) {
+        return {
+            text: data.output_text || data.output?.find(item => item.type === 'message')?.content?.[0]?.text
+                || data.output?.[0]?.content?.[0]?.text || '',
+            usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 }
+        };
+    }
+});
+
+// Chat Completions API served locally (Ollama, llama.cpp server, LM Studio, vLLM).
+// Transcripts never leave the machine; the key is optional.
+LLMProviders.register({
+    id: 'openai-compatible',
+    label: 'Local / OpenAI-compatible',
+    models: ['llama3.1', 'qwen2.5', 'mistral'],
+    defaultModel: 'llama3.1',
+    requiresApiKey: false,
+    keyPlaceholder: 'optional',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    buildRequest: function(req) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (req.apiKey) headers['Authorization'] = `Bearer ${req.apiKey}`;
+        return {
+            url: `${req.baseUrl}/chat/completions`,
+            options: {
+                headers: headers,
+                body: JSON.stringify(Object.assign({
+                    model: req.model,
+                    messages: [
+                        { role: 'system', content: req.system },
+                        { role: 'user', content: req.user }
+                    ],
+                    max_tokens: req.maxTokens,
+                    temperature: 0
+                }, req.schema ? { response_format: { type: 'json_schema', json_schema: { name: req.schemaName, schema: req.schema } } }
+                    : req.json ? { response_format: { type: 'json_object' } } : {}))
+            }
+        };
+    },
+    parseResponse: function(data) {
+        return {
+            text: data.choices?.[0]?.message?.content || '',
+            usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 }
+        };
+    }
+});
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.LLMProviders = LLMProviders;
+}
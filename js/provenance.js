@@ -0,0 +1,131 @@
+/**
+ * Adviser AI - Field Provenance
+ * Links every stored client value to the transcript, quote and approval it came from
+ */
+
+const Provenance = {
+    APPROVAL_MODES: {
+        MANUAL: 'manual',
+        AUTO: 'auto',
+        EDIT: 'edit'
+    },
+
+    // Name recorded against approvals (set in Settings)
+    getCurrentUser: function() {
+        return localStorage.getItem('adviserAI_userName') || 'Adviser';
+    },
+
+    setCurrentUser: function(name) {
+        localStorage.setItem('adviserAI_userName', name);
+    },
+
+    // Convert an index path ("pensions[0].currentValue") into a key that survives
+    // reordering and deletion of array items ("pensions#<itemId>.currentValue")
+    getKey: function(client, path) {
+        return path.replace(/^(\w+)\[(\d+)\]/, (match, section, index) => {
+            const item = Array.isArray(client[section]) ? client[section][index] : null;
+            return item && item.id ? `${section}#${item.id}` : match;
+        });
+    },
+
+    // Record where a field value came from
+    record: function(client, path, entry) {
+        client.provenance = client.provenance || {};
+        client.provenance[this.getKey(client, path)] = {
+            transcriptId: entry.transcriptId || null,
+            fileName: entry.fileName || '',
+            meetingDate: entry.meetingDate || null,
+            sourceQuote: entry.sourceQuote || '',
+            confidence: typeof entry.confidence === 'number' ? entry.confidence : null,
+            approvedBy: entry.approvedBy || this.getCurrentUser(),
+            approvalMode: entry.approvalMode || this.APPROVAL_MODES.MANUAL,
+            approvedAt: new Date().toISOString()
+        };
+    },
+
+    // Get the provenance entry for a field path (or null)
+    get: function(client, path) {
+        if (!client || !client.provenance || !path) return null;
+        return client.provenance[this.getKey(client, path)] || null;
+    },
+
+    // Drop provenance for an array item that has been deleted
+    removeItem: function(client, section, itemId) {
+        if (!client.provenance || !itemId) return;
+        const prefix = `${section}#${itemId}.`;
+        Object.keys(client.provenance).forEach(key => {
+            if (key.startsWith(prefix)) delete client.provenance[key];
+        });
+    },
+
+    // Plain-text summary used for hover tooltips
+    describe: function(entry) {
+        if (!entry) return '';
+
+        const lines = [];
+        if (entry.sourceQuote) lines.push(`"${entry.sourceQuote}"`);
+        if (entry.fileName) lines.push(`Transcript: ${entry.fileName}`);
+        if (entry.meetingDate) lines.push(`Meeting: ${String(entry.meetingDate).split('T')[0]}`);
+        if (entry.confidence !== null && entry.confidence !== undefined) {
+            lines.push(`Confidence: ${Math.round(entry.confidence * 100)}%`);
+        }
+        const mode = {
+            auto: 'auto-approved',
+            edit: 'edited'
+        }[entry.approvalMode] || 'approved';
+        lines.push(`${mode} by ${entry.approvedBy} on ${String(entry.approvedAt).split('T')[0]}`);
+
+        return lines.join('\n');
+    },
+
+    // Lines a source quote came from: the whole utterance holding it, or for transcripts
+    // without recognised speakers the best matching line. Both match fuzzily (normalized
+    // containment, then word overlap). Returns { line, endLine, utterance } (1-based) or null.
+    locatePassage: function(text, quote, parsed = TranscriptParser.parse(text)) {
+        const utterance = TranscriptParser.locateQuote(parsed, quote);
+        if (utterance) return { line: utterance.line, endLine: utterance.endLine, utterance: utterance };
+
+        const index = this.locateQuote(text, quote);
+        return index === -1 ? null : { line: index + 1, endLine: index + 1, utterance: null };
+    },
+
+    // Find the transcript line that best matches a source quote.
+    // Returns the 0-based line index, or -1 if nothing plausible is found.
+    locateQuote: function(text, quote) {
+        if (!text || !quote) return -1;
+
+        const normalize = (str) => String(str).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const lines = text.split(/\r?\n/);
+        const target = normalize(quote);
+        if (!target) return -1;
+
+        // Exact (normalized) containment first
+        for (let i = 0; i < lines.length; i++) {
+            if (normalize(lines[i]).includes(target)) return i;
+        }
+
+        // Otherwise the line sharing the most words with the quote
+        const quoteWords = new Set(target.split(' ').filter(w => w.length > 2));
+        if (quoteWords.size === 0) return -1;
+
+        let bestIndex = -1;
+        let bestScore = 0;
+        lines.forEach((line, i) => {
+            const words = new Set(normalize(line).split(' '));
+            let shared = 0;
+            quoteWords.forEach(w => { if (words.has(w)) shared++; });
+            const score = shared / quoteWords.size;
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = i;
+            }
+        });
+
+        return bestScore >= 0.5 ? bestIndex : -1;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.Provenance = Provenance;
+}
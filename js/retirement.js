@@ -0,0 +1,230 @@
+/**
+ * Adviser AI - Retirement Projection
+ * Grows pensions, investments and savings to the target retirement age, then draws
+ * them down against the required income year by year. Assumptions live on the client
+ * (client.retirementPlanning) so a saved projection can be reproduced exactly.
+ */
+
+const RetirementProjection = {
+    // Used when the client's retirementPlanning field is empty
+    DEFAULTS: {
+        growthRate: 5,        // % per year, nominal, before charges
+        inflationRate: 2.5,   // % per year
+        charges: 0.75,        // % per year, deducted from invested growth
+        withdrawalRate: 4,    // % of the pot treated as sustainable income
+        lifeExpectancy: 95,
+        targetRetirementAge: 65,
+        includeInvestments: true,
+        includeCash: true
+    },
+
+    // Contribution frequency -> payments per year (monthly when not stated)
+    FREQUENCIES: {
+        weekly: 52,
+        monthly: 12,
+        quarterly: 4,
+        annual: 1,
+        annually: 1,
+        yearly: 1
+    },
+
+    // Assumptions actually used: stored values, then goals/employment, then DEFAULTS
+    resolveAssumptions: function(client) {
+        const stored = client.retirementPlanning || {};
+        const pick = (...values) => values.find(v => v !== null && v !== undefined && v !== '');
+        const d = this.DEFAULTS;
+
+        return {
+            valuationDate: pick(stored.valuationDate, ExchangeRates.today()),
+            targetRetirementAge: pick(stored.targetRetirementAge, client.goals?.retirementAge,
+                client.employment?.retirementAge, d.targetRetirementAge),
+            lifeExpectancy: pick(stored.lifeExpectancy, d.lifeExpectancy),
+            desiredAnnualIncome: pick(stored.desiredAnnualIncome, client.goals?.retirementIncomeRequired, 0),
+            currency: pick(stored.currency, client.goals?.retirementIncomeCurrency, ExchangeRates.getReportingCurrency()),
+            otherAnnualIncome: pick(stored.otherAnnualIncome, 0),
+            statePensionAnnual: pick(stored.statePensionAnnual, 0),
+            statePensionAge: pick(stored.statePensionAge, null),
+            additionalAnnualContribution: pick(stored.additionalAnnualContribution, 0),
+            contributionEndAge: pick(stored.contributionEndAge, null),
+            growthRate: pick(stored.growthRate, d.growthRate),
+            inflationRate: pick(stored.inflationRate, d.inflationRate),
+            charges: pick(stored.charges, d.charges),
+            withdrawalRate: pick(stored.withdrawalRate, d.withdrawalRate),
+            includeInvestments: pick(stored.includeInvestments, d.includeInvestments),
+            includeCash: pick(stored.includeCash, d.includeCash)
+        };
+    },
+
+    annualAmount: function(amount, frequency) {
+        if (typeof amount !== 'number') return 0;
+        const key = String(frequency || '').trim().toLowerCase();
+        return amount * (this.FREQUENCIES[key] || 12);
+    },
+
+    // Household pots in the plan currency. Items with no exchange rate are returned in `unconverted`.
+    collectPots: function(client, a) {
+        const pots = [];
+        const unconverted = [];
+
+        const add = (kind, label, value, currency, annualContribution, growthRate, charged) => {
+            if (typeof value !== 'number' && !annualContribution) return;
+            const from = currency || a.currency;
+            const balance = ExchangeRates.convert(value || 0, from, a.currency, a.valuationDate);
+            const contribution = ExchangeRates.convert(annualContribution || 0, from, a.currency, a.valuationDate);
+            if (!balance || !contribution) {
+                unconverted.push({ label: label, currency: from });
+                return;
+            }
+            pots.push({
+                kind: kind,
+                label: label,
+                balance: balance.value,
+                annualContribution: contribution.value,
+                growthRate: typeof growthRate === 'number' ? growthRate : a.growthRate,
+                charges: charged ? a.charges : 0
+            });
+        };
+
+        (client.pensions || []).forEach((p, i) => {
+            const contribution = this.annualAmount(p.employerContribution, p.contributionFrequency)
+                + this.annualAmount(p.employeeContribution, p.contributionFrequency);
+            add('pension', p.provider || `Pension ${i + 1}`, p.currentValue, p.currency, contribution, p.annualGrowthRate, true);
+        });
+
+        if (a.includeInvestments) {
+            (client.investments || []).forEach((inv, i) => {
+                add('investment', inv.provider || `Investment ${i + 1}`, inv.currentValue, inv.currency,
+                    this.annualAmount(inv.regularContribution, inv.contributionFrequency), inv.annualReturn, true);
+            });
+        }
+
+        if (a.includeCash) {
+            (client.bankAccounts || []).forEach((acc, i) => {
+                if (typeof acc.balance !== 'number' || acc.balance <= 0) return;
+                add('cash', acc.bank || `Account ${i + 1}`, acc.balance, acc.currency, 0,
+                    typeof acc.interestRate === 'number' ? acc.interestRate : 0, false);
+            });
+        }
+
+        if (a.additionalAnnualContribution > 0) {
+            pots.push({
+                kind: 'planned', label: 'Planned contributions', balance: 0,
+                annualContribution: a.additionalAnnualContribution, growthRate: a.growthRate, charges: a.charges
+            });
+        }
+
+        return { pots: pots, unconverted: unconverted };
+    },
+
+    // Run the projection. Returns { assumptions, rows, summary, pots, unconverted } or { error }.
+    project: function(client, assumptions = this.resolveAssumptions(client)) {
+        const a = assumptions;
+        const valuation = new Date(a.valuationDate + 'T00:00:00');
+        const person = client.personal || {};
+        const currentAge = person.dateOfBirth && Validation.isRealDate(person.dateOfBirth)
+            ? Validation.ageFromDob(person.dateOfBirth, valuation)
+            : (typeof person.age === 'number' ? person.age : null);
+
+        if (currentAge === null) return { error: 'Client age or date of birth is needed for a projection' };
+        if (a.lifeExpectancy <= currentAge) return { error: 'Life expectancy must be above current age' };
+
+        const { pots, unconverted } = this.collectPots(client, a);
+        const inflation = a.inflationRate / 100;
+        const contributionEnd = Math.min(a.contributionEndAge || a.targetRetirementAge, a.targetRetirementAge);
+        const drawdownRate = (a.growthRate - a.charges) / 100;
+
+        const rows = [];
+        let drawdownPot = null;
+        let potAtRetirement = null;
+        let depletionAge = null;
+        let firstShortfallAge = null;
+        let totalShortfall = 0;
+
+        for (let age = currentAge; age <= a.lifeExpectancy; age++) {
+            const yearsFromNow = age - currentAge;
+            const year = valuation.getFullYear() + yearsFromNow;
+            const inflate = Math.pow(1 + inflation, yearsFromNow);
+
+            if (age < a.targetRetirementAge) {
+                // Accumulation: each pot grows at its own net rate plus contributions
+                let start = 0, growth = 0, contributions = 0;
+                pots.forEach(pot => {
+                    start += pot.balance;
+                    const potGrowth = pot.balance * (pot.growthRate - pot.charges) / 100;
+                    const contribution = age < contributionEnd ? pot.annualContribution : 0;
+                    pot.balance += potGrowth + contribution;
+                    growth += potGrowth;
+                    contributions += contribution;
+                });
+                rows.push({
+                    year: year, age: age, phase: 'accumulation', startBalance: start, contributions: contributions,
+                    growth: growth, incomeRequired: 0, otherIncome: 0, withdrawals: 0, shortfall: 0,
+                    endBalance: start + growth + contributions
+                });
+                continue;
+            }
+
+            // Drawdown from a single combined pot
+            if (drawdownPot === null) {
+                drawdownPot = pots.reduce((sum, pot) => sum + pot.balance, 0);
+                potAtRetirement = drawdownPot;
+            }
+
+            const incomeRequired = a.desiredAnnualIncome * inflate;
+            const statePension = a.statePensionAnnual && age >= (a.statePensionAge || a.targetRetirementAge)
+                ? a.statePensionAnnual * inflate : 0;
+            const otherIncome = a.otherAnnualIncome * inflate + statePension;
+            const need = Math.max(0, incomeRequired - otherIncome);
+
+            const start = drawdownPot;
+            const growth = start * drawdownRate;
+            const available = Math.max(0, start + growth);
+            const withdrawals = Math.min(need, available);
+            const shortfall = need - withdrawals;
+            drawdownPot = available - withdrawals;
+
+            if (shortfall > 0.5) {
+                totalShortfall += shortfall;
+                if (firstShortfallAge === null) firstShortfallAge = age;
+            }
+            if (depletionAge === null && drawdownPot <= 0.5 && need > 0) depletionAge = age;
+
+            rows.push({
+                year: year, age: age, phase: 'drawdown', startBalance: start, contributions: 0, growth: growth,
+                incomeRequired: incomeRequired, otherIncome: otherIncome, withdrawals: withdrawals,
+                shortfall: shortfall, endBalance: drawdownPot
+            });
+        }
+
+        // Pot needed at retirement to fund the net income gap at the withdrawal rate
+        const yearsToRetirement = Math.max(0, a.targetRetirementAge - currentAge);
+        const gapAtRetirement = Math.max(0, (a.desiredAnnualIncome - a.otherAnnualIncome) * Math.pow(1 + inflation, yearsToRetirement));
+        const requiredPot = a.withdrawalRate > 0 ? gapAtRetirement / (a.withdrawalRate / 100) : null;
+
+        if (potAtRetirement === null) potAtRetirement = pots.reduce((sum, pot) => sum + pot.balance, 0);
+
+        return {
+            assumptions: a,
+            currency: a.currency,
+            currentAge: currentAge,
+            pots: pots,
+            unconverted: unconverted,
+            rows: rows,
+            summary: {
+                yearsToRetirement: yearsToRetirement,
+                potAtRetirement: potAtRetirement,
+                requiredPot: requiredPot,
+                surplusDeficit: requiredPot === null ? null : potAtRetirement - requiredPot,
+                sustainableIncome: potAtRetirement * a.withdrawalRate / 100,
+                firstShortfallAge: firstShortfallAge,
+                depletionAge: depletionAge,
+                totalShortfall: totalShortfall
+            }
+        };
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.RetirementProjection = RetirementProjection;
+}
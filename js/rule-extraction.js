@@ -0,0 +1,534 @@
+/**
+ * Adviser AI - Rule-Based Extraction
+ * Offline extractor used when no LLM provider is configured: deterministic patterns over
+ * what the client and their spouse say, for names, date of birth and age, nationality and
+ * residency, employer and salary, marital status, children and pension, property and
+ * account amounts with their owner. Returns the same { value, confidence, sourceQuote }
+ * shape as the model. Only clearly stated facts are picked up; nothing is inferred or made up.
+ */
+
+const RuleExtraction = {
+    // Confidence of a value read from an explicit phrase, and of one read from looser wording
+    CONFIDENCE: { STATED: 0.75, LOOSE: 0.55 },
+
+    // Country names (with the ways people say them) and the matching nationality
+    COUNTRIES: [
+        { name: 'United Kingdom', aliases: ['uk', 'britain', 'great britain', 'england', 'scotland', 'wales'], nationality: 'British', adjectives: ['english', 'scottish', 'welsh'] },
+        { name: 'Ireland', aliases: [], nationality: 'Irish' },
+        { name: 'United States', aliases: ['us', 'usa', 'america', 'the states'], nationality: 'American' },
+        { name: 'Canada', aliases: [], nationality: 'Canadian' },
+        { name: 'Australia', aliases: [], nationality: 'Australian' },
+        { name: 'New Zealand', aliases: ['nz'], nationality: 'New Zealander', adjectives: ['kiwi'] },
+        { name: 'South Africa', aliases: [], nationality: 'South African' },
+        { name: 'Saudi Arabia', aliases: ['saudi', 'riyadh', 'jeddah'], nationality: 'Saudi' },
+        { name: 'United Arab Emirates', aliases: ['uae', 'emirates', 'dubai', 'abu dhabi'], nationality: 'Emirati' },
+        { name: 'Qatar', aliases: ['doha'], nationality: 'Qatari' },
+        { name: 'Kuwait', aliases: [], nationality: 'Kuwaiti' },
+        { name: 'Bahrain', aliases: [], nationality: 'Bahraini' },
+        { name: 'Oman', aliases: ['muscat'], nationality: 'Omani' },
+        { name: 'Singapore', aliases: [], nationality: 'Singaporean' },
+        { name: 'Hong Kong', aliases: [], nationality: 'Chinese' },
+        { name: 'India', aliases: [], nationality: 'Indian' },
+        { name: 'Pakistan', aliases: [], nationality: 'Pakistani' },
+        { name: 'Philippines', aliases: [], nationality: 'Filipino' },
+        { name: 'Egypt', aliases: [], nationality: 'Egyptian' },
+        { name: 'Jordan', aliases: [], nationality: 'Jordanian' },
+        { name: 'Lebanon', aliases: [], nationality: 'Lebanese' },
+        { name: 'France', aliases: [], nationality: 'French' },
+        { name: 'Germany', aliases: [], nationality: 'German' },
+        { name: 'Spain', aliases: [], nationality: 'Spanish' },
+        { name: 'Portugal', aliases: [], nationality: 'Portuguese' },
+        { name: 'Italy', aliases: [], nationality: 'Italian' },
+        { name: 'Netherlands', aliases: ['holland'], nationality: 'Dutch' },
+        { name: 'Switzerland', aliases: [], nationality: 'Swiss' },
+        { name: 'Japan', aliases: [], nationality: 'Japanese' },
+        { name: 'China', aliases: [], nationality: 'Chinese' }
+    ],
+
+    // Currency names that name one currency, longest first so "australian dollars" wins over "dollars"
+    CURRENCY_NAMES: [
+        ['australian dollar', 'AUD'], ['aussie dollar', 'AUD'], ['new zealand dollar', 'NZD'],
+        ['canadian dollar', 'CAD'], ['singapore dollar', 'SGD'], ['hong kong dollar', 'HKD'],
+        ['us dollar', 'USD'], ['saudi riyal', 'SAR'], ['qatari riyal', 'QAR'], ['omani rial', 'OMR'],
+        ['kuwaiti dinar', 'KWD'], ['bahraini dinar', 'BHD'], ['swiss franc', 'CHF'],
+        ['pound', 'GBP'], ['sterling', 'GBP'], ['quid', 'GBP'], ['euro', 'EUR'],
+        ['riyal', 'SAR'], ['dirham', 'AED'], ['rial', 'OMR'], ['yen', 'JPY'],
+        ['rupee', 'INR'], ['rand', 'ZAR'], ['franc', 'CHF']
+    ],
+    CURRENCY_SYMBOLS: { '£': 'GBP', '€': 'EUR', '¥': 'JPY', '₹': 'INR' },
+
+    // "$" and "dollars" on their own could be any dollar: only a code or prefix says which
+    // ("AUD $1.5m", "A$", "US$"). An amount in bare dollars is read without a currency.
+    DOLLAR_PREFIXES: { A: 'AUD', AU: 'AUD', US: 'USD', NZ: 'NZD', C: 'CAD', CA: 'CAD', S: 'SGD', SG: 'SGD', HK: 'HKD' },
+
+    // Sentences about each kind of holding, checked in this order
+    ASSET_PATTERNS: {
+        pensions: /\b(pensions?|superannuation|super fund|sipp|401\s?\(?k\)?|final salary|retirement fund)\b/i,
+        properties: /\b(house|home|property|flat|apartment|villa|mortgage)\b/i,
+        investments: /\b(isas?|shares|stocks|portfolio|investments?|funds|bonds?)\b/i,
+        bankAccounts: /\b(savings|current account|deposit|in the bank|cash|bank account)\b/i
+    },
+
+    // The client talking about their spouse or partner
+    PARTNER: /\bmy (?:wife|husband|partner|spouse)\b/i,
+
+    // Extract what the transcript states. `parsed` is the TranscriptParser result.
+    // Returns an extraction like Extraction.extractFromTranscript:
+    // { success, data, summary, missingFields, offline: true }
+    extract: function(text, parsed = TranscriptParser.parse(text)) {
+        const sentences = this.getSentences(text, parsed);
+        const spouseSentences = this.getSentences(text, parsed, TranscriptParser.ROLES.SPOUSE);
+        const spouse = this.findPersonal(spouseSentences, parsed.spouse);
+        const data = {
+            personal: this.findPersonal(sentences, parsed.client),
+            spouse: Object.assign(this.findPartnerDetails(sentences), spouse),
+            employment: this.findEmployment(sentences),
+            spouseEmployment: Object.assign(this.findPartnerEmployment(sentences), this.findEmployment(spouseSentences)),
+            children: this.findChildren(sentences.concat(spouseSentences))
+        };
+
+        // "We're married" said by the spouse describes the household
+        if (spouse.relationshipStatus && !data.personal.relationshipStatus) data.personal.relationshipStatus = spouse.relationshipStatus;
+        delete spouse.relationshipStatus;
+        const answered = this.findStatusAnswer(parsed);
+        if (answered && (!data.personal.relationshipStatus || data.personal.relationshipStatus.confidence < answered.confidence)) {
+            data.personal.relationshipStatus = answered;
+        }
+
+        const assets = this.findAssets(sentences, 'Client');
+        const spouseAssets = this.findAssets(spouseSentences, 'Spouse');
+        Object.keys(this.ASSET_PATTERNS).forEach(section => {
+            const items = (assets[section] || []).concat(spouseAssets[section] || []);
+            if (items.length > 0) data[section] = items;
+        });
+
+        // Coerced and shaped as any model response would be
+        const checked = ExtractionSchema.validate({ extractedData: data });
+        const extracted = checked.cleaned ? checked.cleaned.extractedData : {};
+        const found = Extraction.getFieldPaths(extracted).length;
+
+        const missingFields = [
+            ['personal.lastName', 'client name'], ['personal.dateOfBirth', 'date of birth'],
+            ['employment.employer', 'employer'], ['employment.monthlyGrossIncome', 'income']
+        ].filter(([path]) => !Extraction.getNestedValue(extracted, path)).map(([, label]) => label);
+
+        return {
+            success: true,
+            data: extracted,
+            summary: `Rule-based extraction found ${found} value(s). No AI provider is configured, so only plainly stated facts were picked up.`,
+            missingFields: missingFields,
+            offline: true
+        };
+    },
+
+    // Client name for batch matching without a provider: { firstName, lastName, meetingDate } or null
+    findClientName: function(text, parsed = TranscriptParser.parse(text)) {
+        const personal = this.findPersonal(this.getSentences(text, parsed), parsed.client);
+        if (!personal.firstName || !personal.lastName) return null;
+        return { firstName: personal.firstName.value, lastName: personal.lastName.value, meetingDate: parsed.meetingDate };
+    },
+
+    // Sentences the client (or an unlabelled speaker) said, or with role SPOUSE those the
+    // spouse said; the adviser's questions are skipped
+    getSentences: function(text, parsed, role = TranscriptParser.ROLES.CLIENT) {
+        const R = TranscriptParser.ROLES;
+        const units = parsed.utterances.length > 0
+            ? parsed.utterances
+                .filter(u => role === R.SPOUSE ? u.role === R.SPOUSE : u.role !== R.ADVISER && u.role !== R.SPOUSE)
+                .map(u => u.text)
+            : role === R.SPOUSE ? [] : String(text || '').split(/\r?\n/);
+        return units
+            .flatMap(unit => unit.split(/(?<=[.!?])\s+/))
+            .map(sentence => sentence.trim())
+            .filter(Boolean);
+    },
+
+    field: function(value, confidence, quote) {
+        return { value: value, confidence: confidence, sourceQuote: quote };
+    },
+
+    // ========== PEOPLE ==========
+
+    // Facts a person states about themselves; `speakerName` is their speaker label
+    findPersonal: function(sentences, speakerName) {
+        const S = this.CONFIDENCE;
+        const personal = {};
+        const set = (key, value, confidence, quote) => {
+            if (!personal[key] || personal[key].confidence < confidence) personal[key] = this.field(value, confidence, quote);
+        };
+
+        // The speaker's full name, unless they say it themselves
+        const speaker = TranscriptParser.getPersonName(speakerName);
+        if (speaker) {
+            set('firstName', speaker.firstName, S.LOOSE, speakerName);
+            set('lastName', speaker.lastName, S.LOOSE, speakerName);
+        }
+
+        sentences.forEach(sentence => {
+            const name = sentence.match(/\b(?:[Mm]y name is|[Mm]y name's|I'm called|I am called)\s+([A-Z][a-z'-]+)(?:\s+([A-Z][a-z'-]+(?:-[A-Z][a-z'-]+)?))?/);
+            if (name) {
+                set('firstName', name[1], S.STATED, sentence);
+                if (name[2]) set('lastName', name[2], S.STATED, sentence);
+            }
+
+            if (/\b(born|birth|dob|birthday)\b/i.test(sentence)) {
+                const date = Verification.readDates(sentence).find(d => d.month && d.day && d.year >= 1900 && d.month <= 12);
+                if (date) set('dateOfBirth', this.formatDate(date), S.STATED, sentence);
+            }
+
+            const age = sentence.match(/\bI(?:'m|’m| am)\s+(?:now\s+)?(\d{2})\b(?!\s*(?:%|percent|k\b|thousand|grand|years?\s+(?:in|with|at|into|of)))/i)
+                || sentence.match(/\b(?:I'm|I am|I’m|aged)\s+(?:now\s+)?(\d{2})\s+years?\s+old\b/i);
+            if (age && +age[1] >= 16 && +age[1] <= 110) set('age', +age[1], S.STATED, sentence);
+
+            const nationality = this.findNationality(sentence);
+            if (nationality) set('nationality', nationality, S.STATED, sentence);
+
+            // "I live in Dubai", or "..., currently resident in Saudi Arabia" after another clause
+            const residence = sentence.match(/\b(?:I|we)(?:'re|'m|’re|’m| am| are)?\s+(?:currently\s+|now\s+)?(?:live|living|reside|residing|based|resident)\s+(?:in|out of)\s+(?:the\s+)?([A-Za-z][A-Za-z ]{1,30})/i)
+                || sentence.match(/\b(?:(?:currently|now)\s+(?:living|based|resident|residing)|resident|residing)\s+in\s+(?:the\s+)?([A-Za-z][A-Za-z ]{1,30})/i);
+            const country = residence ? this.findCountry(residence[1]) : null;
+            if (country) set('countryOfResidence', country.name, S.STATED, sentence);
+
+            const status = this.findRelationshipStatus(sentence);
+            if (status) set('relationshipStatus', status.value, status.confidence, sentence);
+        });
+
+        return personal;
+    },
+
+    // What the client says about their spouse: "my wife Jane is 52", "my husband is British"
+    findPartnerDetails: function(sentences) {
+        const S = this.CONFIDENCE;
+        const spouse = {};
+        sentences.filter(sentence => this.PARTNER.test(sentence)).forEach(sentence => {
+            const name = sentence.match(/\b[Mm]y (?:wife|husband|partner|spouse),?\s+(?:is called\s+|called\s+|named\s+)?([A-Z][a-z'-]+)(?:\s+([A-Z][a-z'-]+))?/);
+            if (name && !spouse.firstName) {
+                spouse.firstName = this.field(name[1], S.STATED, sentence);
+                if (name[2]) spouse.lastName = this.field(name[2], S.LOOSE, sentence);
+            }
+
+            const about = /\b(?:[Mm]y (?:wife|husband|partner|spouse)(?:,?\s+[A-Z][a-z'-]+,?)?|[Ss]he|[Hh]e)\s+is\s+(?:now\s+|also\s+)?(?:an?\s+)?(\d{2}|[A-Z][a-z]+)\b(?!\s*(?:%|percent|k\b|thousand))/g;
+            let match;
+            while ((match = about.exec(sentence)) !== null) {
+                if (/^\d+$/.test(match[1])) {
+                    if (!spouse.age && +match[1] >= 16 && +match[1] <= 110) spouse.age = this.field(+match[1], S.STATED, sentence);
+                } else if (!spouse.nationality) {
+                    const nationality = this.findNationality(`I am ${match[1]}`);
+                    if (nationality) spouse.nationality = this.field(nationality, S.STATED, sentence);
+                }
+            }
+
+            if (/\b(born|birth|birthday)\b/i.test(sentence) && !spouse.dateOfBirth) {
+                const date = Verification.readDates(sentence).find(d => d.month && d.day && d.year >= 1900 && d.month <= 12);
+                if (date) spouse.dateOfBirth = this.field(this.formatDate(date), S.STATED, sentence);
+            }
+        });
+        return spouse;
+    },
+
+    // The spouse's job as the client describes it: "my wife works for HSBC and earns 6,000 a month"
+    findPartnerEmployment: function(sentences) {
+        const S = this.CONFIDENCE;
+        const employment = {};
+        sentences.filter(sentence => this.PARTNER.test(sentence)).forEach(sentence => {
+            const employer = sentence.match(/\b[Mm]y (?:wife|husband|partner|spouse)(?:,?\s+[A-Z][a-z'-]+,?)?\s+(?:works|is working)\s+(?:for|at)\s+((?:the\s+)?[A-Z][\w&'.-]*(?:\s+(?:[A-Z][\w&'.-]*|of|&))*)/);
+            if (employer && !employment.employer) {
+                employment.employer = this.field(employer[1].replace(/\s+(?:of|&)$/, '').replace(/\.$/, ''), S.STATED, sentence);
+                employment.status = this.field('Employed', S.LOOSE, sentence);
+            }
+            if (/\b(?:wife|husband|partner|spouse)(?:,?\s+[A-Z][a-z'-]+,?)?\s+(?:is|has)\s+(?:now\s+|already\s+)?retired\b/i.test(sentence)) {
+                employment.status = this.field('Retired', S.STATED, sentence);
+            }
+            if (/\b(salary|earns|earning|income|paid|take home)\b/i.test(sentence) && !employment.monthlyGrossIncome) {
+                Object.assign(employment, this.readSalary(sentence));
+            }
+        });
+        return employment;
+    },
+
+    // "I'm Australian", "British citizen", "my nationality is Irish", "I have a French passport"
+    findNationality: function(sentence) {
+        const patterns = [
+            /\bI(?:'m|’m| am)\s+(?:an?\s+)?([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\b/,
+            /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)\s+(?:citizen|national|passport)\b/,
+            /\bnationality\s+is\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?)/i
+        ];
+        for (const pattern of patterns) {
+            const match = sentence.match(pattern);
+            if (!match) continue;
+            const word = match[1].toLowerCase();
+            const country = this.COUNTRIES.find(c => c.nationality.toLowerCase() === word ||
+                (c.adjectives || []).includes(word) || c.name.toLowerCase() === word);
+            if (country) return country.nationality;
+        }
+        return null;
+    },
+
+    // Country named at the start of a phrase ("Saudi Arabia for six years" -> Saudi Arabia)
+    findCountry: function(phrase) {
+        const text = ` ${Extraction.normalizeText(phrase)} `;
+        const starts = (name) => text.startsWith(` ${name} `);
+        return this.COUNTRIES
+            .filter(c => starts(c.name.toLowerCase()) || c.aliases.some(starts))
+            .sort((a, b) => b.name.length - a.name.length)[0] || null;
+    },
+
+    findRelationshipStatus: function(sentence) {
+        const S = this.CONFIDENCE;
+        const stated = sentence.match(/\b(?:I(?:'m|’m| am)|we(?:'re|’re| are))\s+(?:now\s+|recently\s+)?(married|divorced|widowed|separated|single|engaged)\b/i);
+        if (stated && stated[1].toLowerCase() !== 'engaged') {
+            const value = stated[1].charAt(0).toUpperCase() + stated[1].slice(1).toLowerCase();
+            return { value: value, confidence: S.STATED };
+        }
+        if (/\bcivil partner(ship)?\b/i.test(sentence)) return { value: 'Civil Partner', confidence: S.STATED };
+        if (/\bmy late (wife|husband)\b/i.test(sentence)) return { value: 'Widowed', confidence: S.LOOSE };
+        if (/\bmy (wife|husband)\b/i.test(sentence)) return { value: 'Married', confidence: S.LOOSE };
+        return null;
+    },
+
+    // "my son James, who is 12", "our daughter is 9"; "I have two children" adds the
+    // children not described one by one
+    findChildren: function(sentences) {
+        const S = this.CONFIDENCE;
+        const children = [];
+        let counted = null;
+        sentences.forEach(sentence => {
+            const count = sentence.match(/\b(?:I|we)(?:'ve| have|’ve)?\s+(?:got\s+)?(\d|[a-z]+)\s+(?:children|kids)\b/i);
+            const number = count ? (/^\d$/.test(count[1]) ? +count[1] : Verification.NUMBER_WORDS[count[1].toLowerCase()]) : null;
+            if (number > 0 && number <= 12 && !counted) counted = { number: number, sentence: sentence };
+
+            const mention = /\b(?:[Mm]y|[Oo]ur)\s+(?:eldest\s+|youngest\s+|older\s+|younger\s+)?(son|daughter)\b(?:,?\s+(?:called\s+|named\s+)?([A-Z][a-z]+))?([^.;]*)/g;
+            let match;
+            while ((match = mention.exec(sentence)) !== null) {
+                const child = { relationship: this.field(match[1] === 'son' ? 'Son' : 'Daughter', S.STATED, sentence) };
+                if (match[2] && !['Is', 'Has', 'Who', 'And'].includes(match[2])) child.firstName = this.field(match[2], S.STATED, sentence);
+                const age = (match[3] || '').match(/^,?[^,]{0,30}?\b(?:is|aged|who's|who is|turned|turning)\s+(\d{1,2})\b(?!\s*(?:%|k\b|thousand))/i);
+                if (age) child.age = this.field(+age[1], S.STATED, sentence);
+
+                // The same child mentioned again by name is one record
+                const known = child.firstName && children.find(c => c.firstName && c.firstName.value === child.firstName.value);
+                if (known) {
+                    Object.keys(child).forEach(key => { if (!known[key]) known[key] = child[key]; });
+                } else {
+                    children.push(child);
+                }
+            }
+        });
+
+        if (counted) {
+            const studying = /\b(?:at|in)\s+(?:school|university|uni|college|boarding school)\b/i.test(counted.sentence);
+            for (let i = children.length; i < counted.number; i++) {
+                const child = { notes: this.field(`Child ${i + 1} of ${counted.number}`, S.LOOSE, counted.sentence) };
+                if (studying) child.inEducation = this.field(true, S.STATED, counted.sentence);
+                children.push(child);
+            }
+        }
+        return children;
+    },
+
+    // A bare answer to the adviser asking about marital status: "Are you married?" - "No,
+    // divorced actually." Only the first sentence of the reply counts.
+    findStatusAnswer: function(parsed) {
+        const S = this.CONFIDENCE;
+        const R = TranscriptParser.ROLES;
+        const statuses = {
+            married: 'Married', divorced: 'Divorced', widowed: 'Widowed', separated: 'Separated', single: 'Single',
+            'civil partnership': 'Civil Partner', 'civil partner': 'Civil Partner', cohabiting: 'Cohabiting'
+        };
+        const pattern = new RegExp(`^(?:(?:yes|yeah|yep|no|nope)[,.!]?\\s+)?(?:I'm\\s+|I am\\s+|we're\\s+|we are\\s+)?(?:now\\s+)?(${Object.keys(statuses).join('|')})\\b`, 'i');
+
+        for (let i = 1; i < parsed.utterances.length; i++) {
+            const question = parsed.utterances[i - 1], answer = parsed.utterances[i];
+            if (question.role !== R.ADVISER || answer.role !== R.CLIENT) continue;
+            if (!/\b(married|marital|relationship status|single|partner|divorced)\b[^.]*\?/i.test(question.text)) continue;
+            const reply = answer.text.split(/(?<=[.!?])\s+/)[0].trim();
+            const match = reply.match(pattern);
+            if (match) return this.field(statuses[match[1].toLowerCase()], S.STATED, reply);
+        }
+        return null;
+    },
+
+    // ========== EMPLOYMENT ==========
+
+    findEmployment: function(sentences) {
+        const S = this.CONFIDENCE;
+        const employment = {};
+        sentences.forEach(sentence => {
+            const employer = sentence.match(/\b(?:I (?:still |currently |now )?work (?:here )?(?:for|at)|I(?:'m|’m| am) employed by|I(?:'m|’m| am|'ve been|’ve been| have been) working (?:here )?(?:for|at)|employed by)\s+((?:the\s+)?[A-Z][\w&'.-]*(?:\s+(?:[A-Z][\w&'.-]*|of|&))*)/);
+            if (employer && !employment.employer) {
+                employment.employer = this.field(employer[1].replace(/\s+(?:of|&)$/, '').replace(/\.$/, ''), S.STATED, sentence);
+                if (!employment.status) employment.status = this.field('Employed', S.LOOSE, sentence);
+            }
+            if (/\bself[- ]employed\b|\b(?:run|own) my own (?:business|company|firm)\b/i.test(sentence)) {
+                employment.status = this.field('Self-Employed', S.STATED, sentence);
+            } else if (/\bI(?:'m|’m| am| have| 've)\s+(?:now\s+|already\s+)?retired\b/i.test(sentence)) {
+                employment.status = this.field('Retired', S.STATED, sentence);
+            } else if (/\bI(?:'m|’m| am)\s+(?:currently\s+)?(?:unemployed|out of work|between jobs)\b/i.test(sentence)) {
+                employment.status = this.field('Unemployed', S.STATED, sentence);
+            }
+
+            // What the spouse earns is read by findPartnerEmployment
+            if (/\b(salary|earn|earning|earnings|income|paid|package|take home)\b/i.test(sentence) &&
+                !this.ASSET_PATTERNS.pensions.test(sentence) && !this.PARTNER.test(sentence) && !employment.monthlyGrossIncome) {
+                Object.assign(employment, this.readSalary(sentence));
+            }
+        });
+        return employment;
+    },
+
+    // Income fields from a sentence about pay: monthly when said per month, otherwise read
+    // as a yearly figure
+    readSalary: function(sentence) {
+        const S = this.CONFIDENCE;
+        const amount = this.findAmounts(sentence)[0];
+        if (!amount) return {};
+        const monthly = /\b(?:a|per|each|every)\s+month\b|\bmonthly\b|\bpcm\b/i.test(sentence);
+        const net = /\b(net|take home|after tax)\b/i.test(sentence);
+        const fields = {};
+        fields[net ? 'monthlyNetIncome' : 'monthlyGrossIncome'] = this.field(monthly ? amount.value : Math.round(amount.value / 12), monthly ? S.STATED : S.LOOSE, sentence);
+        if (amount.currency) fields.incomeCurrency = this.field(amount.currency, S.STATED, sentence);
+        return fields;
+    },
+
+    // ========== ASSETS ==========
+
+    // One item per sentence that names a holding and an amount, owned by `speaker` ('Client'
+    // or 'Spouse') unless the sentence says otherwise. A mortgage mentioned on its own goes
+    // to the property before it.
+    findAssets: function(sentences, speaker) {
+        const S = this.CONFIDENCE;
+        const assets = { pensions: [], properties: [], investments: [], bankAccounts: [] };
+
+        sentences.forEach(sentence => {
+            const section = Object.keys(this.ASSET_PATTERNS).find(key => this.ASSET_PATTERNS[key].test(sentence));
+            if (!section) return;
+            const amounts = this.findAmounts(sentence);
+            if (amounts.length === 0) return;
+
+            const item = {};
+            const owner = this.findOwner(section, sentence, speaker);
+            if (owner) item.owner = this.field(owner.value, owner.confidence, sentence);
+            // The first amount is the holding's own; later ones are often conversions ("maybe $215,000 USD")
+            if (amounts[0].currency) item.currency = this.field(amounts[0].currency, S.STATED, sentence);
+            const provider = sentence.match(/\b(?:with|at|through)\s+((?:[A-Z][\w&'-]*)(?:\s+[A-Z][\w&'-]*){0,2})/);
+
+            if (section === 'properties') {
+                amounts.forEach(amount => {
+                    const before = sentence.slice(Math.max(0, amount.index - 40), amount.index).toLowerCase();
+                    const key = /mortgage|owe|outstanding|left to pay|loan/.test(before) ? 'mortgageBalance'
+                        : /bought|paid|purchased/.test(before) ? 'purchasePrice' : 'currentValue';
+                    if (!item[key]) item[key] = this.field(amount.value, S.STATED, sentence);
+                });
+                const last = assets.properties[assets.properties.length - 1];
+                if (!item.currentValue && !item.purchasePrice && item.mortgageBalance && last && !last.mortgageBalance) {
+                    last.mortgageBalance = item.mortgageBalance;
+                    return;
+                }
+                const lender = sentence.match(/\bmortgage\s+(?:is\s+)?(?:with|from)\s+((?:[A-Z][\w&'-]*)(?:\s+[A-Z][\w&'-]*){0,2})/);
+                if (lender) item.mortgageProvider = this.field(lender[1], S.STATED, sentence);
+                assets.properties.push(item);
+                return;
+            }
+
+            const valueKey = section === 'bankAccounts' ? 'balance' : 'currentValue';
+            item[valueKey] = this.field(amounts[0].value, S.STATED, sentence);
+            const providerKey = section === 'bankAccounts' ? 'bank' : 'provider';
+            if (provider && !this.findCountry(provider[1])) item[providerKey] = this.field(provider[1], S.LOOSE, sentence);
+
+            const type = this.findAssetType(section, sentence);
+            if (type) item[section === 'bankAccounts' ? 'accountType' : 'type'] = this.field(type, S.STATED, sentence);
+            assets[section].push(item);
+        });
+
+        Object.keys(assets).forEach(section => { if (assets[section].length === 0) delete assets[section]; });
+        return assets;
+    },
+
+    // Who holds an item: "our" or "joint" (not for pensions), the partner's ("my wife's
+    // pension"), or the speaker's own ("my ISA"). { value, confidence } or null.
+    findOwner: function(section, sentence, speaker) {
+        const S = this.CONFIDENCE;
+        const other = speaker === 'Client' ? 'Spouse' : 'Client';
+        if (/\b(?:wife|husband|partner|spouse)(?:'s|’s)\b|\b(?:she|he) has\b/i.test(sentence)) return { value: other, confidence: S.STATED };
+        if (section !== 'pensions' && /\b(?:our|joint|jointly|we have|we own|we've got|we’ve got|both of us)\b/i.test(sentence)) {
+            return { value: 'Joint', confidence: S.STATED };
+        }
+        if (/\b(?:my|I have|I own|I've got|I’ve got)\b/i.test(sentence)) return { value: speaker, confidence: S.STATED };
+        return null;
+    },
+
+    findAssetType: function(section, sentence) {
+        const types = {
+            pensions: [[/\bsipp\b/i, 'SIPP'], [/\bqrops\b/i, 'QROPS'], [/\bsuper(annuation)?\b/i, 'Superannuation'],
+                       [/\b(final salary|defined benefit)\b/i, 'Defined Benefit'], [/\bdefined contribution\b/i, 'Defined Contribution']],
+            investments: [[/\bisas?\b/i, 'ISA'], [/\b(shares|stocks)\b/i, 'Stocks'], [/\bbonds?\b/i, 'Bond'], [/\bfunds\b/i, 'Funds']],
+            bankAccounts: [[/\b(fixed deposit|term deposit)\b/i, 'Fixed Deposit'], [/\bsavings\b/i, 'Savings'], [/\bcurrent account\b/i, 'Current']]
+        };
+        const match = (types[section] || []).find(([pattern]) => pattern.test(sentence));
+        return match ? match[1] : null;
+    },
+
+    // Money amounts in a sentence, in order: { value, currency (or null), index }. A bare
+    // number counts only with a currency, a scale ("300k", "1.5 million") or thousands
+    // separators, so ages and years are not read as amounts.
+    findAmounts: function(sentence) {
+        const amounts = [];
+        const pattern = /([£$€¥₹])?\s?(\d[\d,]*(?:\.\d+)?)(?:\s*(k|m|mil|bn|thousand|grand|million|billion)\b)?/gi;
+        let match;
+        while ((match = pattern.exec(sentence)) !== null) {
+            const digits = match[2].replace(/,+$/, '');
+            const scale = match[3] ? Verification.SCALES[match[3].toLowerCase()] : 1;
+            const after = this.findCurrency(sentence.slice(match.index + match[0].length, match.index + match[0].length + 25), true);
+            const symbol = match[1] === '$' ? this.findDollar(sentence.slice(Math.max(0, match.index - 4), match.index)) : this.CURRENCY_SYMBOLS[match[1]];
+            const currency = symbol || after;
+            if (!match[1] && !currency && !match[3] && !/,\d{3}/.test(digits)) continue;
+            amounts.push({ value: parseFloat(digits.replace(/,/g, '')) * scale, currency: currency, dollars: match[1] === '$', index: match.index });
+        }
+
+        // Amounts said in words ("two hundred and fifty thousand pounds")
+        if (amounts.length === 0) {
+            const value = Math.max(0, ...Verification.readNumbers(sentence.replace(/\d[\d,.]*/g, ' ')));
+            if (value >= 1000) amounts.push({ value: value, currency: this.findCurrency(sentence), index: 0 });
+        }
+        // A currency named elsewhere in the sentence, but never for bare dollars: in "$320,000,
+        // maybe $215,000 USD" the USD belongs to the second amount only
+        return amounts.map(amount => Object.assign(amount, {
+            currency: amount.currency || (amount.dollars || /\b(?:dollars?|bucks)\b/i.test(sentence) ? null : this.findCurrency(sentence))
+        }));
+    },
+
+    // Dollar currency from the text just before a "$": "AUD " or "A", "US"; null when bare
+    findDollar: function(before) {
+        const code = before.match(/\b([A-Z]{3})\s?$/);
+        if (code && FieldRegistry.CURRENCIES.includes(code[1])) return code[1];
+        const prefix = before.match(/(?:^|[^A-Za-z])([A-Z]{1,2})$/);
+        return prefix ? this.DOLLAR_PREFIXES[prefix[1]] || null : null;
+    },
+
+    // Currency named in the text: an ISO code, a symbol or a currency name. With `leading`
+    // only a code or name at the very start counts (the words right after an amount).
+    findCurrency: function(text, leading = false) {
+        const code = String(text).match(leading ? /^\s*(?:in\s+)?([A-Z]{3})\b/ : /\b([A-Z]{3})\b/);
+        if (code && FieldRegistry.CURRENCIES.includes(code[1])) return code[1];
+
+        const words = Extraction.normalizeText(text).replace(/^in /, '');
+        const found = this.CURRENCY_NAMES.find(([name]) => leading
+            ? words.startsWith(name)
+            : new RegExp(`\\b${name}s?\\b`).test(words));
+        if (found) return found[1];
+        if (leading) return null;
+
+        const symbol = Object.keys(this.CURRENCY_SYMBOLS).find(s => text.includes(s));
+        return symbol ? this.CURRENCY_SYMBOLS[symbol] : null;
+    },
+
+    formatDate: function(date) {
+        const year = date.year < 100 ? (date.year > new Date().getFullYear() % 100 ? 1900 : 2000) + date.year : date.year;
+        return `${year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.RuleExtraction = RuleExtraction;
+}
@@ -5,6 +5,11 @@
  */
 
 const ClientSchema = {
+    // Current shape of client records. Bump this and add a RECORD_MIGRATIONS
+    // step whenever stored clients need reshaping (new fields are backfilled
+    // automatically from createEmptyClient).
+    SCHEMA_VERSION: 2,
+
     // Generate a new client with all fields initialized
     createEmptyClient: function(id = null) {
         return {
@@ -14,10 +19,17 @@ const ClientSchema = {
             updatedAt: new Date().toISOString(),
             dataCompleteness: 0,
             version: 1,
+            schemaVersion: this.SCHEMA_VERSION,
 
             // Data source tracking
             dataSources: [], // Array of { transcriptId, date, fieldsUpdated }
 
+            // Field-level provenance, keyed by field path (see Provenance.getKey)
+            provenance: {}, // { [path]: { transcriptId, meetingDate, sourceQuote, confidence, approvedBy, approvalMode } }
+
+            // Dated values kept when a conflict is resolved with "record both" (see ClientHistory.recordValuePeriods)
+            valueHistory: {}, // { [path]: [{ value, effectiveFrom, effectiveTo, sourceQuote, recordedBy, recordedAt }] }
+
             // ========== PERSONAL DETAILS - CLIENT ==========
             personal: {
                 title: '',
@@ -228,6 +240,28 @@ const ClientSchema = {
                 notes: ''
             },
 
+            // ========== RETIREMENT PLANNING ASSUMPTIONS ==========
+            // Empty values fall back to goals/employment and RetirementProjection.DEFAULTS
+            retirementPlanning: {
+                valuationDate: '', // projection start date (also the FX rate date)
+                targetRetirementAge: null,
+                lifeExpectancy: null,
+                desiredAnnualIncome: null, // today's money
+                currency: '',
+                otherAnnualIncome: null,
+                statePensionAnnual: null,
+                statePensionAge: null,
+                additionalAnnualContribution: null,
+                contributionEndAge: null,
+                growthRate: null, // % per year
+                inflationRate: null, // % per year
+                charges: null, // % per year
+                withdrawalRate: null, // % per year
+                includeInvestments: null,
+                includeCash: null,
+                notes: ''
+            },
+
             // ========== VERSION HISTORY ==========
             history: [] // Array of { date, changes, source }
         };
@@ -391,6 +425,143 @@ const ClientSchema = {
         };
     },
 
+    // ========== FIELD PATHS ==========
+
+    // Path with array indices replaced by "[]" (e.g. "pensions[2].type" -> "pensions[].type")
+    getPathPattern: function(path) {
+        return path.replace(/\[\d+\]/g, '[]');
+    },
+
+    // Set a value at a path without type coercion, creating missing objects and
+    // schema-shaped array items along the way (e.g. "pensions[1].currentValue")
+    setValue: function(client, path, value) {
+        const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+        let current = client;
+
+        for (let i = 0; i < parts.length - 1; i++) {
+            const part = parts[i];
+            const nextIsIndex = /^\d+$/.test(parts[i + 1]);
+
+            if (current[part] === undefined || current[part] === null) {
+                current[part] = nextIsIndex ? [] : {};
+            }
+
+            if (nextIsIndex) {
+                const index = parseInt(parts[i + 1], 10);
+                while (current[part].length <= index) {
+                    current[part].push(this.createArrayItem(part) || {});
+                }
+            }
+
+            current = current[part];
+        }
+
+        current[parts[parts.length - 1]] = value;
+        return client;
+    },
+
+    // ========== RECORD MIGRATIONS ==========
+
+    // Numbered steps that upgrade a stored client from (version - 1) to version.
+    // Steps run in order and must tolerate partially-shaped records.
+    RECORD_MIGRATIONS: [
+        {
+            version: 2,
+            description: 'Flatten legacy employment.client/spouse and renamed personal fields',
+            migrate: function(client) {
+                const emp = client.employment;
+                if (emp && emp.client && typeof emp.client === 'object') {
+                    const legacySpouse = emp.spouse;
+                    client.employment = Object.assign({}, emp.client);
+                    if (legacySpouse && typeof legacySpouse === 'object') {
+                        client.spouseEmployment = Object.assign({}, client.spouseEmployment || {}, legacySpouse);
+                    }
+                }
+
+                ['personal', 'spouse'].forEach(section => {
+                    const person = client[section];
+                    if (!person) return;
+                    if (person.dob && !person.dateOfBirth) person.dateOfBirth = person.dob;
+                    if (person.healthDetails && !person.healthStatus) person.healthStatus = person.healthDetails;
+                    delete person.dob;
+                    delete person.healthDetails;
+                });
+
+                (client.children || []).forEach(child => {
+                    if (child.dob && !child.dateOfBirth) child.dateOfBirth = child.dob;
+                    delete child.dob;
+                });
+
+                return client;
+            }
+        }
+    ],
+
+    // Array sections and the factory used to backfill their items
+    ARRAY_ITEM_FACTORIES: {
+        children: 'createEmptyChild',
+        pensions: 'createEmptyPension',
+        properties: 'createEmptyProperty',
+        investments: 'createEmptyInvestment',
+        bankAccounts: 'createEmptyBankAccount',
+        debts: 'createEmptyDebt',
+        protection: 'createEmptyProtection'
+    },
+
+    // Create an empty item for an array section (e.g. 'pensions'), or null if unknown
+    createArrayItem: function(section) {
+        const factory = this.ARRAY_ITEM_FACTORIES[section];
+        return factory ? this[factory]() : null;
+    },
+
+    // Upgrade a client produced by an older createEmptyClient to the current shape.
+    // Runs pending RECORD_MIGRATIONS, then fills any missing fields with defaults.
+    // Existing values are never overwritten. Mutates and returns the client.
+    migrateClient: function(client) {
+        if (!client || typeof client !== 'object') return client;
+
+        const fromVersion = client.schemaVersion || 1;
+        if (fromVersion < this.SCHEMA_VERSION) {
+            this.RECORD_MIGRATIONS
+                .filter(step => step.version > fromVersion && step.version <= this.SCHEMA_VERSION)
+                .sort((a, b) => a.version - b.version)
+                .forEach(step => {
+                    client = step.migrate(client) || client;
+                });
+        }
+
+        const template = this.createEmptyClient(client.id);
+        this.fillMissingFields(client, template);
+
+        for (const section in this.ARRAY_ITEM_FACTORIES) {
+            if (!Array.isArray(client[section])) continue;
+            const factory = this.ARRAY_ITEM_FACTORIES[section];
+            client[section].forEach(item => {
+                if (item && typeof item === 'object') {
+                    const defaults = this[factory]();
+                    this.fillMissingFields(item, defaults);
+                }
+            });
+        }
+
+        client.schemaVersion = this.SCHEMA_VERSION;
+        return client;
+    },
+
+    // Recursively copy keys from defaults that are absent on target
+    fillMissingFields: function(target, defaults) {
+        for (const key in defaults) {
+            const defaultValue = defaults[key];
+            if (!(key in target) || target[key] === undefined) {
+                target[key] = JSON.parse(JSON.stringify(defaultValue));
+            } else if (defaultValue && typeof defaultValue === 'object' && !Array.isArray(defaultValue) &&
+                       target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+                this.fillMissingFields(target[key], defaultValue);
+            }
+        }
+        return target;
+    },
+
     // Calculate data completeness percentage
     calculateCompleteness: function(client) {
         const weights = {
@@ -458,21 +629,9 @@ const ClientSchema = {
         return Math.round(totalScore);
     },
 
-    // Validate client data
+    // Validate client data (see Validation for the individual checks)
     validateClient: function(client) {
-        const errors = [];
-
-        if (!client.personal.firstName) {
-            errors.push('First name is required');
-        }
-        if (!client.personal.lastName) {
-            errors.push('Last name is required');
-        }
-
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        return Validation.validateClient(client);
     }
 };
 
@@ -0,0 +1,196 @@
+/**
+ * Adviser AI - Transcript Import
+ * Turns .txt, WebVTT, SRT and Word (.docx) uploads into plain transcript text
+ * in the "[hh:mm:ss] Speaker: text" shape the TranscriptParser reads
+ */
+
+const TranscriptImport = {
+    EXTENSIONS: ['.txt', '.vtt', '.srt', '.docx'],
+
+    // For <input accept="..."> and user-facing messages
+    ACCEPT: '.txt,.vtt,.srt,.docx',
+
+    getExtension: function(fileName) {
+        const match = String(fileName || '').toLowerCase().match(/\.[a-z0-9]+$/);
+        return match ? match[0] : '';
+    },
+
+    isSupported: function(fileName) {
+        return this.EXTENSIONS.includes(this.getExtension(fileName));
+    },
+
+    // Read an uploaded file and return its normalized transcript text
+    readFile: async function(file) {
+        const extension = this.getExtension(file.name);
+        if (!this.isSupported(file.name)) {
+            throw new Error(`Unsupported file type "${extension || file.name}" (use ${this.EXTENSIONS.join(', ')})`);
+        }
+
+        if (extension === '.docx') {
+            return this.fromDocx(await file.arrayBuffer());
+        }
+
+        const text = await App.readFileAsText(file);
+        if (extension === '.vtt') return this.fromVtt(text);
+        if (extension === '.srt') return this.fromSrt(text);
+        return text;
+    },
+
+    // ========== CAPTIONS ==========
+
+    // WebVTT: cues with optional <v Speaker> voice tags or "Speaker: " prefixes
+    fromVtt: function(text) {
+        const blocks = String(text).replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+        const cues = [];
+
+        blocks.forEach(block => {
+            const lines = block.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+            const timingIndex = lines.findIndex(l => l.includes('-->'));
+            if (timingIndex === -1) return; // WEBVTT header, NOTE, STYLE and REGION blocks
+
+            const start = lines[timingIndex].split('-->')[0].trim();
+            let speaker = null;
+            const body = lines.slice(timingIndex + 1).map(line => {
+                const voice = line.match(/<v(?:\.[\w.-]+)?\s+([^>]+)>/);
+                if (voice && !speaker) speaker = voice[1].trim();
+                return this.stripTags(line);
+            }).join(' ');
+
+            cues.push(this.splitSpeaker(start, speaker, body));
+        });
+
+        return this.joinCues(cues);
+    },
+
+    // SRT: numbered cues with "00:00:01,000 --> 00:00:04,000" timings
+    fromSrt: function(text) {
+        const blocks = String(text).replace(/^\uFEFF/, '').split(/\r?\n\s*\r?\n/);
+        const cues = [];
+
+        blocks.forEach(block => {
+            const lines = block.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+            const timingIndex = lines.findIndex(l => l.includes('-->'));
+            if (timingIndex === -1) return;
+
+            const start = lines[timingIndex].split('-->')[0].trim();
+            const body = lines.slice(timingIndex + 1).map(line => this.stripTags(line)).join(' ');
+            cues.push(this.splitSpeaker(start, null, body));
+        });
+
+        return this.joinCues(cues);
+    },
+
+    // Pull a "Name: ", "[Name] " or ">> Name: " prefix off the cue text when there is no voice tag
+    splitSpeaker: function(start, speaker, body) {
+        let text = body.trim();
+        if (!speaker) {
+            const prefix = text.match(/^(?:>>\s*|-\s*)?(?:\[([^\]]+)\]|(\p{Lu}[\p{L}\p{M}\p{N}_'.-]*(?:\s+\p{Lu}[\p{L}\p{M}\p{N}_'.-]*){0,3}|Speaker\s*\d+)\s*:)\s*(.*)$/u);
+            if (prefix) {
+                speaker = prefix[1] || prefix[2];
+                text = prefix[3];
+            }
+        }
+        return { timestamp: this.formatTimestamp(start), speaker: speaker ? this.normalizeSpeaker(speaker) : null, text: text };
+    },
+
+    // Speaker labels as the TranscriptParser reads them: "Simon Shaw (Guest)" -> "Simon Shaw",
+    // "simon.shaw@neom.com" -> "Simon Shaw", "paul borg" and "PAUL BORG" -> "Paul Borg"
+    normalizeSpeaker: function(label) {
+        let name = String(label).replace(/\s*\((?:guest|external|unverified|organi[sz]er)\)\s*$/i, '');
+        const email = name.match(/^([^@\s]+)@[^@\s]+$/);
+        if (email) name = email[1].replace(/[._-]+/g, ' ');
+        name = name.replace(/\s+/g, ' ').trim();
+        if (name === name.toUpperCase()) name = name.toLowerCase();
+        return name.replace(/(^|[\s'-])(\p{Ll})/gu, (match, before, letter) => before + letter.toUpperCase());
+    },
+
+    // One transcript line per speaker turn: consecutive cues from the same speaker are merged
+    joinCues: function(cues) {
+        const turns = [];
+        cues.forEach(cue => {
+            if (!cue.text) return;
+            const last = turns[turns.length - 1];
+            if (last && cue.speaker && last.speaker === cue.speaker) {
+                last.text += ` ${cue.text}`;
+            } else if (last && !cue.speaker && !last.speaker) {
+                last.text += ` ${cue.text}`;
+            } else {
+                turns.push(Object.assign({}, cue));
+            }
+        });
+
+        // Unlabelled turns stay as plain text: a bare "[00:00:05] Yes" would read as a speaker line
+        return turns.map(turn => turn.speaker
+            ? `[${turn.timestamp}] ${turn.speaker}: ${turn.text}`
+            : turn.text).join('\n\n');
+    },
+
+    // "00:01:02.500" / "00:01:02,500" / "01:02.500" -> "00:01:02"
+    formatTimestamp: function(value) {
+        const parts = String(value).split(/[.,]/)[0].split(':');
+        while (parts.length < 3) parts.unshift('00');
+        return parts.map(p => p.padStart(2, '0')).join(':');
+    },
+
+    // Remove caption markup (<v>, <c>, <b>, <00:00:01.000> karaoke timings) and entities
+    stripTags: function(line) {
+        return line
+            .replace(/<[^>]*>/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .trim();
+    },
+
+    // ========== WORD ==========
+
+    // Body text of a .docx, one line per paragraph (tables read row by row)
+    fromDocx: async function(arrayBuffer) {
+        const zip = await JSZip.loadAsync(arrayBuffer);
+        const documentFile = zip.file('word/document.xml');
+        if (!documentFile) throw new Error('Not a Word document (word/document.xml missing)');
+
+        const xml = await documentFile.async('string');
+        const xmlDoc = new DOMParser().parseFromString(xml, 'application/xml');
+        const ns = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+        const body = xmlDoc.getElementsByTagNameNS(ns, 'body')[0];
+        if (!body) return '';
+
+        const paragraphText = (paragraph) => {
+            let text = '';
+            const walk = (node) => {
+                Array.from(node.childNodes).forEach(child => {
+                    if (child.namespaceURI !== ns) return;
+                    if (child.localName === 't') text += child.textContent;
+                    else if (child.localName === 'tab') text += '\t';
+                    else if (child.localName === 'br' || child.localName === 'cr') text += '\n';
+                    else if (child.localName !== 'pPr' && child.localName !== 'rPr') walk(child);
+                });
+            };
+            walk(paragraph);
+            return text;
+        };
+
+        const lines = [];
+        Array.from(body.childNodes).forEach(node => {
+            if (node.namespaceURI !== ns) return;
+            if (node.localName === 'p') {
+                lines.push(paragraphText(node));
+            } else if (node.localName === 'tbl') {
+                Array.from(node.getElementsByTagNameNS(ns, 'tr')).forEach(row => {
+                    const cells = Array.from(row.getElementsByTagNameNS(ns, 'tc'))
+                        .map(cell => Array.from(cell.getElementsByTagNameNS(ns, 'p')).map(paragraphText).join(' ').trim());
+                    lines.push(cells.join('\t'));
+                });
+            }
+        });
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.TranscriptImport = TranscriptImport;
+}
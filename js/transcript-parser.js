@@ -0,0 +1,460 @@
+/**
+ * Adviser AI - Transcript Parser
+ * Deterministic parsing of Teams, Zoom and Otter text exports into meeting
+ * metadata, participants with adviser/client roles and line-numbered utterances
+ */
+
+const TranscriptParser = {
+    FORMATS: {
+        TEAMS: 'teams',
+        ZOOM: 'zoom',
+        OTTER: 'otter',
+        PLAIN: 'plain'
+    },
+
+    ROLES: {
+        ADVISER: 'adviser',
+        CLIENT: 'client',
+        SPOUSE: 'spouse',
+        OTHER: 'other'
+    },
+
+    // "Key: value" header lines that are metadata, never speakers
+    METADATA_KEYS: {
+        date: 'date',
+        'meeting date': 'date',
+        recorded: 'date',
+        duration: 'duration',
+        length: 'duration',
+        attendees: 'participants',
+        participants: 'participants',
+        title: 'title',
+        subject: 'title',
+        time: 'time',
+        location: 'location'
+    },
+
+    // Speaker labels that state the role outright
+    ROLE_LABELS: {
+        adviser: 'adviser',
+        advisor: 'adviser',
+        planner: 'adviser',
+        client: 'client',
+        customer: 'client',
+        spouse: 'spouse',
+        wife: 'spouse',
+        husband: 'spouse',
+        partner: 'spouse'
+    },
+
+    MONTHS: ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+        'august', 'september', 'october', 'november', 'december'],
+
+    // Building blocks for the line patterns below
+    // Names in any script ("José Núñez"); the line patterns use the "u" flag
+    SPEAKER: "\\p{Lu}[\\p{L}\\p{M}\\p{N}_'.\\-]*(?:\\s+\\p{Lu}[\\p{L}\\p{M}\\p{N}_'.\\-]*){0,3}|Speaker\\s*\\d+|Unknown Speaker",
+    TIMESTAMP: '\\d{1,2}:\\d{2}(?::\\d{2})?(?:\\.\\d+)?',
+    MAX_WORDS_PER_SECOND: 5, // faster than anyone speaks: "mm:ss" stamps must be clock times
+
+    // Parse a transcript export. Returns
+    // { format, title, meetingDate, duration, participants: [{ name, role, utterances, words }],
+    //   adviser, client, spouse, utterances: [{ index, speaker, role, text, timestamp, line, endLine }], lineCount }
+    // Line numbers are 1-based; timestamps are seconds from the export (or null).
+    parse: function(text) {
+        const lines = String(text || '').split(/\r?\n/);
+        const S = this.SPEAKER, T = this.TIMESTAMP;
+        const patterns = {
+            // "Paul Borg: text" or "[00:01:02] Paul Borg: text" / "00:01:02 Paul Borg: text"
+            inline: new RegExp(`^(?:\\[?(${T})\\]?\\s+)?(${S})\\s*:\\s+(.+)$`, 'u'),
+            // Teams copy: "[10:02] Paul Borg" or "0:03 Paul Borg", text on the following lines
+            timeFirst: new RegExp(`^\\[?(${T})\\]?\\s+(${S})$`, 'u'),
+            // Otter: "Paul Borg  0:05"
+            nameFirst: new RegExp(`^(${S})\\s+(${T})$`, 'u'),
+            // Zoom: "[Paul Borg] 10:02:15"
+            bracketed: new RegExp(`^\\[(${S})\\]\\s+(${T})$`, 'u')
+        };
+
+        const result = {
+            format: this.FORMATS.PLAIN,
+            title: '',
+            meetingDate: null,
+            duration: null,
+            participants: [],
+            adviser: null,
+            client: null,
+            spouse: null,
+            utterances: [],
+            lineCount: lines.length
+        };
+        const declared = [];
+        const styles = {};
+
+        // First pass: classify lines. Speaker candidates are confirmed in the second pass.
+        const parsed = lines.map((raw, i) => {
+            const line = raw.trim();
+            if (!line) return { kind: 'blank' };
+
+            const meta = line.match(/^([A-Za-z ]{3,20})\s*:\s*(.+)$/);
+            if (meta && this.METADATA_KEYS[meta[1].trim().toLowerCase()]) {
+                return { kind: 'meta', key: this.METADATA_KEYS[meta[1].trim().toLowerCase()], value: meta[2].trim() };
+            }
+
+            let m;
+            if ((m = line.match(patterns.bracketed))) {
+                return { kind: 'header', style: 'bracketed', speaker: m[1], stamp: m[2], timestamp: this.parseTimestamp(m[2]) };
+            }
+            if ((m = line.match(patterns.timeFirst))) {
+                return { kind: 'header', style: 'timeFirst', speaker: m[2], stamp: m[1], timestamp: this.parseTimestamp(m[1]) };
+            }
+            if ((m = line.match(patterns.nameFirst))) {
+                return { kind: 'header', style: 'nameFirst', speaker: m[1], stamp: m[2], timestamp: this.parseTimestamp(m[2]) };
+            }
+            if ((m = line.match(patterns.inline))) {
+                return { kind: 'inline', speaker: m[2], stamp: m[1] || null, timestamp: m[1] ? this.parseTimestamp(m[1]) : null, text: m[3] };
+            }
+            if (/^\[[^\]]*\]$/.test(line)) return { kind: 'marker' }; // "[Meeting Transcript]"
+            return { kind: 'text', text: line };
+        });
+
+        // Metadata from the header lines
+        parsed.forEach(p => {
+            if (p.kind !== 'meta') return;
+            if (p.key === 'date' && !result.meetingDate) result.meetingDate = this.parseDate(p.value);
+            if (p.key === 'duration' && result.duration === null) result.duration = this.parseDuration(p.value);
+            if (p.key === 'title' && !result.title) result.title = p.value;
+            if (p.key === 'participants') declared.push(...this.splitNames(p.value));
+        });
+
+        // A timestamped line ("[00:00:09] Jane: ...", as caption imports write) is always a speaker.
+        // An untimed label must be declared, a role, multi-word, or used at least twice;
+        // otherwise "Important: ..." would become a speaker
+        const counts = {};
+        parsed.forEach(p => {
+            if (p.speaker) counts[p.speaker] = (counts[p.speaker] || 0) + 1;
+        });
+        const isSpeaker = (p) => p.kind === 'header' || Boolean(p.stamp) || declared.includes(p.speaker) || /\s/.test(p.speaker)
+            || Boolean(this.ROLE_LABELS[p.speaker.toLowerCase()]) || counts[p.speaker] >= 2;
+
+        // Second pass: build utterances, folding continuation lines into the current one
+        let current = null;
+        let firstUtteranceLine = null;
+        parsed.forEach((p, i) => {
+            const lineNumber = i + 1;
+            if ((p.kind === 'header' || p.kind === 'inline') && isSpeaker(p)) {
+                current = {
+                    index: result.utterances.length,
+                    speaker: p.speaker,
+                    role: this.ROLES.OTHER,
+                    text: p.kind === 'inline' ? p.text : '',
+                    timestamp: p.timestamp,
+                    stamp: p.stamp,
+                    line: lineNumber,
+                    endLine: lineNumber
+                };
+                result.utterances.push(current);
+                if (firstUtteranceLine === null) firstUtteranceLine = lineNumber;
+                if (p.kind === 'header') styles[p.style] = (styles[p.style] || 0) + 1;
+                else styles.inline = (styles.inline || 0) + 1;
+                return;
+            }
+
+            const content = p.kind === 'text' ? p.text
+                : p.kind === 'inline' ? lines[i].trim() : null;
+            if (content === null) return;
+
+            if (current) {
+                current.text = current.text ? `${current.text} ${content}` : content;
+                current.endLine = lineNumber;
+            } else if (!result.title) {
+                // First free-text line above the conversation is the meeting title
+                result.title = content;
+            }
+        });
+        result.utterances = result.utterances.filter(u => u.text);
+        this.readClockTimes(result.utterances);
+        result.utterances.forEach((u, i) => {
+            u.index = i;
+            delete u.stamp;
+        });
+
+        // Title lines like "Teams Meeting with Paul Borg & Simon Shaw [NEOM] ..." also name people
+        const titleNames = result.title.match(/meeting with\s+(.+?)(?:\s*[\[(|-]|$)/i);
+        if (titleNames) declared.push(...this.splitNames(titleNames[1]));
+
+        // Header dates written without a "Date:" key
+        if (!result.meetingDate) {
+            const header = lines.slice(0, firstUtteranceLine ? firstUtteranceLine - 1 : 10).join(' ');
+            result.meetingDate = this.parseDate(header);
+        }
+
+        // Duration from the spread of timestamps when the export does not state it
+        const stamps = result.utterances.map(u => u.timestamp).filter(t => t !== null);
+        if (result.duration === null && stamps.length > 1) {
+            result.duration = Math.max(1, Math.round((Math.max(...stamps) - Math.min(...stamps)) / 60));
+        }
+
+        result.format = this.detectFormat(text, styles);
+        result.participants = this.buildParticipants(result.utterances, declared);
+        this.assignRoles(result);
+
+        return result;
+    },
+
+    // Which export produced the text, from explicit branding first, then line style
+    detectFormat: function(text, styles) {
+        const head = String(text || '').slice(0, 500);
+        if (/microsoft teams|teams meeting/i.test(head)) return this.FORMATS.TEAMS;
+        if (/\bzoom\b/i.test(head)) return this.FORMATS.ZOOM;
+        if (/otter\.ai|\botter\b/i.test(head)) return this.FORMATS.OTTER;
+        if (styles.bracketed) return this.FORMATS.ZOOM;
+        if (styles.nameFirst) return this.FORMATS.OTTER;
+        if (styles.timeFirst) return this.FORMATS.TEAMS;
+        return this.FORMATS.PLAIN;
+    },
+
+    // Everyone who spoke, plus anyone declared in the header who did not
+    buildParticipants: function(utterances, declared) {
+        const byName = {};
+        const participants = [];
+        const add = (name) => {
+            if (!byName[name]) {
+                byName[name] = { name: name, role: this.ROLES.OTHER, utterances: 0, words: 0, questions: 0 };
+                participants.push(byName[name]);
+            }
+            return byName[name];
+        };
+
+        utterances.forEach(u => {
+            const p = add(u.speaker);
+            p.utterances++;
+            p.words += u.text.split(/\s+/).filter(Boolean).length;
+            if (/\?\s*$/.test(u.text)) p.questions++;
+        });
+        declared.forEach(name => {
+            const known = participants.find(p => this.sameName(p.name, name));
+            if (!known) add(name);
+        });
+
+        return participants;
+    },
+
+    // Adviser: labelled as such, or the Settings user, or whoever asks the most questions
+    // (with a nudge to the first speaker). Client: the other speaker with the most words.
+    // Spouse: labelled as such, sharing the client's surname, or introduced by the client as
+    // "my wife Jane" (first name of the speaker).
+    assignRoles: function(result) {
+        const speakers = result.participants.filter(p => p.utterances > 0);
+        if (speakers.length === 0) return;
+
+        const labelled = (p, role) => this.ROLE_LABELS[p.name.toLowerCase()] === role;
+        const user = typeof Provenance !== 'undefined' ? Provenance.getCurrentUser() : '';
+        const firstSpeaker = result.utterances[0]?.speaker;
+
+        let adviser = speakers.find(p => labelled(p, this.ROLES.ADVISER))
+            || speakers.find(p => user && this.sameName(p.name, user));
+        if (!adviser && speakers.length > 1) {
+            const score = (p) => p.questions / p.utterances + (p.name === firstSpeaker ? 0.25 : 0);
+            adviser = speakers.slice().sort((a, b) => score(b) - score(a))[0];
+        }
+
+        const others = speakers.filter(p => p !== adviser);
+        const client = others.find(p => labelled(p, this.ROLES.CLIENT))
+            || others.filter(p => !labelled(p, this.ROLES.SPOUSE)).sort((a, b) => b.words - a.words)[0];
+
+        // Anyone else (a paraplanner, an interpreter) stays "other" and is never the spouse
+        const rest = others.filter(p => p !== client);
+        const surname = (name) => name.trim().split(/\s+/).slice(1).join(' ').toLowerCase();
+        const firstName = (name) => name.trim().split(/\s+/)[0];
+        const named = (p) => client && result.utterances.some(u => u.speaker === client.name &&
+            new RegExp(`\\bmy (?:wife|husband|partner|spouse),?\\s+${firstName(p.name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?!\\p{L})`, 'iu').test(u.text));
+        const spouse = rest.find(p => labelled(p, this.ROLES.SPOUSE))
+            || (client && surname(client.name) ? rest.find(p => surname(p.name) === surname(client.name)) : null)
+            || rest.find(named);
+
+        if (adviser) adviser.role = this.ROLES.ADVISER;
+        if (client) client.role = this.ROLES.CLIENT;
+        if (spouse) spouse.role = this.ROLES.SPOUSE;
+        result.adviser = adviser ? adviser.name : null;
+        result.client = client ? client.name : null;
+        result.spouse = spouse ? spouse.name : null;
+
+        const roles = {};
+        result.participants.forEach(p => { roles[p.name] = p.role; });
+        result.utterances.forEach(u => { u.role = roles[u.speaker] || this.ROLES.OTHER; });
+    },
+
+    // ========== FIELD PARSERS ==========
+
+    // "00:01:02", "1:02", "10:02:15.500" -> seconds
+    parseTimestamp: function(value) {
+        const parts = String(value).split(':').map(Number);
+        if (parts.some(isNaN)) return null;
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    },
+
+    // Exports that stamp the wall-clock time write "[10:02]" for 10:02 am, not 10 minutes 2
+    // seconds in. Two-part stamps are re-read as hh:mm, in place, when the mm:ss reading is
+    // impossible: a run that goes backwards (a 12-hour clock passing 12:59), or far more
+    // words than could be spoken between the first and last stamp.
+    readClockTimes: function(utterances) {
+        const stamped = utterances.filter(u => u.stamp);
+        if (stamped.length < 2 || !stamped.every(u => /^\d{1,2}:\d{2}$/.test(u.stamp))) return;
+        if (stamped.some(u => Number(u.stamp.split(':')[0]) > 23)) return;
+
+        const backwards = stamped.some((u, i) => i > 0 && u.timestamp < stamped[i - 1].timestamp);
+        const words = utterances.reduce((total, u) => total + u.text.split(/\s+/).length, 0);
+        const spread = stamped[stamped.length - 1].timestamp - stamped[0].timestamp;
+        if (!backwards && words <= this.MAX_WORDS_PER_SECOND * Math.max(spread, 1)) return;
+
+        // "12:58" read as mm:ss is 12 * 60 + 58, i.e. minutes of the day as hh:mm
+        const minutes = stamped.map(u => u.timestamp);
+        let offset = 0;
+        stamped.forEach((u, i) => {
+            if (i > 0 && minutes[i] < minutes[i - 1]) offset += 12 * 60;
+            u.timestamp = (minutes[i] + offset) * 60;
+        });
+    },
+
+    // First recognisable date in the text -> YYYY-MM-DD, or null.
+    // Numeric dates are read day-first unless that is impossible.
+    parseDate: function(text) {
+        if (!text) return null;
+        const pad = (n) => String(n).padStart(2, '0');
+        const build = (year, month, day) => {
+            const iso = `${year}-${pad(month)}-${pad(day)}`;
+            return Validation.isRealDate(iso) ? iso : null;
+        };
+        const monthIndex = (name) => this.MONTHS.findIndex(m => m.startsWith(name.toLowerCase().slice(0, 3))) + 1;
+        const monthNames = '(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+        let m;
+
+        if ((m = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/))) return build(m[1], m[2], m[3]);
+        // "January 16, 2026" / "Jan 16 2026"
+        if ((m = text.match(new RegExp(`\\b${monthNames}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'i')))) {
+            return build(m[3], monthIndex(m[1]), m[2]);
+        }
+        // "16 January 2026" / "16th Jan, 2026"
+        if ((m = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${monthNames},?\\s+(\\d{4})`, 'i')))) {
+            return build(m[3], monthIndex(m[2]), m[1]);
+        }
+        // "16/01/2026", "01-16-2026", "16.01.26"
+        if ((m = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/))) {
+            const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+            const [a, b] = [Number(m[1]), Number(m[2])];
+            return a > 12 || b <= 12 ? build(year, b, a) : build(year, a, b);
+        }
+        return null;
+    },
+
+    // "45 minutes", "1h 5m", "1 hour 20 mins", "01:05:00" -> minutes, or null
+    parseDuration: function(text) {
+        const value = String(text || '').toLowerCase();
+        if (/^\d{1,2}:\d{2}(:\d{2})?$/.test(value.trim())) {
+            const parts = value.trim().split(':').map(Number);
+            return parts.length === 3 ? parts[0] * 60 + parts[1] + Math.round(parts[2] / 60) : parts[0] * 60 + parts[1];
+        }
+        const hours = value.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+        const minutes = value.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+        if (!hours && !minutes) return null;
+        return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0));
+    },
+
+    // "Paul Borg & Simon Shaw, Jane Doe and Bob" -> names
+    splitNames: function(text) {
+        return String(text || '')
+            .split(/\s*(?:,|;|&|\band\b)\s*/i)
+            .map(name => name.replace(/\(.*?\)/g, '').trim())
+            .filter(name => /^\p{Lu}[\p{L}\p{M}\p{N}_'.-]*(?:\s+\p{Lu}[\p{L}\p{M}\p{N}_'.-]*){0,3}$/u.test(name));
+    },
+
+    // Case-insensitive match that also accepts a first name against a full name
+    sameName: function(a, b) {
+        const x = String(a || '').trim().toLowerCase();
+        const y = String(b || '').trim().toLowerCase();
+        if (!x || !y) return false;
+        return x === y || x.split(/\s+/)[0] === y || y.split(/\s+/)[0] === x;
+    },
+
+    // ========== CONSUMERS ==========
+
+    // Client name for batch matching: { firstName, lastName, meetingDate } or null
+    getClientName: function(parsed) {
+        const name = this.getPersonName(parsed.client);
+        return name ? Object.assign(name, { meetingDate: parsed.meetingDate }) : null;
+    },
+
+    // { firstName, lastName } from a speaker label that is a full name (not "Speaker 2" or "Wife")
+    getPersonName: function(name) {
+        if (!name || /^(speaker\s*\d+|unknown speaker)$/i.test(name) || this.ROLE_LABELS[name.toLowerCase()]) return null;
+
+        const parts = name.split(/\s+/);
+        if (parts.length < 2) return null;
+        return { firstName: parts[0], lastName: parts.slice(1).join(' ') };
+    },
+
+    // Meeting metadata stored on transcript records and client data sources
+    getMeetingInfo: function(parsed) {
+        return {
+            format: parsed.format,
+            title: parsed.title,
+            meetingDate: parsed.meetingDate,
+            duration: parsed.duration,
+            adviser: parsed.adviser,
+            client: parsed.client,
+            spouse: parsed.spouse,
+            participants: parsed.participants.map(p => ({ name: p.name, role: p.role }))
+        };
+    },
+
+    // Transcript text for the extraction prompt: a meeting header, then one line per
+    // utterance tagged with its line number, speaker and role. Falls back to the raw text
+    // when no speakers were recognised. Pass `utterances` to format part of the meeting.
+    formatForPrompt: function(parsed, text, utterances = parsed.utterances) {
+        if (parsed.utterances.length === 0) return text;
+
+        const header = [
+            parsed.title ? `Title: ${parsed.title}` : null,
+            parsed.meetingDate ? `Meeting date: ${parsed.meetingDate}` : null,
+            parsed.duration ? `Duration: ${parsed.duration} minutes` : null,
+            `Participants: ${parsed.participants.map(p => `${p.name} (${p.role})`).join(', ')}`
+        ].filter(Boolean);
+
+        const body = utterances.map(u => `[L${u.line}] ${u.speaker} (${u.role}): ${u.text}`);
+        return `${header.join('\n')}\n\n${body.join('\n')}`;
+    },
+
+    // Utterance containing a source quote (whole quote first, then best word overlap), or null
+    locateQuote: function(parsed, quote) {
+        if (!quote || parsed.utterances.length === 0) return null;
+
+        const normalize = (str) => String(str).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const target = normalize(quote);
+        if (!target) return null;
+
+        const exact = parsed.utterances.find(u => normalize(u.text).includes(target));
+        if (exact) return exact;
+
+        const quoteWords = new Set(target.split(' ').filter(w => w.length > 2));
+        if (quoteWords.size === 0) return null;
+
+        let best = null;
+        let bestScore = 0;
+        parsed.utterances.forEach(u => {
+            const words = new Set(normalize(u.text).split(' '));
+            let shared = 0;
+            quoteWords.forEach(w => { if (words.has(w)) shared++; });
+            const score = shared / quoteWords.size;
+            if (score > bestScore) {
+                bestScore = score;
+                best = u;
+            }
+        });
+
+        return bestScore >= 0.5 ? best : null;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.TranscriptParser = TranscriptParser;
+}
@@ -0,0 +1,191 @@
+/**
+ * Adviser AI - Client Validation
+ * Per-field errors and warnings: field formats from the FieldRegistry plus
+ * cross-field checks (DOB vs age, mortgage vs property value, retirement age)
+ */
+
+const Validation = {
+    SEVERITY: {
+        ERROR: 'error',
+        WARNING: 'warning'
+    },
+
+    // Active ISO 4217 currency codes
+    ISO_CURRENCIES: [
+        'AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN',
+        'BHD', 'BIF', 'BMD', 'BND', 'BOB', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHF',
+        'CLP', 'CNY', 'COP', 'CRC', 'CUP', 'CVE', 'CZK', 'DJF', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB',
+        'EUR', 'FJD', 'FKP', 'GBP', 'GEL', 'GHS', 'GIP', 'GMD', 'GNF', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG',
+        'HUF', 'IDR', 'ILS', 'INR', 'IQD', 'IRR', 'ISK', 'JMD', 'JOD', 'JPY', 'KES', 'KGS', 'KHR', 'KMF',
+        'KPW', 'KRW', 'KWD', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'LYD', 'MAD', 'MDL', 'MGA',
+        'MKD', 'MMK', 'MNT', 'MOP', 'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO',
+        'NOK', 'NPR', 'NZD', 'OMR', 'PAB', 'PEN', 'PGK', 'PHP', 'PKR', 'PLN', 'PYG', 'QAR', 'RON', 'RSD',
+        'RUB', 'RWF', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE', 'SOS', 'SRD', 'SSP', 'STN',
+        'SVC', 'SYP', 'SZL', 'THB', 'TJS', 'TMT', 'TND', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS', 'UAH', 'UGX',
+        'USD', 'UYU', 'UZS', 'VES', 'VND', 'VUV', 'WST', 'XAF', 'XCD', 'XOF', 'XPF', 'YER', 'ZAR', 'ZMW',
+        'ZWL'
+    ],
+
+    // UK National Insurance number (spaces ignored)
+    NI_NUMBER_PATTERN: /^(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/,
+
+    // Validate a client record.
+    // Returns { isValid, errors: [message], warnings: [message], issues: [{ path, label, severity, message }] }
+    validateClient: function(client) {
+        const issues = [];
+        const add = (path, severity, message) => {
+            issues.push({ path: path, label: this.describePath(path), severity: severity, message: message });
+        };
+
+        if (!client.personal?.firstName) add('personal.firstName', this.SEVERITY.ERROR, 'is required');
+        if (!client.personal?.lastName) add('personal.lastName', this.SEVERITY.ERROR, 'is required');
+
+        // Field-level checks
+        const fields = ClientHistory.flatten(client);
+        for (const path in fields) {
+            this.validateField(path, fields[path]).forEach(issue => add(path, issue.severity, issue.message));
+        }
+
+        // Cross-field checks
+        this.checkPeople(client, add);
+        this.checkProperties(client, add);
+        this.checkRetirement(client, add);
+
+        const errors = issues.filter(i => i.severity === this.SEVERITY.ERROR);
+        const warnings = issues.filter(i => i.severity === this.SEVERITY.WARNING);
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors.map(i => `${i.label} ${i.message}`),
+            warnings: warnings.map(i => `${i.label} ${i.message}`),
+            issues: issues
+        };
+    },
+
+    // Checks that depend only on a single field's value
+    validateField: function(path, value) {
+        const issues = [];
+        if (value === null || value === undefined || value === '') return issues;
+
+        const definition = FieldRegistry.get(path);
+        if (!definition) return issues;
+
+        const T = FieldRegistry.TYPES;
+        const error = (message) => issues.push({ severity: this.SEVERITY.ERROR, message: message });
+        const warning = (message) => issues.push({ severity: this.SEVERITY.WARNING, message: message });
+
+        // Negative amounts are worth a look but can be legitimate (overdrafts, losses)
+        if (definition.type === T.MONEY && typeof value === 'number' && value < 0) {
+            warning('is negative');
+            return issues;
+        }
+
+        FieldRegistry.validate(path, value).forEach(error);
+        if (issues.length > 0) return issues;
+
+        if (definition.type === T.DATE && !this.isRealDate(value)) {
+            error('is not a valid date');
+        } else if (definition.type === T.CURRENCY && !this.ISO_CURRENCIES.includes(value)) {
+            error(`"${value}" is not an ISO 4217 currency code`);
+        } else if (/\.nationalInsuranceNumber$/.test(path)
+                && !this.NI_NUMBER_PATTERN.test(String(value).replace(/\s+/g, '').toUpperCase())) {
+            error('is not a valid National Insurance number');
+        } else if (/\.dateOfBirth$/.test(path) && new Date(value) > new Date()) {
+            error('is in the future');
+        }
+
+        return issues;
+    },
+
+    // Date of birth agrees with stated age
+    checkPeople: function(client, add) {
+        const people = [['personal', client.personal], ['spouse', client.spouse]];
+        (client.children || []).forEach((child, i) => people.push([`children[${i}]`, child]));
+
+        people.forEach(([prefix, person]) => {
+            if (!person || !person.dateOfBirth || typeof person.age !== 'number') return;
+            if (!this.isRealDate(person.dateOfBirth)) return;
+
+            const derived = this.ageFromDob(person.dateOfBirth);
+            if (Math.abs(derived - person.age) > 1) {
+                add(`${prefix}.age`, this.SEVERITY.WARNING,
+                    `(${person.age}) disagrees with date of birth (age ${derived})`);
+            }
+        });
+    },
+
+    // Mortgage balance should not exceed the property value
+    checkProperties: function(client, add) {
+        (client.properties || []).forEach((prop, i) => {
+            if (typeof prop.mortgageBalance !== 'number' || typeof prop.currentValue !== 'number') return;
+            if (prop.mortgageBalance > prop.currentValue) {
+                add(`properties[${i}].mortgageBalance`, this.SEVERITY.WARNING,
+                    'is higher than the property value (negative equity)');
+            }
+        });
+    },
+
+    // Planned retirement age should not be below current age (unless already retired)
+    checkRetirement: function(client, add) {
+        const checks = [
+            ['employment.retirementAge', client.employment, client.personal],
+            ['spouseEmployment.retirementAge', client.spouseEmployment, client.spouse],
+            ['goals.retirementAge', client.goals, client.personal]
+        ];
+
+        checks.forEach(([path, section, person]) => {
+            const retirementAge = section?.retirementAge;
+            const age = this.currentAge(person);
+            if (typeof retirementAge !== 'number' || age === null) return;
+            if (client.employment?.status === 'Retired' && path !== 'spouseEmployment.retirementAge') return;
+            if (client.spouseEmployment?.status === 'Retired' && path === 'spouseEmployment.retirementAge') return;
+
+            if (retirementAge < age) {
+                add(path, this.SEVERITY.WARNING, `(${retirementAge}) is below current age (${age})`);
+            }
+        });
+    },
+
+    // Age from DOB if valid, else stated age, else null
+    currentAge: function(person) {
+        if (!person) return null;
+        if (person.dateOfBirth && this.isRealDate(person.dateOfBirth)) return this.ageFromDob(person.dateOfBirth);
+        return typeof person.age === 'number' ? person.age : null;
+    },
+
+    ageFromDob: function(dob, asOf = new Date()) {
+        const birth = new Date(dob + 'T00:00:00');
+        let age = asOf.getFullYear() - birth.getFullYear();
+        const beforeBirthday = asOf.getMonth() < birth.getMonth()
+            || (asOf.getMonth() === birth.getMonth() && asOf.getDate() < birth.getDate());
+        if (beforeBirthday) age--;
+        return age;
+    },
+
+    // YYYY-MM-DD that exists on the calendar (rejects 2023-02-30)
+    isRealDate: function(value) {
+        const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return false;
+        const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    },
+
+    // "pensions[0].currentValue" -> "Pensions 1: Current Value"
+    describePath: function(path) {
+        const words = (name) => name
+            .replace(/([A-Z])/g, ' $1')
+            .replace(/^./, c => c.toUpperCase())
+            .trim();
+
+        return path.split('.').map(part => {
+            const match = part.match(/^(\w+)\[(\d+)\]$/);
+            return match ? `${words(match[1])} ${parseInt(match[2], 10) + 1}` : words(part);
+        }).join(': ');
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.Validation = Validation;
+}
@@ -0,0 +1,243 @@
+/**
+ * Adviser AI - Value Verification
+ * Local check that extracted values were really said: every number, date, currency and
+ * name must occur, in some written form, in the transcript near its source quote
+ * ("85,000 SAR" for 85000 / SAR). Values that fail lose confidence, are flagged in the
+ * review and are never auto-approved. No model call is made.
+ */
+
+const Verification = {
+    UNVERIFIED_CONFIDENCE: 0.3, // confidence of a value that could not be found
+    NEAR_LINES: 2,              // transcript lines either side of the quoted passage searched
+
+    // String fields holding the name of a person or organisation (by leaf name)
+    NAME_FIELDS: ['firstName', 'middleName', 'lastName', 'preferredName', 'employer', 'provider',
+                  'mortgageProvider', 'bank', 'platform', 'school'],
+
+    // Reference numbers compared without spaces and dashes (by leaf name)
+    IDENTIFIER_FIELDS: ['policyNumber', 'accountNumber', 'sortCode', 'nationalInsuranceNumber',
+                        'taxIdentificationNumber', 'postcode'],
+
+    // Ways a currency is said besides its code; "$" and "dollars" stand for any dollar
+    CURRENCY_WORDS: {
+        GBP: ['£', 'pound', 'pounds', 'sterling', 'quid'],
+        USD: ['$', 'dollar', 'dollars', 'bucks'],
+        EUR: ['€', 'euro', 'euros'],
+        AUD: ['$', 'dollar', 'dollars'],
+        NZD: ['$', 'dollar', 'dollars'],
+        CAD: ['$', 'dollar', 'dollars'],
+        SGD: ['$', 'dollar', 'dollars'],
+        HKD: ['$', 'dollar', 'dollars'],
+        CHF: ['franc', 'francs'],
+        SAR: ['riyal', 'riyals'],
+        QAR: ['riyal', 'riyals'],
+        OMR: ['rial', 'rials'],
+        AED: ['dirham', 'dirhams'],
+        KWD: ['dinar', 'dinars'],
+        BHD: ['dinar', 'dinars'],
+        JPY: ['¥', 'yen'],
+        INR: ['₹', 'rupee', 'rupees'],
+        ZAR: ['rand']
+    },
+
+    NUMBER_WORDS: {
+        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+        ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+        seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+        sixty: 60, seventy: 70, eighty: 80, ninety: 90
+    },
+
+    SCALES: { k: 1e3, thousand: 1e3, grand: 1e3, m: 1e6, mil: 1e6, million: 1e6, bn: 1e9, billion: 1e9 },
+
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    // Check every stated value of an extraction against the transcript, in place: values
+    // that pass get verified: true; values that fail get verified: false, a verificationIssue
+    // and their confidence lowered (the model's own is kept as originalConfidence). Values of
+    // other kinds (enums, booleans, free text) are left unmarked.
+    // Returns { checked, failed: [{ path, issue }] }.
+    verifyExtraction: function(data, text, parsed = TranscriptParser.parse(text)) {
+        const result = { checked: 0, failed: [] };
+        const lines = String(text || '').split(/\r?\n/);
+
+        Extraction.getFieldPaths(data).forEach(path => {
+            const entry = Extraction.getNestedValue(data, path);
+            const kind = this.getKind(path);
+            if (!kind) return;
+
+            result.checked++;
+            const issue = this.checkValue(path, kind, entry.value, this.getContext(text, lines, parsed, entry.sourceQuote));
+            entry.verified = !issue;
+            if (issue) {
+                entry.verificationIssue = issue;
+                entry.originalConfidence = entry.confidence;
+                entry.confidence = Math.min(entry.confidence || 0, this.UNVERIFIED_CONFIDENCE);
+                result.failed.push({ path: path, issue: issue });
+            }
+        });
+
+        return result;
+    },
+
+    // What to look for: 'number', 'date', 'currency', 'name', 'identifier' or null (not checked)
+    getKind: function(path) {
+        const T = FieldRegistry.TYPES;
+        const type = FieldRegistry.getType(path);
+        const leaf = path.split('.').pop();
+        if ([T.NUMBER, T.INTEGER, T.MONEY, T.PERCENT].includes(type)) return 'number';
+        if (type === T.DATE) return 'date';
+        if (type === T.CURRENCY) return 'currency';
+        if (this.IDENTIFIER_FIELDS.includes(leaf)) return 'identifier';
+        if (this.NAME_FIELDS.includes(leaf)) return 'name';
+        return null;
+    },
+
+    // Transcript around the passage a quote came from; the whole transcript when the quote
+    // is missing or cannot be located (the review flags those quotes separately)
+    getContext: function(text, lines, parsed, quote) {
+        const passage = quote ? Provenance.locatePassage(text, quote, parsed) : null;
+        if (!passage) return String(text || '');
+        return lines.slice(Math.max(0, passage.line - 1 - this.NEAR_LINES), passage.endLine + this.NEAR_LINES).join('\n');
+    },
+
+    // Why a value was not found in the context, or null when it was
+    checkValue: function(path, kind, value, context) {
+        switch (kind) {
+            case 'number':
+                return this.hasNumber(context, value, path) ? null : `${value} is not stated near the quote`;
+            case 'date':
+                return this.hasDate(context, value) ? null : `${value} is not stated near the quote`;
+            case 'currency':
+                return this.hasCurrency(context, value) ? null : `no mention of ${value} near the quote`;
+            case 'identifier': {
+                const compact = (str) => String(str).toLowerCase().replace(/[^a-z0-9]/g, '');
+                return compact(context).includes(compact(value)) ? null : `${value} is not stated near the quote`;
+            }
+            case 'name':
+                return this.hasName(context, value) ? null : `"${value}" is not mentioned near the quote`;
+            default:
+                return null;
+        }
+    },
+
+    // A number in the text equal to the value of a field. Monthly amounts may be stated
+    // per year (to the nearest unit) and rates as fractions.
+    hasNumber: function(text, value, path) {
+        const target = Number(value);
+        if (!isFinite(target)) return false;
+        const monthly = /^monthly/.test(path.split('.').pop()) || path.startsWith('expenditure.');
+        const percent = FieldRegistry.getType(path) === FieldRegistry.TYPES.PERCENT;
+        const close = (a, b) => Math.abs(a - b) < 1e-6 * Math.max(1, Math.abs(b));
+        return this.readNumbers(text).some(n => close(n, target) ||
+            (monthly && Math.round(n / 12) === Math.round(target)) ||
+            (percent && (close(n * 100, target) || close(n / 100, target))));
+    },
+
+    // Numbers written in digits ("85,000", "1.2m", "300k") or words ("eighty-five thousand")
+    readNumbers: function(text) {
+        const numbers = [];
+        const value = String(text || '').toLowerCase();
+
+        const digits = /(\d[\d,]*(?:\.\d+)?)\s*(k|m|mil|bn|thousand|grand|million|billion)?\b/g;
+        let match;
+        while ((match = digits.exec(value)) !== null) {
+            const number = parseFloat(match[1].replace(/,/g, ''));
+            if (isNaN(number)) continue;
+            numbers.push(number);
+            if (match[2]) numbers.push(number * this.SCALES[match[2]]);
+        }
+
+        // Runs of number words: "two hundred and fifty thousand" -> 250000
+        let total = 0, current = 0, inRun = false;
+        const end = () => {
+            if (inRun) numbers.push(total + current);
+            total = 0; current = 0; inRun = false;
+        };
+        value.split(/[^a-z]+/).forEach(word => {
+            if (word in this.NUMBER_WORDS) {
+                current += this.NUMBER_WORDS[word];
+                inRun = true;
+            } else if (word === 'hundred' && inRun) {
+                current = (current || 1) * 100;
+            } else if (this.SCALES[word] && word.length > 3 && inRun) {
+                total += (current || 1) * this.SCALES[word];
+                current = 0;
+            } else if (!(word === 'and' && inRun)) {
+                end();
+            }
+        });
+        end();
+
+        return numbers;
+    },
+
+    // A date in the text equal to an ISO date. A date said as only a month and year, or a
+    // year, matches the first of that month or year.
+    hasDate: function(text, value) {
+        const parts = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (!parts) return false;
+        const [year, month, day] = parts.slice(1).map(Number);
+        const sameYear = (y) => y === year || (y < 100 && y === year % 100);
+
+        return this.readDates(text).some(date => sameYear(date.year) &&
+            (date.month === null ? month === 1 && day === 1 : date.month === month &&
+                (date.day === null ? day === 1 : date.day === day)));
+    },
+
+    // { year, month, day } of every date written in the text; month and day are null when not said
+    readDates: function(text) {
+        const dates = [];
+        const value = String(text || '').toLowerCase();
+        const month = `(${this.MONTHS.join('|')})[a-z]*\\.?`;
+        const monthNumber = (name) => this.MONTHS.indexOf(name) + 1;
+        const collect = (pattern, read) => {
+            const regex = new RegExp(pattern, 'g');
+            let match;
+            while ((match = regex.exec(value)) !== null) dates.push(...[].concat(read(match)));
+        };
+
+        collect('\\b(\\d{4})-(\\d{1,2})-(\\d{1,2})\\b', m => ({ year: +m[1], month: +m[2], day: +m[3] }));
+        // 14/03/1975 is read both day-first and month-first
+        collect('\\b(\\d{1,2})[/.](\\d{1,2})[/.](\\d{2}|\\d{4})\\b', m => [
+            { year: +m[3], month: +m[2], day: +m[1] },
+            { year: +m[3], month: +m[1], day: +m[2] }
+        ]);
+        collect(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${month},?\\s+(\\d{4})\\b`,
+            m => ({ year: +m[3], month: monthNumber(m[2]), day: +m[1] }));
+        collect(`\\b${month}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`,
+            m => ({ year: +m[3], month: monthNumber(m[1]), day: +m[2] }));
+        collect(`\\b${month},?\\s+(\\d{4})\\b`, m => ({ year: +m[2], month: monthNumber(m[1]), day: null }));
+        collect('\\b(19\\d{2}|20\\d{2})\\b', m => ({ year: +m[1], month: null, day: null }));
+
+        return dates;
+    },
+
+    // The currency code, its symbol or its name in the text
+    hasCurrency: function(text, code) {
+        const value = String(text || '').toLowerCase();
+        const words = value.split(/[^a-z]+/);
+        const currency = String(code).toUpperCase();
+        if (words.includes(currency.toLowerCase())) return true;
+        return (this.CURRENCY_WORDS[currency] || []).some(word =>
+            /[a-z]/.test(word) ? words.includes(word) : value.includes(word));
+    },
+
+    // Every word of the name in the text, allowing for transcription misspellings
+    hasName: function(text, name) {
+        const words = Extraction.normalizeText(text).split(' ');
+        return Extraction.normalizeText(name).split(' ')
+            .filter(part => part.length > 1)
+            .every(part => words.includes(part) || words.some(word =>
+                Math.abs(word.length - part.length) <= 2 && Extraction.similarity(word, part) >= 0.8));
+    },
+
+    // Number of values of an extraction that failed verification
+    countUnverified: function(data) {
+        return Extraction.getFieldPaths(data).filter(path => Extraction.getNestedValue(data, path).verified === false).length;
+    }
+};
+
+// Make it available globally
+if (typeof window !== 'undefined') {
+    window.Verification = Verification;
+}